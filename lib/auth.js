@@ -0,0 +1,244 @@
+/**
+ * Per-device request authentication
+ *
+ * Every device has a shared secret, provisioned from:
+ * - DEVICE_SECRETS_FILE: local JSON file {"dev_xxx": "secret", ...}
+ * - DEVICE_SECRETS_PATH: Firebase path holding the same map, e.g. /device_secrets
+ *   (read with the proxy's own upstream credentials, cached for SECRET_CACHE_MS)
+ *
+ * A request proves it comes from the device in one of two ways:
+ *
+ * 1. Bearer token
+ *      Authorization: Bearer <secret>
+ *
+ * 2. HMAC signature (secret never leaves the device, replay-protected)
+ *      X-Device-Timestamp: <unix seconds>
+ *      X-Device-Nonce:     <random string, single use>
+ *      X-Device-Signature: hex(HMAC-SHA256(secret,
+ *                            METHOD \n PATH \n TIMESTAMP \n NONCE \n hex(SHA256(body))))
+ *
+ * DEVICE_AUTH_MODE:
+ * - provisioned (default) only devices with a secret are checked, so fleets
+ *               without secrets keep working after an upgrade
+ * - required    every device must have a secret and authenticate
+ * - off         no checks
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { log, logError, logWarn, addLogContext } = require('./log');
+const { getJson } = require('./firebase');
+
+const DEVICE_AUTH_MODE = process.env.DEVICE_AUTH_MODE || 'provisioned';
+
+// Bearer token for operator endpoints (GET /queue, ...); open when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const DEVICE_SECRETS_FILE = process.env.DEVICE_SECRETS_FILE || '';
+const DEVICE_SECRETS_PATH = process.env.DEVICE_SECRETS_PATH || '';
+const SECRET_CACHE_MS = parseInt(process.env.SECRET_CACHE_MS || '300000', 10);
+
+// Accepted clock difference for signed requests
+const AUTH_MAX_SKEW_S = parseInt(process.env.AUTH_MAX_SKEW_S || '300', 10);
+
+// Secrets from the local file, loaded once at startup
+let fileSecrets = {};
+if (DEVICE_SECRETS_FILE) {
+  fileSecrets = JSON.parse(fs.readFileSync(DEVICE_SECRETS_FILE, 'utf8'));
+  log(`🔐 Loaded ${Object.keys(fileSecrets).length} device secret(s) from ${DEVICE_SECRETS_FILE}`);
+}
+
+// deviceId -> {secret, expiresAt} for secrets read from Firebase
+const secretCache = new Map();
+
+// nonce -> expiry time; entries live as long as their timestamp is acceptable
+const seenNonces = new Map();
+
+const nonceSweep = setInterval(() => {
+  const now = Date.now();
+  seenNonces.forEach((expiresAt, nonce) => {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  });
+}, 60000);
+nonceSweep.unref();
+
+function authError(status, details) {
+  return { status: status, error: status === 401 ? 'Unauthorized' : 'Forbidden', details: details };
+}
+
+/**
+ * Look up a device's secret
+ * callback(err, secret|null)
+ */
+function getDeviceSecret(deviceId, callback) {
+  if (Object.prototype.hasOwnProperty.call(fileSecrets, deviceId)) {
+    callback(null, String(fileSecrets[deviceId]));
+    return;
+  }
+
+  if (!DEVICE_SECRETS_PATH) {
+    callback(null, null);
+    return;
+  }
+
+  const cached = secretCache.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) {
+    callback(null, cached.secret);
+    return;
+  }
+
+  getJson(`${DEVICE_SECRETS_PATH}/${encodeURIComponent(deviceId)}.json`, (err, value) => {
+    if (err) {
+      logError(`❌ Could not read secret for ${deviceId}: ${err.message}`);
+      callback(err);
+      return;
+    }
+
+    const secret = (value === null || value === undefined) ? null : String(value);
+    secretCache.set(deviceId, { secret: secret, expiresAt: Date.now() + SECRET_CACHE_MS });
+    callback(null, secret);
+  });
+}
+
+/**
+ * Constant-time string comparison (hashing first equalizes lengths)
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Canonical string covered by the HMAC signature
+ */
+function signingString(method, path, timestamp, nonce, body) {
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return [method, path, timestamp, nonce, bodyHash].join('\n');
+}
+
+function verifySignature(deviceId, secret, credentials) {
+  const { timestamp, nonce, signature } = credentials;
+
+  if (!timestamp || !nonce || !signature) {
+    return authError(401, 'Missing timestamp, nonce or signature');
+  }
+
+  const ts = parseInt(timestamp, 10);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > AUTH_MAX_SKEW_S) {
+    return authError(401, 'Request timestamp outside accepted window');
+  }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(signingString(credentials.method, credentials.path, String(timestamp), String(nonce), credentials.body))
+    .digest('hex');
+  if (!safeEqual(expected, String(signature).toLowerCase())) {
+    return authError(401, 'Invalid signature');
+  }
+
+  // Only remember nonces of valid requests, so garbage can't fill the cache
+  const nonceKey = `${deviceId}:${nonce}`;
+  if (seenNonces.has(nonceKey)) {
+    return authError(401, 'Nonce already used');
+  }
+  seenNonces.set(nonceKey, (ts + AUTH_MAX_SKEW_S) * 1000);
+
+  return null;
+}
+
+/**
+ * Authenticate a device from already-extracted credentials
+ * credentials: {token} for bearer auth, or
+ *              {timestamp, nonce, signature, method, path, body} for HMAC
+ * callback(err, verified) - err is {status, error, details} or null when
+ * allowed; verified is true when the device proved it holds its secret
+ */
+function authenticateCredentials(deviceId, credentials, callback) {
+  if (DEVICE_AUTH_MODE === 'off') {
+    callback(null);
+    return;
+  }
+
+  getDeviceSecret(deviceId, (lookupErr, secret) => {
+    if (lookupErr) {
+      callback({ status: 503, error: 'Authentication unavailable', details: 'Could not load device credentials' });
+      return;
+    }
+
+    if (!secret) {
+      if (DEVICE_AUTH_MODE === 'provisioned') {
+        callback(null);
+      } else {
+        logWarn(`🚫 Auth rejected for ${deviceId}: no secret provisioned`);
+        callback(authError(403, 'Device is not provisioned'));
+      }
+      return;
+    }
+
+    let result;
+    if (credentials.token) {
+      result = safeEqual(credentials.token, secret)
+        ? null
+        : authError(401, 'Invalid bearer token');
+    } else {
+      result = verifySignature(deviceId, secret, credentials);
+    }
+
+    if (result) {
+      logWarn(`🚫 Auth rejected for ${deviceId}: ${result.details}`);
+    }
+    callback(result, !result);
+  });
+}
+
+/**
+ * Authenticate an HTTP request on behalf of a device
+ * body is the raw request body ('' for GET streams). The rest of the
+ * request logs under the device. callback as for authenticateCredentials.
+ */
+function authenticateRequest(req, deviceId, body, callback) {
+  const authorization = req.headers['authorization'] || '';
+  addLogContext({ device: deviceId });
+
+  authenticateCredentials(deviceId, {
+    token: authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null,
+    timestamp: req.headers['x-device-timestamp'],
+    nonce: req.headers['x-device-nonce'],
+    signature: req.headers['x-device-signature'],
+    method: req.method,
+    path: req.url,
+    body: body
+  }, callback);
+}
+
+/**
+ * True when the request carries the configured admin token
+ * (always false while ADMIN_TOKEN is unset)
+ */
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
+
+  const authorization = req.headers['authorization'] || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : '';
+  return Boolean(token) && safeEqual(token, ADMIN_TOKEN);
+}
+
+/**
+ * Check the operator bearer token for admin endpoints
+ * Returns null when allowed, or {status, error, details}.
+ */
+function authenticateAdmin(req) {
+  if (!ADMIN_TOKEN || isAdminRequest(req)) return null;
+
+  logWarn(`🚫 Admin request rejected: ${req.method} ${req.url}`);
+  return authError(401, 'Admin token required');
+}
+
+module.exports = {
+  authenticateRequest,
+  authenticateCredentials,
+  authenticateAdmin,
+  isAdminRequest,
+  signingString,
+  DEVICE_AUTH_MODE,
+  ADMIN_TOKEN
+};
@@ -0,0 +1,188 @@
+/**
+ * Compact wire format for /device/{id}?format=compact
+ *
+ * For metered M2M SIMs: one short line per message ("\n"-terminated, no SSE
+ * framing, no JSON where a few characters do), and nothing at all for values
+ * the client already has.
+ *
+ *   C:dev_xxx,4             connected (device, relay count)
+ *   R:0x00A5                relay snapshot, bit n-1 = relay n ON
+ *   r5=1  r5=1@c_mvf...     one relay changed (with its pending command)
+ *   e=1                     enabled
+ *   D                       subscription disabled (relay/schedule events withheld)
+ *   N:+9198...,+9197...     authorized numbers
+ *   P:a;b;c[;timestamp]     power; each phase is voltage,current,power,energy,pf,frequency
+ *                           (empty field or phase = unchanged, "-" = absent)
+ *   S={...}                 full schedule table (snapshot)
+ *   S+key={...}  S-key      one schedule added/changed, removed
+ *   A:T|C,severity,rule,phase,value,threshold   alert triggered / cleared
+ *   U:relays=0              upstream stream down (1 = back up)
+ *   X:12345                 server restarting; reconnect after this many ms
+ *   J:{...}                 anything else, as JSON
+ *
+ * An encoder is per connection: it remembers what it sent so later events
+ * are sent as differences.
+ */
+
+const POWER_PHASES = ['phase_a', 'phase_b', 'phase_c'];
+const POWER_FIELDS = ['voltage', 'current', 'power', 'energy', 'pf', 'frequency'];
+
+function bit(state) {
+  return state === true || state === 'ON' || state === 1 ? 1 : 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Create the encoder for one connection
+ * relayCount sets the width of the relay bitmask.
+ */
+function createCompactEncoder(relayCount) {
+  const digits = Math.max(1, Math.ceil(relayCount / 4));
+
+  // Last values sent
+  const relays = new Map();
+  let enabled = null;
+  let numbers = null;
+  let power = null;
+  let schedules = null;
+
+  function relayLine(event) {
+    return `r${event.relay}=${bit(event.state)}${event.command ? `@${event.command}` : ''}`;
+  }
+
+  function encodePower(data) {
+    const previous = power || {};
+    const next = {};
+    let changed = power === null;
+
+    const segments = POWER_PHASES.map((phase) => {
+      const reading = isPlainObject(data[phase]) ? data[phase] : null;
+      const before = previous[phase];
+      next[phase] = reading ? POWER_FIELDS.map((field) => (typeof reading[field] === 'number' ? reading[field] : null)) : null;
+
+      if (!reading) {
+        if (before !== null) changed = true;
+        return before === null ? '' : '-';
+      }
+
+      const fields = next[phase].map((value, i) => {
+        if (before && before[i] === value) return '';
+        changed = true;
+        return value === null ? '-' : String(value);
+      });
+      return fields.every((field) => field === '') ? '' : fields.join(',');
+    });
+
+    power = next;
+    if (!changed) return null;
+    if (typeof data.timestamp === 'number') segments.push(String(data.timestamp));
+    return `P:${segments.join(';')}`;
+  }
+
+  function encodeSchedules(table) {
+    const current = isPlainObject(table) ? table : {};
+    if (schedules === null) {
+      schedules = current;
+      return [`S=${JSON.stringify(current)}`];
+    }
+
+    const lines = [];
+    Object.keys(current).forEach((key) => {
+      const value = JSON.stringify(current[key]);
+      if (JSON.stringify(schedules[key]) !== value) lines.push(`S+${key}=${value}`);
+    });
+    Object.keys(schedules).forEach((key) => {
+      if (!(key in current)) lines.push(`S-${key}`);
+    });
+    schedules = current;
+    return lines;
+  }
+
+  /**
+   * Lines for one event; empty when the client already has the value
+   */
+  function encode(event) {
+    switch (event.type) {
+      case 'relay': {
+        const state = bit(event.state);
+        if (relays.get(event.relay) === state && !event.command) return [];
+        relays.set(event.relay, state);
+        return [relayLine(event)];
+      }
+      case 'enabled': {
+        const value = event.enabled ? 1 : 0;
+        if (enabled === value) return [];
+        enabled = value;
+        return [`e=${value}`];
+      }
+      case 'auth_numbers': {
+        const value = (event.numbers || []).join(',');
+        if (numbers === value) return [];
+        numbers = value;
+        return [`N:${value}`];
+      }
+      case 'power': {
+        const line = encodePower(event.power || {});
+        return line ? [line] : [];
+      }
+      case 'schedule':
+        return encodeSchedules(event.schedules);
+      case 'alert':
+        return [[
+          `A:${event.status === 'triggered' ? 'T' : 'C'}`,
+          event.severity,
+          event.rule,
+          event.phase || '',
+          event.value,
+          event.threshold
+        ].join(',')];
+      case 'disabled':
+        return ['D'];
+      case 'upstream':
+        return [`U:${event.stream}=${event.status === 'up' ? 1 : 0}`];
+      case 'server_restart':
+        return [`X:${event.retry_ms}`];
+      default:
+        return [`J:${JSON.stringify(event)}`];
+    }
+  }
+
+  /**
+   * Lines for the snapshot replayed to a new connection
+   * Relay states are folded into one bitmask line; relays with a pending
+   * command also get their own line so the command ID is delivered.
+   */
+  function encodeSnapshot(events) {
+    const lines = [];
+    let mask = 0;
+
+    // A relay updated while the snapshot was collected keeps its last event
+    const latest = new Map();
+    events.forEach((event) => {
+      if (event.type === 'relay') latest.set(event.relay, event);
+    });
+    latest.forEach((event) => {
+      relays.set(event.relay, bit(event.state));
+      if (bit(event.state)) mask += Math.pow(2, event.relay - 1);
+    });
+    if (latest.size > 0) {
+      lines.push(`R:0x${mask.toString(16).toUpperCase().padStart(digits, '0')}`);
+    }
+
+    events.forEach((event) => {
+      if (event.type === 'relay') {
+        if (event.command && latest.get(event.relay) === event) lines.push(relayLine(event));
+        return;
+      }
+      encode(event).forEach((line) => lines.push(line));
+    });
+    return lines;
+  }
+
+  return { encode: encode, encodeSnapshot: encodeSnapshot };
+}
+
+module.exports = { createCompactEncoder };
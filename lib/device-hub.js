@@ -0,0 +1,764 @@
+/**
+ * Per-device subscription hub
+ *
+ * Keeps a single set of Firebase SSE streams open per device and fans the
+ * parsed events out to every attached client (ESP32, dashboards, debug
+ * listeners). Late joiners get the cached snapshot replayed, and upstream
+ * streams are torn down after a grace period once nobody needs them.
+ *
+ * Firebase quota: one upstream connection per (device, stream type),
+ * regardless of how many clients are attached.
+ *
+ * Each stream's subtree is mirrored in memory (lib/state-tree.js) so that
+ * put/patch events at any depth always produce complete events.
+ *
+ * Every event a hub sends gets a per-device, increasing event ID, and the
+ * last SSE_REPLAY_BUFFER events are kept so a client that reconnects with
+ * the last ID it saw can be sent just what it missed instead of a snapshot.
+ *
+ * The enabled stream is always opened, whatever clients asked for, because
+ * relay and schedule events are withheld while the device's subscription is
+ * disabled (lib/subscription.js).
+ */
+
+const { log, logDebug, logError, logWarn, detachedLogContext, bindLogContext, sampleLog } = require('./log');
+const { withAuth, openStream } = require('./firebase');
+const { createSseParser } = require('./sse');
+const { applyEvent, toPlain } = require('./state-tree');
+const { counter, gauge } = require('./metrics');
+const { trackDesiredState, pendingCommand } = require('./relay-commands');
+const { cachedProfile } = require('./device-profile');
+const { parseEnabled, recordEnabled, isEnabled, allowedWhileDisabled, disabledEvent } = require('./subscription');
+
+// Stream types and their Firebase paths under /devices/{DEVICE_ID}
+const STREAM_TYPES = ['relays', 'schedules', 'power', 'authorized_numbers', 'enabled'];
+
+// How long upstream streams stay open after the last client leaves
+const UPSTREAM_GRACE_MS = parseInt(process.env.UPSTREAM_GRACE_MS || '30000', 10);
+
+// Firebase sends `event: keep-alive` every ~30s; silence longer than this means a dead stream
+const UPSTREAM_WATCHDOG_MS = parseInt(process.env.UPSTREAM_WATCHDOG_MS || '45000', 10);
+
+// Reconnect backoff: exponential from BASE up to MAX, with jitter
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS || '1000', 10);
+const UPSTREAM_RETRY_MAX_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_MS || '60000', 10);
+
+// Events kept per device for resuming clients
+const SSE_REPLAY_BUFFER = parseInt(process.env.SSE_REPLAY_BUFFER || '500', 10);
+
+// deviceId -> hub
+const hubs = new Map();
+
+// deviceId -> last event ID issued; outlives hub teardown so IDs never repeat
+const lastEventIds = new Map();
+
+// Called with (deviceId, streamType, event, withheld) for every event built from Firebase
+const eventListeners = [];
+
+const upstreamReconnects = counter('proxy_upstream_reconnects_total', 'Firebase stream reconnect attempts scheduled');
+const upstreamHttpErrors = counter('proxy_upstream_http_errors_total', 'Firebase stream responses other than 200');
+const eventsForwarded = counter('proxy_events_forwarded_total', 'Events delivered to downstream clients');
+const parseErrors = counter('proxy_sse_parse_errors_total', 'Firebase stream events that could not be parsed');
+
+gauge('proxy_upstream_streams', 'Open Firebase streams', () => {
+  const counts = {};
+  hubs.forEach((hub) => {
+    hub.upstreamStates().forEach((upstream) => {
+      const key = `${upstream.stream}:${upstream.down ? 'down' : 'up'}`;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+  return Object.keys(counts).map((key) => {
+    const [stream, status] = key.split(':');
+    return { labels: { stream: stream, status: status }, value: counts[key] };
+  });
+});
+
+/**
+ * Delay before reconnect attempt N ("equal jitter": half fixed, half random)
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(UPSTREAM_RETRY_MAX_MS, UPSTREAM_RETRY_BASE_MS * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Create the hub for a single device
+ */
+function createDeviceHub(deviceId) {
+  const clients = new Set();
+  const upstreams = {};
+
+  // Upstream streams and timers log as the hub, not as the client that
+  // happened to start them
+  const inHub = bindLogContext((fn) => fn());
+
+  // Mirror of each stream's Firebase subtree, kept current by put/patch
+  const trees = {};
+
+  // Event IDs start above anything issued before (by an earlier hub or
+  // process), so IDs from before this hub existed can never be resumed
+  let lastEventId = Math.max(lastEventIds.get(deviceId) || 0, Date.now()) + 1;
+
+  // Oldest ID a client may resume from, and the events after it
+  let resumableFrom = lastEventId;
+  const history = [];
+
+  // {streams, callback} waiting for whenReady()
+  const readyWaiters = [];
+
+  // Last event per stream, replayed to late joiners
+  // relays keeps one event per relay number
+  const snapshot = {
+    relays: new Map(),
+    schedules: null,
+    power: null,
+    authorized_numbers: null,
+    enabled: null
+  };
+
+  // streamType null marks events for every client, whatever it subscribed to
+  function wants(client, streamType) {
+    return streamType === null || client.streams.has(streamType);
+  }
+
+  function subscriberCount(streamType) {
+    // Subscription enforcement needs the enabled stream for every client
+    if (streamType === 'enabled') return clients.size;
+
+    let count = 0;
+    clients.forEach((client) => {
+      if (wants(client, streamType)) count++;
+    });
+    return count;
+  }
+
+  function withheld(event) {
+    return !isEnabled(deviceId) && !allowedWhileDisabled(event);
+  }
+
+  /**
+   * Cache an event and send it to every client subscribed to its stream
+   */
+  function broadcast(streamType, event) {
+    if (streamType === 'relays') {
+      snapshot.relays.set(event.relay, event);
+    } else {
+      snapshot[streamType] = event;
+    }
+
+    const delivered = publish(streamType, event);
+
+    const isWithheld = withheld(event);
+    if (isWithheld) {
+      log(`⛔ ${deviceId} ${event.type} event withheld: subscription disabled`);
+    } else {
+      logDebug(`📤 ${deviceId} ${event.type} → ${delivered} client(s)`);
+    }
+
+    eventListeners.forEach((listener) => listener(deviceId, streamType, event, isWithheld));
+  }
+
+  /**
+   * Send an event to every client subscribed to its stream without caching it
+   * Returns the number of clients it was delivered to.
+   */
+  function publish(streamType, event) {
+    lastEventId++;
+    lastEventIds.set(deviceId, lastEventId);
+    const id = lastEventId;
+
+    history.push({ id: id, streamType: streamType, event: event });
+    if (history.length > SSE_REPLAY_BUFFER) {
+      resumableFrom = history.shift().id;
+    }
+
+    let delivered = 0;
+    clients.forEach((client) => {
+      if (!wants(client, streamType)) return;
+      deliver(client, event, id);
+      delivered++;
+    });
+    return delivered;
+  }
+
+  /**
+   * Send one event to one client
+   * Relay events carry the ID of their unacknowledged command, so replays
+   * to a reconnecting device re-deliver it.
+   */
+  function deliver(client, event, id) {
+    if (withheld(event)) return;
+    if (event.type === 'relay') {
+      const command = pendingCommand(deviceId, event.relay, event.state);
+      if (command) event = Object.assign({}, event, { command: command });
+    }
+    client.send(event, id);
+    eventsForwarded.inc({ type: event.type });
+  }
+
+  /**
+   * Whether every event after `since` is still in the history
+   */
+  function canResume(since) {
+    return since >= resumableFrom && since <= lastEventId;
+  }
+
+  /**
+   * Send a resuming client the events it missed after `since`
+   */
+  function resume(client, since) {
+    history.forEach((entry) => {
+      if (entry.id > since && wants(client, entry.streamType)) {
+        deliver(client, entry.event, entry.id);
+      }
+    });
+  }
+
+  /**
+   * Send the cached current state to a newly attached client
+   */
+  function replay(client) {
+    if (!isEnabled(deviceId)) {
+      deliver(client, disabledEvent());
+    }
+
+    STREAM_TYPES.forEach((streamType) => {
+      if (!wants(client, streamType)) return;
+
+      if (streamType === 'relays') {
+        snapshot.relays.forEach((event) => deliver(client, event));
+      } else if (snapshot[streamType]) {
+        deliver(client, snapshot[streamType]);
+      }
+
+      const upstream = upstreams[streamType];
+      if (upstream && upstream.down) {
+        deliver(client, { type: 'upstream', stream: streamType, status: 'down', reason: upstream.downReason });
+      }
+    });
+  }
+
+  /**
+   * Whether each of the streams has delivered its first snapshot (or is down)
+   */
+  function isReady(streams) {
+    return streams.every((streamType) => {
+      const upstream = upstreams[streamType];
+      return upstream && (upstream.synced || upstream.down);
+    });
+  }
+
+  function checkReady() {
+    for (let i = readyWaiters.length - 1; i >= 0; i--) {
+      const waiter = readyWaiters[i];
+      if (!isReady(waiter.streams)) continue;
+      readyWaiters.splice(i, 1);
+      waiter.callback();
+    }
+  }
+
+  /**
+   * Call back once the cached state of the streams is complete
+   * The streams must be opened by a subscriber first.
+   */
+  function whenReady(streams, callback) {
+    if (isReady(streams)) {
+      callback();
+      return;
+    }
+    readyWaiters.push({ streams: streams, callback: bindLogContext(callback) });
+  }
+
+  /**
+   * The cached state of the streams as one document (GET /state)
+   * Streams not listed are left out; relay and schedule state withheld for
+   * a disabled subscription is too.
+   */
+  function currentState(streams) {
+    const state = { version: lastEventId };
+    const includes = (streamType) => streams.includes(streamType);
+
+    if (includes('relays')) {
+      state.relays = [];
+      snapshot.relays.forEach((event) => {
+        if (withheld(event)) return;
+        const relay = { relay: event.relay, state: event.state };
+        const command = pendingCommand(deviceId, event.relay, event.state);
+        if (command) relay.command = command;
+        state.relays.push(relay);
+      });
+    }
+    if (includes('schedules')) {
+      state.schedules = snapshot.schedules && !withheld(snapshot.schedules) ? snapshot.schedules.schedules : null;
+    }
+    if (includes('power')) {
+      state.power = snapshot.power ? snapshot.power.power : null;
+    }
+    if (includes('authorized_numbers')) {
+      state.authorized_numbers = snapshot.authorized_numbers ? snapshot.authorized_numbers.numbers : null;
+    }
+    if (includes('enabled')) {
+      state.enabled = snapshot.enabled ? snapshot.enabled.enabled : null;
+    }
+    state.disabled = !isEnabled(deviceId);
+    state.upstreams_down = streams.filter((streamType) => upstreams[streamType] && upstreams[streamType].down);
+    return state;
+  }
+
+  /**
+   * Relay states from the relays tree: {relay_1: {state: true}, ...}
+   * Relays beyond the device profile's relay count are left out.
+   * Returns a Map of relay number -> state, in relay order.
+   */
+  function relayStates(tree) {
+    const relayCount = cachedProfile(deviceId).relays;
+    const states = new Map();
+    Object.keys(tree || {})
+      .map((key) => {
+        const match = key.match(/^relay_(\d+)$/);
+        return match ? { key: key, relay: parseInt(match[1], 10) } : null;
+      })
+      .filter((entry) => entry && entry.relay <= relayCount)
+      .sort((a, b) => a.relay - b.relay)
+      .forEach((entry) => {
+        const value = tree[entry.key];
+        const state = (value && typeof value === 'object') ? value.state : value;
+        if (state !== undefined) states.set(entry.relay, state);
+      });
+    return states;
+  }
+
+  /**
+   * Build the complete multiplexed event for a non-relay stream
+   * Returns null when there is nothing to send.
+   */
+  function streamEvent(streamType, tree) {
+    if (streamType === 'schedules') {
+      return { type: 'schedule', schedules: toPlain(tree) || {} };
+    }
+    if (streamType === 'power') {
+      return tree === undefined ? null : { type: 'power', power: toPlain(tree) };
+    }
+    if (streamType === 'authorized_numbers') {
+      const plain = toPlain(tree);
+      const numbers = Array.isArray(plain)
+        ? plain.filter((n) => n !== null)
+        : [];
+      return { type: 'auth_numbers', numbers: numbers };
+    }
+    if (streamType === 'enabled') {
+      return { type: 'enabled', enabled: parseEnabled(deviceId, toPlain(tree)) };
+    }
+    return null;
+  }
+
+  /**
+   * Apply a Firebase put/patch to the stream's state tree and emit
+   * whatever changed as complete multiplexed events
+   */
+  function handleFirebaseEvent(streamType, eventName, firebaseData) {
+    logDebug(`🔥 Firebase ${streamType} ${eventName}: path=${firebaseData.path}`);
+
+    trees[streamType] = applyEvent(trees[streamType], eventName, firebaseData);
+    const tree = trees[streamType];
+
+    if (streamType === 'relays') {
+      const states = relayStates(tree);
+
+      // Relays removed from Firebase drop out of the cached snapshot
+      snapshot.relays.forEach((event, relay) => {
+        if (!states.has(relay)) snapshot.relays.delete(relay);
+      });
+
+      states.forEach((state, relay) => {
+        const previous = snapshot.relays.get(relay);
+        if (previous && previous.state === state) return;
+        trackDesiredState(deviceId, relay, state, tree[`relay_${relay}`], !previous);
+        broadcast('relays', { type: 'relay', relay: relay, state: state });
+      });
+      return;
+    }
+
+    const event = streamEvent(streamType, tree);
+    if (!event) {
+      snapshot[streamType] = null;
+      return;
+    }
+    if (snapshot[streamType] && JSON.stringify(snapshot[streamType]) === JSON.stringify(event)) {
+      return;
+    }
+
+    broadcast(streamType, event);
+
+    if (streamType === 'enabled') {
+      enforceSubscription(event.enabled);
+    }
+
+    if (streamType === 'schedules') {
+      log(`📅 Schedules updated`);
+    } else if (streamType === 'power') {
+      const skipped = sampleLog(`power-event:${deviceId}`);
+      if (skipped !== null) log(`⚡ Power data updated${skipped ? ` (${skipped} more since last logged)` : ''}`);
+    } else if (streamType === 'authorized_numbers') {
+      log(`📞 Authorized numbers: ${event.numbers.length} entries`);
+    } else if (streamType === 'enabled') {
+      log(`🔓 Subscription enabled: ${event.enabled}`);
+    }
+  }
+
+  /**
+   * Act on the enabled stream: tell clients when the device becomes
+   * disabled, and send the withheld relay/schedule state once it is
+   * enabled again
+   */
+  function enforceSubscription(enabled) {
+    const previous = recordEnabled(deviceId, enabled);
+
+    if (!enabled && previous !== false) {
+      publish(null, disabledEvent());
+    } else if (enabled && previous === false) {
+      snapshot.relays.forEach((event) => publish('relays', event));
+      if (snapshot.schedules) publish('schedules', snapshot.schedules);
+    }
+  }
+
+  /**
+   * Forget cached state for a stream
+   */
+  function clearSnapshot(streamType) {
+    delete trees[streamType];
+    if (streamType === 'relays') {
+      snapshot.relays.clear();
+    } else {
+      snapshot[streamType] = null;
+    }
+  }
+
+  /**
+   * Tell subscribers of a stream that its upstream went down or recovered
+   */
+  function emitUpstreamStatus(streamType, status, reason) {
+    const event = { type: 'upstream', stream: streamType, status: status };
+    if (reason) event.reason = reason;
+
+    publish(streamType, event);
+    log(`${status === 'up' ? '🟢' : '🔴'} ${deviceId} upstream ${streamType} ${status}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * Open the Firebase SSE stream for one stream type
+   * The stream reconnects on its own until closeUpstream() is called.
+   */
+  function openUpstream(streamType) {
+    const upstream = {
+      req: null,
+      teardownTimer: null,
+      retryTimer: null,
+      watchdogTimer: null,
+      attempt: 0,
+      down: false,
+      downReason: null,
+      downSince: null,
+      // Set once the first snapshot arrived
+      synced: false,
+      closed: false
+    };
+    upstreams[streamType] = upstream;
+    connectUpstream(streamType, upstream);
+  }
+
+  function connectUpstream(streamType, upstream) {
+    const path = `/devices/${deviceId}/${streamType}.json`;
+    log(`🔥 Connecting to ${streamType}: ${path}${upstream.attempt ? ` (retry ${upstream.attempt})` : ''}`);
+
+    let failed = false;
+    let receivedSnapshot = false;
+
+    function resetWatchdog() {
+      clearTimeout(upstream.watchdogTimer);
+      upstream.watchdogTimer = setTimeout(() => {
+        fail('keep-alive timeout');
+      }, UPSTREAM_WATCHDOG_MS);
+    }
+
+    // Any way the stream can die ends up here exactly once per attempt
+    function fail(reason) {
+      if (failed || upstream.closed) return;
+      failed = true;
+
+      clearTimeout(upstream.watchdogTimer);
+      if (upstream.req) upstream.req.destroy();
+      logError(`❌ Firebase ${streamType} lost for ${deviceId}: ${reason}`);
+
+      if (!upstream.down) {
+        upstream.down = true;
+        upstream.downReason = reason;
+        upstream.downSince = Date.now();
+        emitUpstreamStatus(streamType, 'down', reason);
+        checkReady();
+      }
+
+      upstreamReconnects.inc({ stream: streamType });
+      const delay = backoffDelay(upstream.attempt);
+      upstream.attempt++;
+      log(`⏳ Reconnecting ${streamType} for ${deviceId} in ${delay}ms`);
+      upstream.retryTimer = setTimeout(() => {
+        upstream.retryTimer = null;
+        connectUpstream(streamType, upstream);
+      }, delay);
+    }
+
+    function handleEvent(eventName, rawData) {
+      if (eventName === 'keep-alive') return;
+
+      // Firebase revoked or cancelled the listener - reconnect from scratch
+      if (eventName === 'cancel' || eventName === 'auth_revoked') {
+        fail(eventName);
+        return;
+      }
+
+      if (eventName !== 'put' && eventName !== 'patch') return;
+
+      try {
+        const firebaseData = JSON.parse(rawData);
+
+        // First event after (re)connecting is the full snapshot
+        if (!receivedSnapshot) {
+          receivedSnapshot = true;
+          upstream.attempt = 0;
+          if (upstream.down) {
+            upstream.down = false;
+            upstream.downReason = null;
+            upstream.downSince = null;
+            clearSnapshot(streamType);
+            emitUpstreamStatus(streamType, 'up');
+          }
+        }
+
+        handleFirebaseEvent(streamType, eventName, firebaseData);
+
+        if (!upstream.synced) {
+          upstream.synced = true;
+          checkReady();
+        }
+      } catch (e) {
+        parseErrors.inc({ stream: streamType });
+        logWarn(`⚠️  ${deviceId} ${streamType} parse error: ${e.message}`);
+      }
+    }
+
+    withAuth(path, (authErr, authorizedPath) => {
+      if (upstream.closed) return;
+      if (authErr) {
+        fail(`upstream auth failed: ${authErr.message}`);
+        return;
+      }
+
+      upstream.req = openStream(authorizedPath, (firebaseRes) => {
+        if (firebaseRes.statusCode !== 200) {
+          upstreamHttpErrors.inc({ stream: streamType, status: firebaseRes.statusCode });
+          firebaseRes.resume();
+          fail(`HTTP ${firebaseRes.statusCode}`);
+          return;
+        }
+
+        log(`✅ Firebase ${streamType} connected for ${deviceId}`);
+        resetWatchdog();
+
+        const parse = createSseParser(handleEvent);
+
+        firebaseRes.on('data', (chunk) => {
+          if (upstream.closed) return;
+          resetWatchdog();
+          parse(chunk);
+        });
+
+        firebaseRes.on('end', () => {
+          fail('stream ended');
+        });
+
+        firebaseRes.on('error', (err) => {
+          fail(err.message);
+        });
+      });
+
+      upstream.req.on('error', (err) => {
+        fail(err.message);
+      });
+    });
+  }
+
+  function closeUpstream(streamType) {
+    const upstream = upstreams[streamType];
+    if (!upstream) return;
+
+    upstream.closed = true;
+    clearTimeout(upstream.teardownTimer);
+    clearTimeout(upstream.retryTimer);
+    clearTimeout(upstream.watchdogTimer);
+    delete upstreams[streamType];
+    if (upstream.req) upstream.req.destroy();
+
+    // Cached state goes stale once nobody is listening
+    clearSnapshot(streamType);
+
+    log(`🧹 Closed Firebase ${streamType} stream for ${deviceId}`);
+  }
+
+  /**
+   * Close an upstream after the grace period if no client needs it
+   */
+  function scheduleTeardown(streamType) {
+    const upstream = upstreams[streamType];
+    if (!upstream || upstream.teardownTimer) return;
+
+    upstream.teardownTimer = setTimeout(() => {
+      upstream.teardownTimer = null;
+      if (subscriberCount(streamType) > 0) return;
+
+      closeUpstream(streamType);
+
+      if (clients.size === 0 && Object.keys(upstreams).length === 0) {
+        hubs.delete(deviceId);
+      }
+    }, UPSTREAM_GRACE_MS);
+  }
+
+  /**
+   * Attach a client
+   * client.send(event, id) receives every event for the requested streams;
+   * id is undefined for snapshot events. With `since` (checked with
+   * canResume() first) only the events after that ID are replayed instead
+   * of the snapshot.
+   * Returns a function that detaches the client.
+   */
+  function subscribe(send, streams, since) {
+    const client = {
+      send: send,
+      streams: new Set(streams || STREAM_TYPES)
+    };
+    clients.add(client);
+
+    const upstreamTypes = new Set(client.streams).add('enabled');
+    upstreamTypes.forEach((streamType) => {
+      const upstream = upstreams[streamType];
+      if (!upstream) {
+        inHub(() => openUpstream(streamType));
+      } else if (upstream.teardownTimer) {
+        clearTimeout(upstream.teardownTimer);
+        upstream.teardownTimer = null;
+        log(`♻️  Reusing Firebase ${streamType} stream for ${deviceId}`);
+      }
+    });
+
+    log(`👥 ${deviceId}: ${clients.size} client(s) attached`);
+    if (since !== undefined && since !== null && canResume(since)) {
+      resume(client, since);
+    } else {
+      replay(client);
+    }
+
+    return function unsubscribe() {
+      if (!clients.delete(client)) return;
+      log(`👥 ${deviceId}: ${clients.size} client(s) attached`);
+      new Set(client.streams).add('enabled').forEach((streamType) => {
+        if (subscriberCount(streamType) === 0) {
+          inHub(() => scheduleTeardown(streamType));
+        }
+      });
+
+      if (clients.size === 0 && Object.keys(upstreams).length === 0) {
+        hubs.delete(deviceId);
+      }
+    };
+  }
+
+  /**
+   * Close every upstream now (shutdown)
+   */
+  function close() {
+    Object.keys(upstreams).forEach(closeUpstream);
+    hubs.delete(deviceId);
+  }
+
+  return {
+    deviceId: deviceId,
+    subscribe: subscribe,
+    close: close,
+    publish: publish,
+    canResume: canResume,
+    lastEventId: () => lastEventId,
+    whenReady: whenReady,
+    state: currentState,
+    clientCount: () => clients.size,
+    upstreamTypes: () => Object.keys(upstreams),
+    upstreamStates: () => Object.keys(upstreams).map((streamType) => ({
+      stream: streamType,
+      down: upstreams[streamType].down,
+      reason: upstreams[streamType].downReason,
+      since: upstreams[streamType].downSince
+    }))
+  };
+}
+
+/**
+ * Get (or lazily create) the hub for a device
+ */
+function getDeviceHub(deviceId) {
+  let hub = hubs.get(deviceId);
+  if (!hub) {
+    hub = detachedLogContext({ device: deviceId }, () => createDeviceHub(deviceId));
+    hubs.set(deviceId, hub);
+  }
+  return hub;
+}
+
+/**
+ * Send a one-off event to a device's current subscribers
+ * Does nothing (and opens no upstreams) when nobody is attached.
+ */
+function publishToDevice(deviceId, streamType, event) {
+  const hub = hubs.get(deviceId);
+  if (hub) hub.publish(streamType, event);
+}
+
+/**
+ * Upstream stream health across all devices, for GET /health
+ * Returns {open, down, downByStream: {stream: count}, oldestDownSince}
+ */
+function upstreamHealth() {
+  const health = { open: 0, down: 0, downByStream: {}, oldestDownSince: null };
+  hubs.forEach((hub) => {
+    hub.upstreamStates().forEach((upstream) => {
+      health.open++;
+      if (!upstream.down) return;
+      health.down++;
+      health.downByStream[upstream.stream] = (health.downByStream[upstream.stream] || 0) + 1;
+      if (health.oldestDownSince === null || upstream.since < health.oldestDownSince) {
+        health.oldestDownSince = upstream.since;
+      }
+    });
+  });
+  return health;
+}
+
+/**
+ * Close every device's upstream streams (shutdown)
+ * Returns how many devices had hubs.
+ */
+function closeAllHubs() {
+  const all = Array.from(hubs.values());
+  all.forEach((hub) => hub.close());
+  return all.length;
+}
+
+/**
+ * Register listener(deviceId, streamType, event, withheld) for events from Firebase
+ * withheld is true for events a disabled subscription keeps from clients.
+ */
+function onHubEvent(listener) {
+  eventListeners.push(listener);
+}
+
+module.exports = { STREAM_TYPES, getDeviceHub, publishToDevice, onHubEvent, upstreamHealth, closeAllHubs };
@@ -0,0 +1,123 @@
+/**
+ * Device capability profiles
+ *
+ * Not every board has 16 relays and a PZEM meter. A profile says what a
+ * device actually has:
+ *   {"relays": 4, "has_power": false, "has_schedules": true}
+ * read from DEVICE_PROFILES_FILE (local JSON {"dev_xxx": {...}, ...}) or, for
+ * devices not in the file, /devices/{id}/profile in Firebase (cached for
+ * PROFILE_CACHE_MS). Missing keys fall back to MAX_RELAYS relays with power
+ * and schedules, which is how every device was treated before profiles.
+ *
+ * The profile decides which upstream streams a device's clients need,
+ * bounds the relay events forwarded to them, and bounds the relay numbers
+ * they may write.
+ */
+
+const fs = require('fs');
+const { log, logWarn, bindLogContext } = require('./log');
+const { getJson } = require('./firebase');
+const { MAX_RELAYS } = require('./validation');
+
+const DEVICE_PROFILES_FILE = process.env.DEVICE_PROFILES_FILE || '';
+const PROFILE_CACHE_MS = parseInt(process.env.PROFILE_CACHE_MS || '60000', 10);
+
+const DEFAULT_PROFILE = {
+  relays: MAX_RELAYS,
+  has_power: true,
+  has_schedules: true
+};
+
+// Profiles from the local file, loaded once at startup
+let fileProfiles = {};
+if (DEVICE_PROFILES_FILE) {
+  fileProfiles = JSON.parse(fs.readFileSync(DEVICE_PROFILES_FILE, 'utf8'));
+  log(`🧩 Loaded ${Object.keys(fileProfiles).length} device profile(s) from ${DEVICE_PROFILES_FILE}`);
+}
+
+// deviceId -> {profile, expiresAt}
+const profileCache = new Map();
+
+// deviceId -> callbacks waiting for a profile read in flight
+const profileLoading = new Map();
+
+/**
+ * Defaults merged with a stored profile, ignoring values that make no sense
+ */
+function normalizeProfile(stored) {
+  const profile = Object.assign({}, DEFAULT_PROFILE);
+  if (!stored || typeof stored !== 'object') return profile;
+
+  if (Number.isInteger(stored.relays) && stored.relays >= 0 && stored.relays <= MAX_RELAYS) {
+    profile.relays = stored.relays;
+  }
+  if (typeof stored.has_power === 'boolean') profile.has_power = stored.has_power;
+  if (typeof stored.has_schedules === 'boolean') profile.has_schedules = stored.has_schedules;
+  return profile;
+}
+
+function cacheProfile(deviceId, profile) {
+  profileCache.set(deviceId, { profile: profile, expiresAt: Date.now() + PROFILE_CACHE_MS });
+
+  const waiting = profileLoading.get(deviceId) || [];
+  profileLoading.delete(deviceId);
+  waiting.forEach((callback) => callback(profile));
+}
+
+/**
+ * Look up a device's profile
+ * callback(profile) - never fails; falls back to the last known profile or
+ * the defaults while Firebase is unreachable.
+ */
+function loadProfile(deviceId, callback) {
+  if (Object.prototype.hasOwnProperty.call(fileProfiles, deviceId)) {
+    callback(normalizeProfile(fileProfiles[deviceId]));
+    return;
+  }
+
+  const cached = profileCache.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) {
+    callback(cached.profile);
+    return;
+  }
+
+  if (profileLoading.has(deviceId)) {
+    profileLoading.get(deviceId).push(bindLogContext(callback));
+    return;
+  }
+  profileLoading.set(deviceId, [bindLogContext(callback)]);
+
+  getJson(`/devices/${deviceId}/profile.json`, (err, value) => {
+    if (err) {
+      logWarn(`⚠️  Could not read profile for ${deviceId}: ${err.message}`);
+      cacheProfile(deviceId, cached ? cached.profile : normalizeProfile(null));
+      return;
+    }
+    cacheProfile(deviceId, normalizeProfile(value));
+  });
+}
+
+/**
+ * The profile last loaded for a device (or the defaults), without waiting
+ */
+function cachedProfile(deviceId) {
+  if (Object.prototype.hasOwnProperty.call(fileProfiles, deviceId)) {
+    return normalizeProfile(fileProfiles[deviceId]);
+  }
+  const cached = profileCache.get(deviceId);
+  return cached ? cached.profile : DEFAULT_PROFILE;
+}
+
+/**
+ * Streams a device can use, limited to `requested` when given
+ */
+function profileStreams(profile, streamTypes, requested) {
+  return streamTypes.filter((streamType) => {
+    if (requested && !requested.includes(streamType)) return false;
+    if (streamType === 'power' && !profile.has_power) return false;
+    if (streamType === 'schedules' && !profile.has_schedules) return false;
+    return true;
+  });
+}
+
+module.exports = { loadProfile, cachedProfile, profileStreams };
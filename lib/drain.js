@@ -0,0 +1,76 @@
+/**
+ * Graceful drain on shutdown / redeploy
+ *
+ * Long-lived connections (SSE streams, /state long-polls, line protocol and
+ * MQTT clients) register a handler with onDrain(). On SIGTERM/SIGINT each
+ * handler is called once with a reconnect delay and ends its connection
+ * cleanly, sending a final
+ *   {"type":"server_restart","retry_ms":12345}
+ * where the transport allows. Delays are spread between DRAIN_RETRY_MIN_MS
+ * and DRAIN_RETRY_MIN_MS + DRAIN_RETRY_SPREAD_MS so a fleet of devices does
+ * not reconnect to the new instance all at once.
+ */
+
+const { logError } = require('./log');
+
+// Hard deadline for the whole drain; the process exits when it passes
+const DRAIN_TIMEOUT_MS = parseInt(process.env.DRAIN_TIMEOUT_MS || '10000', 10);
+
+// Reconnect delay suggested to clients: MIN plus up to SPREAD of jitter
+const DRAIN_RETRY_MIN_MS = parseInt(process.env.DRAIN_RETRY_MIN_MS || '2000', 10);
+const DRAIN_RETRY_SPREAD_MS = parseInt(process.env.DRAIN_RETRY_SPREAD_MS || '20000', 10);
+
+let draining = false;
+
+// Handlers of connections still open
+const handlers = new Set();
+
+function isDraining() {
+  return draining;
+}
+
+/**
+ * Register handler(retryMs) to end a connection on drain
+ * Returns a function that removes it (call when the connection closes).
+ */
+function onDrain(handler) {
+  handlers.add(handler);
+  return function remove() {
+    handlers.delete(handler);
+  };
+}
+
+/**
+ * A jittered reconnect delay in ms
+ */
+function restartDelay() {
+  return DRAIN_RETRY_MIN_MS + Math.floor(Math.random() * DRAIN_RETRY_SPREAD_MS);
+}
+
+/**
+ * The final event sent to stream clients
+ */
+function restartEvent(retryMs) {
+  return { type: 'server_restart', retry_ms: retryMs };
+}
+
+/**
+ * Enter drain mode and end every registered connection
+ * Returns how many connections were told to reconnect.
+ */
+function drainConnections() {
+  draining = true;
+
+  const pending = Array.from(handlers);
+  handlers.clear();
+  pending.forEach((handler) => {
+    try {
+      handler(restartDelay());
+    } catch (e) {
+      logError(`❌ Drain handler failed: ${e.message}`);
+    }
+  });
+  return pending.length;
+}
+
+module.exports = { DRAIN_TIMEOUT_MS, isDraining, onDrain, restartDelay, restartEvent, drainConnections };
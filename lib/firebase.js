@@ -0,0 +1,422 @@
+/**
+ * Firebase RTDB connection settings and request helpers
+ *
+ * The default upstream is FIREBASE_URL (https://host, http://host:port for
+ * the Firebase emulator, "?ns=" for its namespace, or "memory" for the
+ * built-in stand-in in lib/rtdb-emulator.js). FIREBASE_UPSTREAMS_FILE adds
+ * more RTDB instances and routes devices to them by ID prefix:
+ *   {"upstreams": {"acme": {"url": "https://acme-rtdb.firebaseio.com", "serviceAccount": "/etc/acme.json"},
+ *                  "local": {"host": "localhost", "port": 9000, "protocol": "http", "namespace": "demo"}},
+ *    "routes": {"dev_acme": "acme", "dev_test": "local"}}
+ * The longest matching prefix wins; other devices use the default upstream
+ * ("default" in the file overrides the env settings). Every path the proxy
+ * reads or writes belongs to one device: /devices/{id}/..., or
+ * {DEVICE_SECRETS_PATH}/{id}.json for device secrets.
+ *
+ * Upstream authentication, per upstream (first match wins):
+ * - auth (FIREBASE_AUTH for the default): database secret or ID token, sent
+ *   as `auth=`
+ * - serviceAccount (FIREBASE_SERVICE_ACCOUNT): path to a service account
+ *   JSON key; the proxy mints OAuth access tokens itself and sends them as
+ *   `access_token=`
+ * Without either, requests rely on the RTDB rules allowing public access.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const { log, logError, bindLogContext } = require('./log');
+const { FIREBASE_EMULATOR_SEED, createRtdbEmulator } = require('./rtdb-emulator');
+
+// Firebase RTDB Configuration
+const FIREBASE_URL = process.env.FIREBASE_URL || 'https://relay-test1001-default-rtdb.asia-southeast1.firebasedatabase.app';
+
+const FIREBASE_AUTH = process.env.FIREBASE_AUTH || '';
+const FIREBASE_SERVICE_ACCOUNT = process.env.FIREBASE_SERVICE_ACCOUNT || '';
+const FIREBASE_UPSTREAMS_FILE = process.env.FIREBASE_UPSTREAMS_FILE || '';
+
+const OAUTH_SCOPES = [
+  'https://www.googleapis.com/auth/firebase.database',
+  'https://www.googleapis.com/auth/userinfo.email'
+].join(' ');
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Exchange a signed service-account JWT for an OAuth access token
+ */
+function fetchAccessToken(serviceAccount, callback) {
+  const tokenUri = serviceAccount.token_uri || 'https://oauth2.googleapis.com/token';
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: serviceAccount.client_email,
+    scope: OAUTH_SCOPES,
+    aud: tokenUri,
+    iat: now,
+    exp: now + 3600
+  }));
+  const signature = base64url(crypto.createSign('RSA-SHA256')
+    .update(`${header}.${claims}`)
+    .sign(serviceAccount.private_key));
+
+  const form = querystring.stringify({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: `${header}.${claims}.${signature}`
+  });
+
+  const url = new URL(tokenUri);
+  const tokenReq = https.request({
+    hostname: url.hostname,
+    path: url.pathname,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(form)
+    }
+  }, (tokenRes) => {
+    let responseData = '';
+    tokenRes.on('data', (chunk) => {
+      responseData += chunk.toString();
+    });
+    tokenRes.on('end', () => {
+      if (tokenRes.statusCode !== 200) {
+        callback(new Error(`Token endpoint returned ${tokenRes.statusCode}`));
+        return;
+      }
+      try {
+        const parsed = JSON.parse(responseData);
+        callback(null, parsed.access_token, parsed.expires_in);
+      } catch (e) {
+        callback(e);
+      }
+    });
+  });
+
+  tokenReq.on('error', callback);
+  tokenReq.write(form);
+  tokenReq.end();
+}
+
+/**
+ * Token source for one service account
+ * Returns getAccessToken(callback), refreshing 5 minutes before expiry.
+ */
+function createTokenSource(serviceAccount) {
+  // Cached OAuth token and callers waiting for an in-flight refresh
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+  let pendingTokenCallbacks = null;
+
+  return function getAccessToken(callback) {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+      callback(null, accessToken);
+      return;
+    }
+
+    if (pendingTokenCallbacks) {
+      pendingTokenCallbacks.push(bindLogContext(callback));
+      return;
+    }
+    pendingTokenCallbacks = [bindLogContext(callback)];
+
+    fetchAccessToken(serviceAccount, (err, token, expiresIn) => {
+      const callbacks = pendingTokenCallbacks;
+      pendingTokenCallbacks = null;
+
+      if (err) {
+        logError(`❌ Firebase service account token error (${serviceAccount.client_email}): ${err.message}`);
+      } else {
+        accessToken = token;
+        accessTokenExpiresAt = Date.now() + ((expiresIn || 3600) - 300) * 1000;
+        log(`🔑 Firebase access token refreshed (${serviceAccount.client_email})`);
+      }
+      callbacks.forEach((cb) => cb(err, token));
+    });
+  };
+}
+
+/**
+ * Build an upstream from its config
+ * config: {url} or {host, port, protocol, namespace}, plus optional auth,
+ * serviceAccount and (for "memory") seed - a JSON file with initial data.
+ */
+function createUpstream(name, config) {
+  const upstream = { name: name, namespace: config.namespace || '' };
+
+  if (config.url === 'memory') {
+    const seed = config.seed ? JSON.parse(fs.readFileSync(config.seed, 'utf8')) : null;
+    const emulator = createRtdbEmulator(seed);
+    let listening = false;
+    let waiting = [];
+    emulator.listen(0, '127.0.0.1', () => {
+      listening = true;
+      const callbacks = waiting;
+      waiting = [];
+      callbacks.forEach((callback) => callback());
+    });
+    emulator.unref();
+
+    // The port is only known once listen() completes; requests made before
+    // that (a queue replay at boot) wait for it in withAuth()
+    upstream.whenListening = (callback) => {
+      if (listening) {
+        callback();
+      } else {
+        waiting.push(bindLogContext(callback));
+      }
+    };
+    upstream.transport = http;
+    upstream.hostname = '127.0.0.1';
+    Object.defineProperty(upstream, 'port', { get: () => emulator.address().port });
+    upstream.label = 'memory (built-in emulator)';
+  } else {
+    let protocol = config.protocol;
+    let hostname = config.host;
+    let port = config.port;
+    if (config.url) {
+      // A bare hostname means https, as FIREBASE_URL always did
+      const url = new URL(/^[a-z]+:\/\//i.test(config.url) ? config.url : `https://${config.url}`);
+      protocol = url.protocol.slice(0, -1);
+      hostname = url.hostname;
+      port = url.port;
+      upstream.namespace = upstream.namespace || url.searchParams.get('ns') || '';
+    }
+
+    protocol = protocol || 'https';
+    if (protocol !== 'http' && protocol !== 'https') {
+      throw new Error(`Upstream ${name}: protocol must be http or https`);
+    }
+    if (!hostname) throw new Error(`Upstream ${name}: url or host is required`);
+
+    upstream.transport = protocol === 'https' ? https : http;
+    upstream.hostname = hostname;
+    upstream.port = port ? parseInt(port, 10) : (protocol === 'https' ? 443 : 80);
+    upstream.label = `${protocol}://${hostname}${port ? `:${upstream.port}` : ''}`;
+  }
+  if (upstream.namespace) upstream.label += ` (ns=${upstream.namespace})`;
+
+  if (config.auth) {
+    upstream.auth = config.auth;
+  } else if (config.serviceAccount) {
+    upstream.serviceAccount = JSON.parse(fs.readFileSync(config.serviceAccount, 'utf8'));
+    upstream.getAccessToken = createTokenSource(upstream.serviceAccount);
+  }
+  return upstream;
+}
+
+function loadUpstreams() {
+  const configs = {
+    default: {
+      url: FIREBASE_URL,
+      auth: FIREBASE_AUTH,
+      serviceAccount: FIREBASE_SERVICE_ACCOUNT,
+      seed: FIREBASE_EMULATOR_SEED
+    }
+  };
+  let routes = {};
+
+  if (FIREBASE_UPSTREAMS_FILE) {
+    const file = JSON.parse(fs.readFileSync(FIREBASE_UPSTREAMS_FILE, 'utf8'));
+    Object.assign(configs, file.upstreams || {});
+    routes = file.routes || {};
+  }
+
+  const upstreams = {};
+  Object.keys(configs).forEach((name) => {
+    upstreams[name] = createUpstream(name, configs[name]);
+  });
+
+  const prefixes = Object.keys(routes).sort((a, b) => b.length - a.length).map((prefix) => {
+    if (!upstreams[routes[prefix]]) {
+      throw new Error(`Route ${prefix}: unknown upstream ${routes[prefix]}`);
+    }
+    return { prefix: prefix, upstream: upstreams[routes[prefix]] };
+  });
+
+  if (FIREBASE_UPSTREAMS_FILE) {
+    log(`🧭 Loaded ${Object.keys(upstreams).length} upstream(s) and ${prefixes.length} route(s) from ${FIREBASE_UPSTREAMS_FILE}`);
+  }
+  return { upstreams: upstreams, prefixes: prefixes };
+}
+
+const { upstreams, prefixes } = loadUpstreams();
+
+/**
+ * The device a Firebase path belongs to (see the module comment)
+ */
+function pathDevice(path) {
+  const match = /^\/devices\/([^/?.]+)/.exec(path) || /\/([^/?]+)\.json(?:\?|$)/.exec(path);
+  if (!match) return '';
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (e) {
+    return match[1];
+  }
+}
+
+/**
+ * The upstream serving a Firebase path
+ */
+function upstreamFor(path) {
+  const device = pathDevice(path);
+  const route = prefixes.find((candidate) => device.startsWith(candidate.prefix));
+  return route ? route.upstream : upstreams.default;
+}
+
+/**
+ * Append upstream credentials to a Firebase REST path
+ * callback(err, authorizedPath) - never log authorizedPath, it carries the token
+ */
+function withAuth(path, callback) {
+  const upstream = upstreamFor(path);
+  if (upstream.whenListening) {
+    upstream.whenListening(() => authorize(upstream, path, callback));
+    return;
+  }
+  authorize(upstream, path, callback);
+}
+
+function authorize(upstream, path, callback) {
+  const separator = path.includes('?') ? '&' : '?';
+
+  if (upstream.auth) {
+    callback(null, `${path}${separator}auth=${encodeURIComponent(upstream.auth)}`);
+    return;
+  }
+
+  if (upstream.getAccessToken) {
+    upstream.getAccessToken((err, token) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, `${path}${separator}access_token=${encodeURIComponent(token)}`);
+    });
+    return;
+  }
+
+  callback(null, path);
+}
+
+/**
+ * Send a request to the upstream serving `path` (already authorized)
+ * Returns the ClientRequest; onResponse gets the response as usual.
+ */
+function upstreamRequest(method, path, headers, onResponse) {
+  const upstream = upstreamFor(path);
+  const separator = path.includes('?') ? '&' : '?';
+
+  return upstream.transport.request({
+    hostname: upstream.hostname,
+    port: upstream.port,
+    path: upstream.namespace ? `${path}${separator}ns=${encodeURIComponent(upstream.namespace)}` : path,
+    method: method,
+    headers: headers
+  }, onResponse);
+}
+
+/**
+ * Open an SSE subscription to a Firebase path (already authorized)
+ */
+function openStream(path, onResponse) {
+  const streamReq = upstreamRequest('GET', path, {
+    'Accept': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  }, onResponse);
+  streamReq.end();
+  return streamReq;
+}
+
+/**
+ * Read the JSON value at a Firebase path (REST GET)
+ * callback(err, value)
+ */
+function getJson(path, callback) {
+  withAuth(path, (authErr, authorizedPath) => {
+    if (authErr) {
+      callback(authErr);
+      return;
+    }
+
+    const firebaseReq = upstreamRequest('GET', authorizedPath, {}, (firebaseRes) => {
+      let responseData = '';
+      firebaseRes.on('data', (chunk) => {
+        responseData += chunk.toString();
+      });
+      firebaseRes.on('end', () => {
+        if (firebaseRes.statusCode !== 200) {
+          callback(new Error(`Firebase returned ${firebaseRes.statusCode}`));
+          return;
+        }
+        try {
+          callback(null, JSON.parse(responseData));
+        } catch (e) {
+          callback(e);
+        }
+      });
+    });
+
+    firebaseReq.on('error', callback);
+    firebaseReq.end();
+  });
+}
+
+/**
+ * Write a JSON value to a Firebase path (REST PUT/PATCH/POST)
+ * callback(err, statusCode, responseData) - err only for connection failures
+ */
+function writeJson(method, path, value, callback) {
+  withAuth(path, (authErr, authorizedPath) => {
+    if (authErr) {
+      callback(authErr);
+      return;
+    }
+
+    const body = JSON.stringify(value);
+    const firebaseReq = upstreamRequest(method, authorizedPath, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    }, (firebaseRes) => {
+      let responseData = '';
+      firebaseRes.on('data', (chunk) => {
+        responseData += chunk.toString();
+      });
+      firebaseRes.on('end', () => {
+        callback(null, firebaseRes.statusCode, responseData);
+      });
+    });
+
+    firebaseReq.on('error', callback);
+    firebaseReq.write(body);
+    firebaseReq.end();
+  });
+}
+
+function authMode(upstream) {
+  if (upstream.auth) return 'auth token';
+  if (upstream.serviceAccount) return `service account (${upstream.serviceAccount.client_email})`;
+  return 'none (public rules)';
+}
+
+/**
+ * One line per upstream: where it points, its credential and the device
+ * prefixes routed to it (for logs/banner)
+ */
+function describeUpstreams() {
+  return Object.keys(upstreams).map((name) => {
+    const upstream = upstreams[name];
+    const routed = prefixes.filter((route) => route.upstream === upstream).map((route) => `${route.prefix}*`);
+    return `${name}: ${upstream.label}, auth ${authMode(upstream)}${routed.length > 0 ? `, devices ${routed.join(' ')}` : ''}`;
+  });
+}
+
+module.exports = { withAuth, openStream, getJson, writeJson, describeUpstreams };
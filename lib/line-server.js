@@ -0,0 +1,285 @@
+/**
+ * Raw TCP line-protocol listener
+ *
+ * For modems (EC200U via AT commands) that struggle to frame HTTP requests
+ * and parse SSE. Every message in both directions is one JSON object per
+ * line ("\n"-terminated).
+ *
+ * Device → proxy:
+ *   {"type":"hello","device":"dev_xxx","token":"<secret>"}
+ *   {"type":"hello","device":"dev_xxx","timestamp":1700000000,"nonce":"..","signature":".."}
+ *       signature = HMAC as for HTTP, with METHOD "HELLO", PATH "/line/{device}", empty body
+ *   {"type":"update","id":1,"relay":5,"state":true}
+ *   {"type":"update","id":1,"relay":5,"state":true,"ack":"c_..."}   also confirms that relay command
+ *   {"type":"power","id":2,"data":{"phase_a":{...}}}
+ *   {"type":"ping"}
+ *
+ * Proxy → device:
+ *   {"type":"hello","ok":true,"device":"dev_xxx","heartbeat":10000}
+ *   the same relay/schedule/power/auth_numbers/enabled/upstream events as GET /device/{id}
+ *   {"type":"ack","id":1,"ok":true,"status":200,...}   one per update/power line
+ *                                                       (status 202 + "queued":true when Firebase is down)
+ *   {"type":"ping"}                                       after LINE_HEARTBEAT_MS of silence
+ *   {"type":"error","code":"...","details":"..."}       e.g. too_many_connections in reply to hello, then closed
+ *   {"type":"server_restart","retry_ms":12345}          before the proxy closes the connection on shutdown
+ */
+
+const net = require('net');
+const { log, logError, newLogId, withLogContext, addLogContext, bindLogContext } = require('./log');
+const { STREAM_TYPES, getDeviceHub } = require('./device-hub');
+const { admitConnection, trackConnection } = require('./presence');
+const { acknowledgeCommand } = require('./relay-commands');
+const { loadProfile } = require('./device-profile');
+const { loadSubscription } = require('./subscription');
+const { authenticateCredentials } = require('./auth');
+const { writeRelayState, writePower } = require('./writes');
+const { onDrain, restartEvent } = require('./drain');
+const {
+  MAX_BODY_BYTES,
+  validateDeviceId,
+  validateProfileRelay,
+  validateRelayUpdate,
+  validatePowerUpload
+} = require('./validation');
+
+// Send a ping when nothing else was written for this long (Railway kills idle connections at ~30s)
+const LINE_HEARTBEAT_MS = parseInt(process.env.LINE_HEARTBEAT_MS || '10000', 10);
+
+// Connections that do not say hello in time are dropped
+const LINE_HELLO_TIMEOUT_MS = parseInt(process.env.LINE_HELLO_TIMEOUT_MS || '15000', 10);
+
+/**
+ * Handle one TCP connection
+ */
+function handleConnection(socket) {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  log(`🔗 Line client connected: ${remote}`);
+
+  socket.setEncoding('utf8');
+  socket.setNoDelay(true);
+  socket.setKeepAlive(true, 30000);
+
+  let buffer = '';
+  let device = null;
+  let authenticating = false;
+  let unsubscribe = null;
+  let presence = null;
+  let lastWrite = Date.now();
+
+  function send(message, callback) {
+    if (!socket.writable) return;
+    const line = JSON.stringify(message) + '\n';
+    if (presence) presence.sent(Buffer.byteLength(line));
+    socket.write(line, callback);
+    lastWrite = Date.now();
+  }
+
+  function sendError(code, details, id) {
+    const message = { type: 'error', code: code, details: details };
+    if (id !== undefined) message.id = id;
+    send(message);
+  }
+
+  function sendAck(id, result) {
+    send(Object.assign({ type: 'ack', id: id, ok: result.status < 300 }, result.payload, { status: result.status }));
+  }
+
+  function sendProblem(id, problem) {
+    send({ type: 'ack', id: id, ok: false, status: 400, error: 'Validation failed', code: problem.code, field: problem.field, details: problem.details });
+  }
+
+  const helloTimer = setTimeout(() => {
+    if (device) return;
+    log(`⏱️  Line client ${remote} sent no hello`);
+    sendError('hello_timeout', `Send hello within ${LINE_HELLO_TIMEOUT_MS}ms`);
+    socket.end();
+  }, LINE_HELLO_TIMEOUT_MS);
+
+  const stopDrain = onDrain((retryMs) => {
+    send(restartEvent(retryMs));
+    socket.end();
+  });
+
+  const heartbeatInterval = setInterval(() => {
+    if (Date.now() - lastWrite >= LINE_HEARTBEAT_MS) {
+      send({ type: 'ping' }, (err) => {
+        if (presence) presence.keepAlive(err);
+      });
+    }
+  }, Math.max(1000, Math.floor(LINE_HEARTBEAT_MS / 2)));
+
+  function handleHello(message) {
+    if (device || authenticating) {
+      sendError('already_authenticated', 'hello may only be sent once');
+      return;
+    }
+
+    const problem = validateDeviceId(message.device);
+    if (problem) {
+      sendError(problem.code, problem.details);
+      socket.end();
+      return;
+    }
+
+    authenticating = true;
+    authenticateCredentials(message.device, {
+      token: message.token,
+      timestamp: message.timestamp,
+      nonce: message.nonce,
+      signature: message.signature,
+      method: 'HELLO',
+      path: `/line/${message.device}`,
+      body: ''
+    }, (authErr) => {
+      if (socket.destroyed) return;
+
+      if (authErr) {
+        authenticating = false;
+        sendError(authErr.status === 401 ? 'unauthorized' : 'forbidden', authErr.details);
+        socket.end();
+        return;
+      }
+
+      // Subscription status is known before any event is sent; a disabled
+      // device stays connected and gets {"type":"disabled"} as on /device
+      loadSubscription(message.device, () => {
+        authenticating = false;
+        if (socket.destroyed) return;
+
+        const refused = admitConnection(message.device, socket.remoteAddress, 'line');
+        if (refused) {
+          sendError(refused.payload.code, refused.payload.details);
+          socket.end();
+          return;
+        }
+
+        device = message.device;
+        addLogContext({ device: device });
+        clearTimeout(helloTimer);
+        log(`🔗 Line client ${remote} is ${device}`);
+
+        presence = trackConnection(device, {
+          type: 'line',
+          ip: socket.remoteAddress,
+          streams: STREAM_TYPES,
+          slot: 'line',
+          onStale: () => socket.destroy()
+        });
+        send({ type: 'hello', ok: true, device: device, heartbeat: LINE_HEARTBEAT_MS });
+        unsubscribe = getDeviceHub(device).subscribe((event) => send(event));
+      });
+    });
+  }
+
+  function handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      sendError('invalid_json', e.message);
+      return;
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      sendError('invalid_message', 'Each line must be a JSON object');
+      return;
+    }
+
+    if (message.type === 'hello') {
+      handleHello(message);
+      return;
+    }
+
+    if (message.type === 'ping') {
+      send({ type: 'pong' });
+      return;
+    }
+
+    if (!device) {
+      sendError('hello_required', 'Send hello first', message.id);
+      return;
+    }
+
+    if (message.type === 'update') {
+      const update = { device: device, relay: message.relay, state: message.state, ack: message.ack };
+      const problem = validateRelayUpdate(update);
+      if (problem) {
+        sendProblem(message.id, problem);
+        return;
+      }
+      loadProfile(device, (profile) => {
+        const relayProblem = validateProfileRelay(update.relay, profile);
+        if (relayProblem) {
+          sendProblem(message.id, relayProblem);
+          return;
+        }
+        writeRelayState(device, update.relay, update.state, socket.remoteAddress, (result) => {
+          if (!update.ack || result.status >= 300) {
+            sendAck(message.id, result);
+            return;
+          }
+          acknowledgeCommand(device, update.ack, update.state, (ackResult) => {
+            const ack = ackResult.status === 200 ? ackResult.payload.status : ackResult.payload.code;
+            sendAck(message.id, { status: result.status, payload: Object.assign({}, result.payload, { ack: ack }) });
+          });
+        });
+      });
+      return;
+    }
+
+    if (message.type === 'power') {
+      const upload = { device: device, data: message.data };
+      const problem = validatePowerUpload(upload);
+      if (problem) {
+        sendProblem(message.id, problem);
+        return;
+      }
+      writePower(device, upload.data, (result) => sendAck(message.id, result));
+      return;
+    }
+
+    sendError('unknown_type', `Unknown message type: ${message.type}`, message.id);
+  }
+
+  socket.on('data', bindLogContext((chunk) => {
+    if (presence) presence.seen();
+    buffer += chunk;
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    if (buffer.length > MAX_BODY_BYTES) {
+      sendError('line_too_long', `Lines must be at most ${MAX_BODY_BYTES} bytes`);
+      socket.end();
+      buffer = '';
+      return;
+    }
+
+    lines.forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (line) handleLine(line);
+    });
+  }));
+
+  socket.on('error', bindLogContext((err) => {
+    logError(`❌ Line client ${remote} error: ${err.message}`);
+  }));
+
+  socket.on('close', bindLogContext(() => {
+    log(`🔌 Line client disconnected: ${device || remote}`);
+    clearTimeout(helloTimer);
+    clearInterval(heartbeatInterval);
+    stopDrain();
+    if (unsubscribe) unsubscribe();
+    if (presence) presence.close();
+  }));
+}
+
+/**
+ * Create the line-protocol server (not yet listening)
+ */
+function createLineServer() {
+  return net.createServer((socket) => withLogContext({ conn: newLogId() }, () => handleConnection(socket)));
+}
+
+module.exports = { createLineServer };
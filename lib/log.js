@@ -0,0 +1,176 @@
+/**
+ * Shared logging helpers
+ *
+ * log() / logDebug() / logWarn() / logError() write one line per call at
+ * their level; lines below LOG_LEVEL are dropped. LOG_FORMAT=json writes
+ * JSON lines instead of text:
+ *   {"time":"...","level":"info","msg":"Relay update request from 1.2.3.4","req":"9f2c41d0","device":"dev_abc"}
+ *
+ * Every line carries the log context of the request or connection it was
+ * written for (withLogContext): a request ID for HTTP requests, including
+ * a /device stream for its whole life, a connection ID for line protocol
+ * and MQTT sessions, and the device once it is known. The context follows
+ * callbacks and timers started within it; handlers for events on sockets
+ * opened before it (req 'end' / 'close', socket 'data') and callbacks
+ * queued behind another request's read need bindLogContext().
+ *
+ * Phone numbers and credentials are masked in every line (redact()).
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// debug, info, warn or error; DEBUG=true is the older spelling of debug
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : process.env.DEBUG === 'true' ? 'debug' : 'info';
+
+// text (timestamped lines, as before) or json (one object per line)
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// Chatty lines sampled with sampleLog() are written at most once per key per this long (0 = all)
+const LOG_SAMPLE_MS = parseInt(process.env.LOG_SAMPLE_MS || '60000', 10);
+
+// Forget sample keys idle for a window once this many are tracked
+const SAMPLE_PRUNE_AFTER = 10000;
+
+// Emoji the text format opens lines with; dropped from JSON messages
+const LEADING_EMOJI = /^\p{Extended_Pictographic}[\p{Extended_Pictographic}\uFE0F\u200D]*\s*/u;
+
+const REDACTIONS = [
+  // E.164 phone numbers (authorized_numbers): keep the last two digits
+  [/\+\d[\d -]{6,18}\d/g, (number) => `+${'*'.repeat(number.replace(/\D/g, '').length - 2)}${number.slice(-2)}`],
+  // Authorization header values
+  [/\b(Bearer|Basic)\s+[^\s,;"']+/gi, '$1 [redacted]'],
+  // Credentials in query strings
+  [/([?&](?:auth|access_token|token|key|secret|sig|signature|password)=)[^&\s"']*/gi, '$1[redacted]'],
+  // "secret": "...", token=..., X-Device-Signature: ...
+  [/("?\b(?:secret|token|access_token|password|private_key|signature|authorization)"?\s*[:=]\s*)("[^"]*"|[^\s,;&}"]+)/gi, '$1[redacted]']
+];
+
+const context = new AsyncLocalStorage();
+
+// sample key -> {windowStart, skipped}
+const samples = new Map();
+
+/**
+ * Mask phone numbers and credentials in a log message
+ */
+function redact(text) {
+  return REDACTIONS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), String(text));
+}
+
+function write(level, message) {
+  const fields = context.getStore() || {};
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  // Sampled-out work still reports problems
+  if (fields.quiet && LEVELS[level] < LEVELS.warn) return;
+
+  const timestamp = new Date().toISOString();
+  const text = redact(message);
+
+  if (LOG_FORMAT === 'json') {
+    const line = { time: timestamp, level: level, msg: text.replace(LEADING_EMOJI, '').trim() };
+    Object.keys(fields).forEach((key) => {
+      if (key !== 'quiet') line[key] = fields[key];
+    });
+    console.log(JSON.stringify(line));
+    return;
+  }
+
+  const id = fields.req || fields.conn || fields.write;
+  console.log(`[${timestamp}] ${id ? `[${id}] ` : ''}${text}`);
+}
+
+function log(message) {
+  write('info', message);
+}
+
+function logDebug(message) {
+  write('debug', message);
+}
+
+function logWarn(message) {
+  write('warn', message);
+}
+
+function logError(message) {
+  write('error', message);
+}
+
+/**
+ * A new request / connection ID
+ */
+function newLogId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Run fn with the current log context plus fields
+ */
+function withLogContext(fields, fn) {
+  return context.run(Object.assign({}, context.getStore(), fields), fn);
+}
+
+/**
+ * Run fn in a log context holding only fields, for work that outlives the
+ * request that started it (device hubs, queue replays)
+ */
+function detachedLogContext(fields, fn) {
+  return context.run(Object.assign({}, fields), fn);
+}
+
+/**
+ * Add fields (e.g. the device, once the body is parsed) to the current context
+ */
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Bind fn to the current log context
+ */
+function bindLogContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Sample a chatty line (e.g. per-device power uploads)
+ * Returns null when the line should be skipped, otherwise how many were
+ * skipped for this key since the last one written.
+ */
+function sampleLog(key) {
+  if (LOG_SAMPLE_MS <= 0) return 0;
+
+  const now = Date.now();
+  const sample = samples.get(key);
+  if (sample && now - sample.windowStart < LOG_SAMPLE_MS) {
+    sample.skipped++;
+    return null;
+  }
+
+  if (!sample && samples.size >= SAMPLE_PRUNE_AFTER) {
+    samples.forEach((old, oldKey) => {
+      if (now - old.windowStart >= LOG_SAMPLE_MS) samples.delete(oldKey);
+    });
+  }
+  samples.set(key, { windowStart: now, skipped: 0 });
+  return sample ? sample.skipped : 0;
+}
+
+module.exports = {
+  LOG_LEVEL,
+  LOG_FORMAT,
+  log,
+  logDebug,
+  logWarn,
+  logError,
+  redact,
+  newLogId,
+  withLogContext,
+  detachedLogContext,
+  addLogContext,
+  bindLogContext,
+  sampleLog
+};
@@ -0,0 +1,129 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal registry (no dependencies): modules define their own counters,
+ * histograms and collected gauges at load time, and GET /metrics renders
+ * them in the text exposition format (version 0.0.4).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Metrics in registration order
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels || {});
+  if (names.length === 0) return '';
+  return `{${names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(labels || {});
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Monotonic counter: inc(labels, amount = 1)
+ */
+function counter(name, help) {
+  const series = new Map();
+
+  registry.push({
+    name: name,
+    help: help,
+    type: 'counter',
+    lines: () => Array.from(series.values()).map((entry) => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+  });
+
+  return {
+    inc: (labels, amount) => {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels: labels || {}, value: 0 };
+      entry.value += amount === undefined ? 1 : amount;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Gauge read at scrape time: collect() returns [{labels, value}]
+ */
+function gauge(name, help, collect) {
+  registry.push({
+    name: name,
+    help: help,
+    type: 'gauge',
+    lines: () => collect().map((sample) => `${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+  });
+}
+
+/**
+ * Histogram: observe(labels, value)
+ */
+function histogram(name, help, buckets) {
+  const bounds = (buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  const series = new Map();
+
+  registry.push({
+    name: name,
+    help: help,
+    type: 'histogram',
+    lines: () => {
+      const lines = [];
+      series.forEach((entry) => {
+        let cumulative = 0;
+        bounds.forEach((bound, i) => {
+          cumulative += entry.counts[i];
+          const labels = Object.assign({}, entry.labels, { le: formatValue(bound) });
+          lines.push(`${name}_bucket${formatLabels(labels)} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  });
+
+  return {
+    observe: (labels, value) => {
+      const key = labelKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: labels || {}, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const index = bounds.findIndex((bound) => value <= bound);
+      if (index >= 0) entry.counts[index]++;
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+/**
+ * Render every registered metric
+ */
+function renderMetrics() {
+  const out = [];
+  registry.forEach((metric) => {
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    metric.lines().forEach((line) => out.push(line));
+  });
+  return out.join('\n') + '\n';
+}
+
+module.exports = { CONTENT_TYPE, counter, gauge, histogram, renderMetrics };
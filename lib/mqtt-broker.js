@@ -0,0 +1,851 @@
+/**
+ * Embedded MQTT 3.1.1 broker bridged to Firebase
+ *
+ * Lets boards with MQTT firmware use the same data model as the SSE routes.
+ * Each client logs in with username = device ID and password = device secret
+ * and may only touch topics under devices/{its id}/.
+ *
+ * Retained topics (mirrored from the device hub, so they share its Firebase streams):
+ *   devices/{id}/relays/{n}/state      true | false
+ *   devices/{id}/relays/{n}/command    "c_..." while a relay command is unacknowledged, else null
+ *   devices/{id}/schedules             full schedules JSON
+ *   devices/{id}/power                 latest power JSON
+ *   devices/{id}/authorized_numbers    JSON array
+ *   devices/{id}/enabled               true | false
+ *   devices/{id}/upstream/{stream}     {"status":"up"|"down",...}
+ *
+ * Not retained:
+ *   devices/{id}/alerts                power alert JSON (lib/power-alerts.js)
+ *   devices/{id}/errors                {"topic":...,"status":402|429,"code":...} for a refused publish
+ *
+ * Device publishes turned into Firebase writes (same as POST /update, POST /ack, POST /power):
+ *   devices/{id}/relays/{n}/state      true | false
+ *   devices/{id}/ack                   {"command":"c_...","state":true}
+ *   devices/{id}/power                 PZEM JSON payload
+ *
+ * QoS 0 and 1 are supported in both directions (QoS 2 publishes are accepted
+ * and completed). A QoS 1 publish is only acknowledged after the Firebase
+ * write succeeded (or was queued), so clients resend it after reconnecting
+ * if it failed or was refused (subscription disabled, rate limited).
+ * QoS 1 messages the client has not acknowledged are sent again, with DUP
+ * set, every MQTT_RETRY_MS. A client connecting with cleanSession=0 gets its
+ * subscriptions and unacknowledged messages back, plus the current retained
+ * state, if it returns within MQTT_SESSION_EXPIRY_MS (kept in memory only).
+ */
+
+const net = require('net');
+const { log, logDebug, logError, logWarn, newLogId, withLogContext, addLogContext, bindLogContext } = require('./log');
+const { STREAM_TYPES, getDeviceHub } = require('./device-hub');
+const { admitConnection, trackConnection } = require('./presence');
+const { acknowledgeCommand } = require('./relay-commands');
+const { loadProfile } = require('./device-profile');
+const { loadSubscription } = require('./subscription');
+const { authenticateCredentials } = require('./auth');
+const { writeRelayState, writePower } = require('./writes');
+const { onDrain } = require('./drain');
+const {
+  MAX_BODY_BYTES,
+  validateDeviceId,
+  validateProfileRelay,
+  validateRelayUpdate,
+  validateCommandAck,
+  validatePowerUpload
+} = require('./validation');
+
+// Control packet types
+const CONNECT = 1;
+const CONNACK = 2;
+const PUBLISH = 3;
+const PUBACK = 4;
+const PUBREC = 5;
+const PUBREL = 6;
+const PUBCOMP = 7;
+const SUBSCRIBE = 8;
+const SUBACK = 9;
+const UNSUBSCRIBE = 10;
+const UNSUBACK = 11;
+const PINGREQ = 12;
+const PINGRESP = 13;
+const DISCONNECT = 14;
+
+// CONNACK return codes
+const CONNACK_ACCEPTED = 0;
+const CONNACK_BAD_PROTOCOL = 1;
+const CONNACK_BAD_CLIENT_ID = 2;
+const CONNACK_SERVER_UNAVAILABLE = 3;
+const CONNACK_BAD_CREDENTIALS = 4;
+const CONNACK_NOT_AUTHORIZED = 5;
+
+// Largest packet accepted from a client (power payloads are the biggest)
+const MQTT_MAX_PACKET_BYTES = MAX_BODY_BYTES + 1024;
+
+// Unacknowledged QoS 1 messages to a client are sent again after this long
+const MQTT_RETRY_MS = parseInt(process.env.MQTT_RETRY_MS || '20000', 10);
+
+// How long a cleanSession=0 client's session outlives its connection
+const MQTT_SESSION_EXPIRY_MS = parseInt(process.env.MQTT_SESSION_EXPIRY_MS || '3600000', 10);
+
+// Unacknowledged QoS 1 messages kept per client; the oldest are dropped beyond this
+const MQTT_MAX_INFLIGHT = 100;
+
+// Retained topics a disabled subscription withholds (relay and schedule state)
+const WITHHELD_TOPIC = /^devices\/[^/]+\/(relays\/|schedules$)/;
+
+// clientId -> client
+const clientsById = new Map();
+
+// clientId -> {device, subscriptions, inflight, nextPacketId, expiresAt} of
+// persistent sessions whose client is not connected
+const sessions = new Map();
+
+const sessionSweep = setInterval(() => {
+  const now = Date.now();
+  sessions.forEach((session, clientId) => {
+    if (session.expiresAt <= now) sessions.delete(clientId);
+  });
+}, 60000);
+sessionSweep.unref();
+
+// deviceId -> {clients, retained: Map(topic -> payload), unsubscribe}
+const bridges = new Map();
+
+// ---------------------------------------------------------------------------
+// Packet encoding
+// ---------------------------------------------------------------------------
+
+function encodeLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const data = Buffer.from(value, 'utf8');
+  const header = Buffer.alloc(2);
+  header.writeUInt16BE(data.length, 0);
+  return Buffer.concat([header, data]);
+}
+
+function encodePacket(type, flags, body) {
+  return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+}
+
+function encodePacketId(packetId) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(packetId, 0);
+  return buf;
+}
+
+function encodePublish(topic, payload, qos, retain, packetId, dup) {
+  const parts = [encodeString(topic)];
+  if (qos > 0) parts.push(encodePacketId(packetId));
+  parts.push(Buffer.from(payload, 'utf8'));
+
+  const flags = (dup ? 0x08 : 0) | (qos << 1) | (retain ? 1 : 0);
+  return encodePacket(PUBLISH, flags, Buffer.concat(parts));
+}
+
+/**
+ * Incremental packet reader: onPacket({type, flags, body}) per complete packet
+ * Throws on malformed or oversized packets.
+ */
+function createPacketReader(onPacket) {
+  let buffer = Buffer.alloc(0);
+
+  return function push(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 2) {
+      let multiplier = 1;
+      let length = 0;
+      let offset = 1;
+      let complete = false;
+
+      while (offset < buffer.length && offset <= 4) {
+        const byte = buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        if ((byte & 0x80) === 0) {
+          complete = true;
+          break;
+        }
+      }
+
+      if (!complete) {
+        if (offset > 4) throw new Error('Malformed remaining length');
+        return;
+      }
+      if (length > MQTT_MAX_PACKET_BYTES) {
+        throw new Error(`Packet of ${length} bytes exceeds ${MQTT_MAX_PACKET_BYTES}`);
+      }
+      if (buffer.length < offset + length) return;
+
+      const header = buffer[0];
+      const body = buffer.slice(offset, offset + length);
+      buffer = buffer.slice(offset + length);
+      onPacket({ type: header >> 4, flags: header & 0x0f, body: body });
+    }
+  };
+}
+
+function readString(body, offset) {
+  if (offset + 2 > body.length) throw new Error('Truncated string');
+  const length = body.readUInt16BE(offset);
+  if (offset + 2 + length > body.length) throw new Error('Truncated string');
+  return { value: body.toString('utf8', offset + 2, offset + 2 + length), offset: offset + 2 + length };
+}
+
+function readBinary(body, offset) {
+  if (offset + 2 > body.length) throw new Error('Truncated field');
+  const length = body.readUInt16BE(offset);
+  if (offset + 2 + length > body.length) throw new Error('Truncated field');
+  return { value: body.slice(offset + 2, offset + 2 + length), offset: offset + 2 + length };
+}
+
+function parseConnect(body) {
+  let field = readString(body, 0);
+  const protocolName = field.value;
+  let offset = field.offset;
+
+  const protocolLevel = body[offset++];
+  const flags = body[offset++];
+  const keepAlive = body.readUInt16BE(offset);
+  offset += 2;
+
+  field = readString(body, offset);
+  const connect = {
+    protocolName: protocolName,
+    protocolLevel: protocolLevel,
+    cleanSession: (flags & 0x02) !== 0,
+    keepAlive: keepAlive,
+    clientId: field.value,
+    will: null,
+    username: null,
+    password: null
+  };
+  offset = field.offset;
+
+  if (flags & 0x04) {
+    const topic = readString(body, offset);
+    const message = readBinary(body, topic.offset);
+    connect.will = {
+      topic: topic.value,
+      payload: message.value,
+      qos: (flags >> 3) & 0x03,
+      retain: (flags & 0x20) !== 0
+    };
+    offset = message.offset;
+  }
+  if (flags & 0x80) {
+    field = readString(body, offset);
+    connect.username = field.value;
+    offset = field.offset;
+  }
+  if (flags & 0x40) {
+    field = readBinary(body, offset);
+    connect.password = field.value.toString('utf8');
+    offset = field.offset;
+  }
+
+  return connect;
+}
+
+function parsePublish(packet) {
+  const qos = (packet.flags >> 1) & 0x03;
+  const topic = readString(packet.body, 0);
+  let offset = topic.offset;
+  let packetId = null;
+
+  if (qos > 0) {
+    packetId = packet.body.readUInt16BE(offset);
+    offset += 2;
+  }
+
+  return {
+    topic: topic.value,
+    qos: qos,
+    retain: (packet.flags & 0x01) !== 0,
+    packetId: packetId,
+    payload: packet.body.slice(offset)
+  };
+}
+
+/**
+ * Does a subscription filter (with + and # wildcards) match a topic?
+ */
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// ---------------------------------------------------------------------------
+// Device hub bridge
+// ---------------------------------------------------------------------------
+
+/**
+ * Map a multiplexed hub event to MQTT messages (retained unless retain: false)
+ */
+function eventToMessages(deviceId, event) {
+  const base = `devices/${deviceId}`;
+
+  switch (event.type) {
+    case 'relay':
+      return [
+        { topic: `${base}/relays/${event.relay}/state`, payload: JSON.stringify(event.state) },
+        { topic: `${base}/relays/${event.relay}/command`, payload: JSON.stringify(event.command || null) }
+      ];
+    case 'schedule':
+      return [{ topic: `${base}/schedules`, payload: JSON.stringify(event.schedules) }];
+    case 'power':
+      return [{ topic: `${base}/power`, payload: JSON.stringify(event.power) }];
+    case 'auth_numbers':
+      return [{ topic: `${base}/authorized_numbers`, payload: JSON.stringify(event.numbers) }];
+    case 'enabled':
+      return [{ topic: `${base}/enabled`, payload: JSON.stringify(event.enabled) }];
+    case 'upstream': {
+      const status = { status: event.status };
+      if (event.reason) status.reason = event.reason;
+      return [{ topic: `${base}/upstream/${event.stream}`, payload: JSON.stringify(status) }];
+    }
+    case 'alert': {
+      const alert = Object.assign({}, event);
+      delete alert.type;
+      return [{ topic: `${base}/alerts`, payload: JSON.stringify(alert), retain: false }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Attach an MQTT client to its device's bridge, creating it on first use
+ */
+function attachToBridge(client) {
+  let bridge = bridges.get(client.device);
+
+  if (!bridge) {
+    bridge = { clients: new Set(), retained: new Map(), unsubscribe: null };
+    bridges.set(client.device, bridge);
+
+    const deviceId = client.device;
+    bridge.unsubscribe = getDeviceHub(deviceId).subscribe((event) => {
+      // The hub withholds relay and schedule events while the subscription
+      // is disabled, so new subscribers must not get the retained ones either
+      if (event.type === 'disabled') {
+        bridge.retained.forEach((payload, topic) => {
+          if (WITHHELD_TOPIC.test(topic)) bridge.retained.delete(topic);
+        });
+      }
+      eventToMessages(deviceId, event).forEach((message) => {
+        const retain = message.retain !== false;
+        if (retain) bridge.retained.set(message.topic, message.payload);
+        bridge.clients.forEach((subscriber) => {
+          deliver(subscriber, message.topic, message.payload, retain);
+        });
+      });
+    });
+  }
+
+  bridge.clients.add(client);
+}
+
+function detachFromBridge(client) {
+  const bridge = bridges.get(client.device);
+  if (!bridge) return;
+
+  bridge.clients.delete(client);
+  if (bridge.clients.size === 0) {
+    bridge.unsubscribe();
+    bridges.delete(client.device);
+  }
+}
+
+/**
+ * Send a message to a client if any of its subscriptions match
+ */
+function deliver(client, topic, payload, retain) {
+  let qos = -1;
+  client.subscriptions.forEach((grantedQos, filter) => {
+    if (topicMatches(filter, topic)) qos = Math.max(qos, grantedQos);
+  });
+  if (qos < 0) return;
+
+  sendPublish(client, topic, payload, qos, retain);
+}
+
+/**
+ * Send the bridge's retained messages matching any of the filters
+ */
+function sendRetained(client, filters) {
+  const bridge = bridges.get(client.device);
+  if (!bridge) return;
+
+  bridge.retained.forEach((payload, topic) => {
+    if (filters.some((filter) => topicMatches(filter, topic))) {
+      deliver(client, topic, payload, true);
+    }
+  });
+}
+
+function sendPublish(client, topic, payload, qos, retain) {
+  if (qos === 0) {
+    write(client, encodePublish(topic, payload, 0, retain, null, false));
+    return;
+  }
+
+  // A newer retained value replaces one still waiting for its PUBACK
+  client.inflight.forEach((message, packetId) => {
+    if (retain && message.retain && message.topic === topic) client.inflight.delete(packetId);
+  });
+  if (client.inflight.size >= MQTT_MAX_INFLIGHT) {
+    logWarn(`⚠️  MQTT ${client.id}: ${client.inflight.size} messages unacknowledged, dropping the oldest`);
+    client.inflight.delete(client.inflight.keys().next().value);
+  }
+
+  let packetId;
+  do {
+    client.nextPacketId = (client.nextPacketId % 65535) + 1;
+    packetId = client.nextPacketId;
+  } while (client.inflight.has(packetId));
+
+  client.inflight.set(packetId, { topic: topic, payload: payload, retain: retain, sentAt: Date.now() });
+  write(client, encodePublish(topic, payload, 1, retain, packetId, false));
+}
+
+/**
+ * Send unacknowledged QoS 1 messages last sent before `before` again, with DUP set
+ */
+function resendInflight(client, before) {
+  const now = Date.now();
+  client.inflight.forEach((message, packetId) => {
+    if (message.sentAt >= before) return;
+    message.sentAt = now;
+    write(client, encodePublish(message.topic, message.payload, 1, message.retain, packetId, true));
+  });
+}
+
+function write(client, buffer) {
+  if (!client.socket.writable) return;
+  if (client.presence) client.presence.sent(buffer.length);
+  client.socket.write(buffer);
+}
+
+// ---------------------------------------------------------------------------
+// Connection handling
+// ---------------------------------------------------------------------------
+
+function handleConnection(socket) {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+
+  const client = {
+    socket: socket,
+    id: null,
+    device: null,
+    connected: false,
+    cleanSession: true,
+    subscriptions: new Map(),
+    inflight: new Map(),
+    nextPacketId: 0,
+    will: null,
+    presence: null
+  };
+
+  // MQTT 3.1.1 has no server-side DISCONNECT; on shutdown just close cleanly
+  const stopDrain = onDrain(() => socket.end());
+
+  // CONNECT must arrive promptly
+  socket.setTimeout(10000);
+  socket.setNoDelay(true);
+
+  // QoS 1 messages go out again until the client acknowledges them
+  const retryInterval = setInterval(() => {
+    resendInflight(client, Date.now() - MQTT_RETRY_MS);
+  }, Math.max(1000, Math.floor(MQTT_RETRY_MS / 2)));
+
+  function close(reason) {
+    if (reason) logDebug(`📡 MQTT ${client.id || remote} closing: ${reason}`);
+    socket.destroy();
+  }
+
+  function ownsTopic(topic) {
+    return topic.startsWith(`devices/${client.device}/`);
+  }
+
+  // Tell the client why a publish was refused (only it gets the message)
+  function publishError(topic, result) {
+    const error = Object.assign({ topic: topic, status: result.status }, result.payload);
+    deliver(client, `devices/${client.device}/errors`, JSON.stringify(error), false);
+  }
+
+  // Packets a client pipelines behind CONNECT (MQTT 3.1.1 §3.1.4 allows
+  // sending before CONNACK) wait here while authentication is pending
+  let pendingPackets = null;
+
+  function handleConnect(packet) {
+    if (client.connected) {
+      close('second CONNECT');
+      return;
+    }
+    pendingPackets = [];
+
+    let connect;
+    try {
+      connect = parseConnect(packet.body);
+    } catch (e) {
+      close(`malformed CONNECT: ${e.message}`);
+      return;
+    }
+
+    function connack(code, sessionPresent) {
+      write(client, encodePacket(CONNACK, 0, Buffer.from([sessionPresent ? 1 : 0, code])));
+      if (code !== CONNACK_ACCEPTED) socket.end();
+    }
+
+    if (connect.protocolName !== 'MQTT' || connect.protocolLevel !== 4) {
+      connack(CONNACK_BAD_PROTOCOL);
+      return;
+    }
+
+    const deviceId = connect.username || connect.clientId;
+    if (validateDeviceId(deviceId)) {
+      connack(connect.username ? CONNACK_BAD_CREDENTIALS : CONNACK_BAD_CLIENT_ID);
+      return;
+    }
+
+    authenticateCredentials(deviceId, { token: connect.password }, (authErr) => {
+      if (socket.destroyed) return;
+      if (authErr) {
+        connack(authErr.status === 401 ? CONNACK_BAD_CREDENTIALS : CONNACK_NOT_AUTHORIZED);
+        return;
+      }
+      // Subscription status is known before any retained state is sent; a
+      // disabled device stays connected with its relay and schedule topics
+      // withheld and devices/{id}/enabled false
+      loadSubscription(deviceId, () => {
+        if (socket.destroyed) return;
+        // Only a reconnect under the same client ID takes the session over;
+        // other clients of the device (monitoring tools) stay connected
+        const clientId = connect.clientId || `${deviceId}-${Date.now()}`;
+        const slot = `mqtt:${clientId}`;
+        if (admitConnection(deviceId, socket.remoteAddress, slot)) {
+          connack(CONNACK_SERVER_UNAVAILABLE);
+          return;
+        }
+
+        client.id = clientId;
+        client.device = deviceId;
+        client.connected = true;
+        client.cleanSession = connect.cleanSession;
+        addLogContext({ device: deviceId });
+        client.will = (connect.will && ownsTopic(connect.will.topic)) ? connect.will : null;
+
+        // A new connection with the same client ID replaces the old one
+        const existing = clientsById.get(client.id);
+        if (existing) {
+          existing.will = null;
+          existing.socket.destroy();
+        }
+        clientsById.set(client.id, client);
+
+        // cleanSession=0 picks up the session of the connection replaced
+        // above, or of one that ended within MQTT_SESSION_EXPIRY_MS
+        const previous = existing || sessions.get(client.id);
+        sessions.delete(client.id);
+        const resumed = !connect.cleanSession && Boolean(previous) && previous.device === deviceId;
+        if (resumed) {
+          client.subscriptions = previous.subscriptions;
+          client.inflight = previous.inflight;
+          client.nextPacketId = previous.nextPacketId;
+        }
+
+        // Keep-alive: allow 1.5x the negotiated interval
+        socket.setTimeout(connect.keepAlive > 0 ? connect.keepAlive * 1500 : 0);
+
+        client.presence = trackConnection(deviceId, {
+          type: 'mqtt',
+          ip: socket.remoteAddress,
+          streams: STREAM_TYPES,
+          // Liveness is the MQTT keep-alive; without one the client may stay quiet indefinitely
+          staleMs: connect.keepAlive > 0 ? connect.keepAlive * 1500 : Infinity,
+          slot: slot,
+          onStale: () => socket.destroy()
+        });
+
+        connack(CONNACK_ACCEPTED, resumed);
+        log(`📡 MQTT client ${client.id} connected as ${deviceId} from ${remote}${resumed ? ` (session resumed, ${client.inflight.size} unacknowledged)` : ''}`);
+        attachToBridge(client);
+
+        // Current state first (it supersedes unacknowledged retained values),
+        // then whatever else was not acknowledged
+        if (resumed) {
+          const resumedAt = Date.now();
+          sendRetained(client, Array.from(client.subscriptions.keys()));
+          resendInflight(client, resumedAt);
+        }
+
+        const pipelined = pendingPackets;
+        pendingPackets = null;
+        pipelined.forEach(handlePacket);
+      });
+    });
+  }
+
+  function handlePublish(packet) {
+    let message;
+    try {
+      message = parsePublish(packet);
+    } catch (e) {
+      close(`malformed PUBLISH: ${e.message}`);
+      return;
+    }
+
+    function acknowledge() {
+      if (message.qos === 1) {
+        write(client, encodePacket(PUBACK, 0, encodePacketId(message.packetId)));
+      } else if (message.qos === 2) {
+        write(client, encodePacket(PUBREC, 0, encodePacketId(message.packetId)));
+      }
+    }
+
+    if (!ownsTopic(message.topic)) {
+      logWarn(`🚫 MQTT ${client.id} may not publish to ${message.topic}`);
+      close('publish outside device namespace');
+      return;
+    }
+
+    // Invalid payloads are acknowledged and dropped: resending cannot fix them
+    let value;
+    try {
+      value = JSON.parse(message.payload.toString('utf8'));
+    } catch (e) {
+      logWarn(`❌ MQTT ${client.id} sent invalid JSON to ${message.topic}`);
+      acknowledge();
+      return;
+    }
+
+    // Failed Firebase writes stay unacknowledged so the client resends them
+    // (queued writes are durable, so they count as done). So do writes
+    // refused for a disabled subscription or the rate limit, which are also
+    // answered on devices/{id}/errors.
+    function handleResult(result) {
+      if (result.status < 300) {
+        acknowledge();
+      } else if (result.status === 402 || result.status === 429) {
+        log(`⛔ MQTT ${client.id} write to ${message.topic} refused: ${result.payload.code}`);
+        publishError(message.topic, result);
+      } else {
+        logError(`❌ MQTT ${client.id} write to ${message.topic} failed (${result.status}), left unacknowledged`);
+      }
+    }
+
+    const relayMatch = message.topic.match(/^devices\/[^/]+\/relays\/(\d+)\/state$/);
+    if (relayMatch) {
+      const update = { device: client.device, relay: parseInt(relayMatch[1], 10), state: value };
+      const problem = validateRelayUpdate(update);
+      if (problem) {
+        logWarn(`❌ MQTT ${client.id} ${message.topic}: ${problem.details}`);
+        acknowledge();
+        return;
+      }
+      loadProfile(update.device, (profile) => {
+        const relayProblem = validateProfileRelay(update.relay, profile);
+        if (relayProblem) {
+          logWarn(`❌ MQTT ${client.id} ${message.topic}: ${relayProblem.details}`);
+          acknowledge();
+          return;
+        }
+        writeRelayState(update.device, update.relay, update.state, client.socket.remoteAddress, handleResult);
+      });
+      return;
+    }
+
+    if (message.topic === `devices/${client.device}/ack`) {
+      const ack = Object.assign({}, value, { device: client.device });
+      const problem = validateCommandAck(ack);
+      if (problem) {
+        logWarn(`❌ MQTT ${client.id} ${message.topic}: ${problem.field} - ${problem.details}`);
+        acknowledge();
+        return;
+      }
+      // Unknown commands cannot become known by resending
+      acknowledgeCommand(client.device, ack.command, ack.state, () => acknowledge());
+      return;
+    }
+
+    if (message.topic === `devices/${client.device}/power`) {
+      const upload = { device: client.device, data: value };
+      const problem = validatePowerUpload(upload);
+      if (problem) {
+        logWarn(`❌ MQTT ${client.id} ${message.topic}: ${problem.field} - ${problem.details}`);
+        acknowledge();
+        return;
+      }
+      writePower(upload.device, upload.data, handleResult);
+      return;
+    }
+
+    logWarn(`⚠️  MQTT ${client.id} published to read-only topic ${message.topic}`);
+    acknowledge();
+  }
+
+  function handleSubscribe(packet) {
+    const body = packet.body;
+    const packetId = body.readUInt16BE(0);
+    const granted = [];
+    const newFilters = [];
+    let offset = 2;
+
+    while (offset < body.length) {
+      const field = readString(body, offset);
+      const requestedQos = body[field.offset] & 0x03;
+      offset = field.offset + 1;
+
+      if (ownsTopic(field.value)) {
+        const qos = Math.min(requestedQos, 1);
+        client.subscriptions.set(field.value, qos);
+        granted.push(qos);
+        newFilters.push(field.value);
+      } else {
+        logWarn(`🚫 MQTT ${client.id} may not subscribe to ${field.value}`);
+        granted.push(0x80);
+      }
+    }
+
+    write(client, encodePacket(SUBACK, 0, Buffer.concat([encodePacketId(packetId), Buffer.from(granted)])));
+
+    // Send retained state matching the new subscriptions
+    sendRetained(client, newFilters);
+  }
+
+  function handleUnsubscribe(packet) {
+    const body = packet.body;
+    const packetId = body.readUInt16BE(0);
+    let offset = 2;
+
+    while (offset < body.length) {
+      const field = readString(body, offset);
+      client.subscriptions.delete(field.value);
+      offset = field.offset;
+    }
+
+    write(client, encodePacket(UNSUBACK, 0, encodePacketId(packetId)));
+  }
+
+  function handlePacket(packet) {
+    if (pendingPackets) {
+      if (packet.type === CONNECT) {
+        close('second CONNECT');
+      } else {
+        pendingPackets.push(packet);
+      }
+      return;
+    }
+    if (!client.connected && packet.type !== CONNECT) {
+      close('packet before CONNECT');
+      return;
+    }
+
+    switch (packet.type) {
+      case CONNECT:
+        handleConnect(packet);
+        break;
+      case PUBLISH:
+        handlePublish(packet);
+        break;
+      case PUBACK:
+        client.inflight.delete(packet.body.readUInt16BE(0));
+        break;
+      case PUBREL:
+        write(client, encodePacket(PUBCOMP, 0, packet.body.slice(0, 2)));
+        break;
+      case SUBSCRIBE:
+        handleSubscribe(packet);
+        break;
+      case UNSUBSCRIBE:
+        handleUnsubscribe(packet);
+        break;
+      case PINGREQ:
+        write(client, encodePacket(PINGRESP, 0, Buffer.alloc(0)));
+        break;
+      case DISCONNECT:
+        client.will = null;
+        socket.end();
+        break;
+      default:
+        close(`unexpected packet type ${packet.type}`);
+    }
+  }
+
+  const push = createPacketReader(handlePacket);
+
+  socket.on('data', bindLogContext((chunk) => {
+    if (client.presence) client.presence.seen();
+    try {
+      push(chunk);
+    } catch (e) {
+      close(e.message);
+    }
+  }));
+
+  socket.on('timeout', bindLogContext(() => {
+    close('keep-alive timeout');
+  }));
+
+  socket.on('error', bindLogContext((err) => {
+    logError(`❌ MQTT ${client.id || remote} error: ${err.message}`);
+  }));
+
+  socket.on('close', bindLogContext(() => {
+    stopDrain();
+    clearInterval(retryInterval);
+    if (!client.connected) return;
+
+    log(`📡 MQTT client ${client.id} disconnected`);
+    if (clientsById.get(client.id) === client) {
+      clientsById.delete(client.id);
+      if (!client.cleanSession) {
+        sessions.set(client.id, {
+          device: client.device,
+          subscriptions: client.subscriptions,
+          inflight: client.inflight,
+          nextPacketId: client.nextPacketId,
+          expiresAt: Date.now() + MQTT_SESSION_EXPIRY_MS
+        });
+      }
+    }
+
+    // Last will goes to other local subscribers only, never to Firebase
+    const bridge = bridges.get(client.device);
+    if (client.will && bridge) {
+      bridge.clients.forEach((subscriber) => {
+        if (subscriber !== client) {
+          deliver(subscriber, client.will.topic, client.will.payload.toString('utf8'), false);
+        }
+      });
+    }
+
+    detachFromBridge(client);
+    client.presence.close();
+  }));
+}
+
+/**
+ * Create the MQTT broker (not yet listening)
+ */
+function createMqttBroker() {
+  return net.createServer((socket) => withLogContext({ conn: newLogId() }, () => handleConnection(socket)));
+}
+
+module.exports = { createMqttBroker, topicMatches };
@@ -0,0 +1,285 @@
+/**
+ * Power alert rules
+ *
+ * Every power reading (POST /power and the other transports, plus power
+ * updates seen on a device's Firebase stream) is checked against the
+ * device's thresholds. Conditions use hysteresis so a value hovering around
+ * a threshold does not flap, and a cooldown limits how often the same alert
+ * can re-trigger.
+ *
+ * Thresholds come from the ALERT_* environment variables, overridden per
+ * device by /devices/{id}/alert_rules (same keys, snake_case; false turns a
+ * check off, "enabled": false turns alerts off for the device):
+ *   voltage_min, voltage_max, current_max, pf_min, pf_min_current,
+ *   imbalance_max_pct, missing_phase_v, hysteresis_pct, cooldown_s, phases
+ *
+ * Each transition produces an alert:
+ *   {"type":"alert","status":"triggered"|"cleared","rule":"voltage_high","phase":"phase_a",
+ *    "severity":"critical","value":271.2,"threshold":260,"message":"...","timestamp":"..."}
+ * which is sent on the device's power stream and stored under /devices/{id}/alerts.
+ * An active alert whose check no longer applies (its phase was lost, or the
+ * rule was turned off) is cleared with "value": null.
+ */
+
+const { log, logDebug, logError, logWarn, bindLogContext } = require('./log');
+const { getJson } = require('./firebase');
+const { onHubEvent, publishToDevice } = require('./device-hub');
+const { publishWebhookEvent } = require('./webhooks');
+
+const DEFAULT_RULES = {
+  enabled: true,
+  voltage_min: parseFloat(process.env.ALERT_VOLTAGE_MIN || '180'),
+  voltage_max: parseFloat(process.env.ALERT_VOLTAGE_MAX || '260'),
+  current_max: parseFloat(process.env.ALERT_CURRENT_MAX || '30'),
+  pf_min: parseFloat(process.env.ALERT_PF_MIN || '0.7'),
+  // Power factor is meaningless at (near) no load
+  pf_min_current: parseFloat(process.env.ALERT_PF_MIN_CURRENT || '0.5'),
+  // NEMA voltage unbalance: max deviation from the phase average, in percent
+  imbalance_max_pct: parseFloat(process.env.ALERT_IMBALANCE_MAX_PCT || '5'),
+  // A phase below this voltage (or absent) counts as lost
+  missing_phase_v: parseFloat(process.env.ALERT_MISSING_PHASE_V || '50'),
+  hysteresis_pct: parseFloat(process.env.ALERT_HYSTERESIS_PCT || '3'),
+  cooldown_s: parseInt(process.env.ALERT_COOLDOWN_S || '300', 10),
+  // Expected phases; by default every phase the device has ever reported
+  phases: null
+};
+
+// How long per-device rules read from Firebase are cached
+const ALERT_RULES_CACHE_MS = parseInt(process.env.ALERT_RULES_CACHE_MS || '60000', 10);
+
+const PHASES = ['phase_a', 'phase_b', 'phase_c'];
+
+const UNITS = { voltage: 'V', current: 'A', pf: '', imbalance: '%' };
+
+// deviceId -> {rules, expiresAt}
+const rulesCache = new Map();
+
+// deviceId -> callbacks waiting for a rules read in flight
+const rulesLoading = new Map();
+
+// deviceId -> {seenPhases: Set, conditions: Map key -> {active, lastTriggeredAt, check}}
+const deviceStates = new Map();
+
+// Stores alert records; set by startPowerAlerts()
+let alertWriter = null;
+
+function cacheRules(deviceId, rules) {
+  rulesCache.set(deviceId, { rules: rules, expiresAt: Date.now() + ALERT_RULES_CACHE_MS });
+
+  const waiting = rulesLoading.get(deviceId) || [];
+  rulesLoading.delete(deviceId);
+  waiting.forEach((callback) => callback(rules));
+}
+
+/**
+ * Effective rules for a device (defaults merged with /devices/{id}/alert_rules)
+ */
+function loadRules(deviceId, callback) {
+  const cached = rulesCache.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) {
+    callback(cached.rules);
+    return;
+  }
+
+  if (rulesLoading.has(deviceId)) {
+    rulesLoading.get(deviceId).push(bindLogContext(callback));
+    return;
+  }
+  rulesLoading.set(deviceId, [bindLogContext(callback)]);
+
+  getJson(`/devices/${deviceId}/alert_rules.json`, (err, value) => {
+    if (err) {
+      // Keep alerting on the defaults while Firebase is unreachable
+      logWarn(`⚠️  Could not read alert rules for ${deviceId}: ${err.message}`);
+      cacheRules(deviceId, cached ? cached.rules : DEFAULT_RULES);
+      return;
+    }
+    cacheRules(deviceId, Object.assign({}, DEFAULT_RULES, value && typeof value === 'object' ? value : {}));
+  });
+}
+
+function deviceState(deviceId) {
+  let state = deviceStates.get(deviceId);
+  if (!state) {
+    state = { seenPhases: new Set(), conditions: new Map() };
+    deviceStates.set(deviceId, state);
+  }
+  return state;
+}
+
+function isThreshold(value) {
+  return typeof value === 'number' && !isNaN(value);
+}
+
+/**
+ * Build the checks that apply to one reading
+ * Each check: {key, rule, phase, field, value, threshold, direction: 'above'|'below', severity}
+ */
+function buildChecks(rules, data, state) {
+  const checks = [];
+
+  PHASES.forEach((phase) => {
+    if (data[phase]) state.seenPhases.add(phase);
+  });
+  const expected = Array.isArray(rules.phases)
+    ? rules.phases.filter((phase) => PHASES.includes(phase))
+    : PHASES.filter((phase) => state.seenPhases.has(phase));
+
+  const liveVoltages = [];
+
+  expected.forEach((phase) => {
+    const reading = data[phase] || {};
+    const voltage = isThreshold(reading.voltage) ? reading.voltage : 0;
+
+    if (isThreshold(rules.missing_phase_v)) {
+      checks.push({ rule: 'missing_phase', phase: phase, field: 'voltage', value: voltage, threshold: rules.missing_phase_v, direction: 'below', severity: 'critical' });
+      // The other checks are meaningless for a lost phase
+      if (voltage < rules.missing_phase_v) return;
+    }
+    if (!data[phase]) return;
+
+    liveVoltages.push(voltage);
+
+    if (isThreshold(reading.voltage) && isThreshold(rules.voltage_max)) {
+      checks.push({ rule: 'voltage_high', phase: phase, field: 'voltage', value: reading.voltage, threshold: rules.voltage_max, direction: 'above', severity: 'critical' });
+    }
+    if (isThreshold(reading.voltage) && isThreshold(rules.voltage_min)) {
+      checks.push({ rule: 'voltage_low', phase: phase, field: 'voltage', value: reading.voltage, threshold: rules.voltage_min, direction: 'below', severity: 'warning' });
+    }
+    if (isThreshold(reading.current) && isThreshold(rules.current_max)) {
+      checks.push({ rule: 'current_high', phase: phase, field: 'current', value: reading.current, threshold: rules.current_max, direction: 'above', severity: 'warning' });
+    }
+    if (isThreshold(reading.pf) && isThreshold(rules.pf_min) &&
+        isThreshold(reading.current) && reading.current >= (rules.pf_min_current || 0)) {
+      checks.push({ rule: 'pf_low', phase: phase, field: 'pf', value: reading.pf, threshold: rules.pf_min, direction: 'below', severity: 'warning' });
+    }
+  });
+
+  if (liveVoltages.length >= 2 && isThreshold(rules.imbalance_max_pct)) {
+    const average = liveVoltages.reduce((sum, v) => sum + v, 0) / liveVoltages.length;
+    if (average > 0) {
+      const deviation = Math.max.apply(null, liveVoltages.map((v) => Math.abs(v - average)));
+      const imbalance = Math.round(deviation / average * 10000) / 100;
+      checks.push({ rule: 'phase_imbalance', phase: null, field: 'imbalance', value: imbalance, threshold: rules.imbalance_max_pct, direction: 'above', severity: 'warning' });
+    }
+  }
+
+  checks.forEach((check) => {
+    check.key = check.phase ? `${check.rule}:${check.phase}` : check.rule;
+  });
+  return checks;
+}
+
+/**
+ * Whether a check's condition holds, with hysteresis once it is active
+ */
+function conditionHolds(check, active, hysteresisPct) {
+  const margin = active ? Math.abs(check.threshold) * (hysteresisPct || 0) / 100 : 0;
+  return check.direction === 'above'
+    ? check.value > check.threshold - margin
+    : check.value < check.threshold + margin;
+}
+
+function describe(check, status) {
+  const unit = UNITS[check.field];
+  const subject = check.phase ? `${check.phase} ${check.field}` : `Phase ${check.field}`;
+  if (check.rule === 'missing_phase') {
+    return status === 'triggered'
+      ? `${check.phase} lost (${check.value}V)`
+      : `${check.phase} restored (${check.value}V)`;
+  }
+  if (check.value === null) {
+    return `${subject} no longer checked`;
+  }
+  return status === 'triggered'
+    ? `${subject} ${check.value}${unit} ${check.direction} ${check.threshold}${unit}`
+    : `${subject} back to ${check.value}${unit}`;
+}
+
+function emitAlert(deviceId, check, status) {
+  const alert = {
+    type: 'alert',
+    status: status,
+    rule: check.rule,
+    phase: check.phase,
+    severity: check.severity,
+    value: check.value,
+    threshold: check.threshold,
+    message: describe(check, status),
+    timestamp: new Date().toISOString()
+  };
+
+  log(`${status === 'triggered' ? '🚨' : '✅'} ${deviceId} alert ${status}: ${alert.message}`);
+  publishToDevice(deviceId, 'power', alert);
+  publishWebhookEvent(deviceId, 'alert', alert);
+
+  if (alertWriter) {
+    const record = Object.assign({}, alert);
+    delete record.type;
+    alertWriter(deviceId, record, (result) => {
+      if (result.status >= 300) {
+        logError(`❌ Could not store alert for ${deviceId}: ${result.payload.error}`);
+      }
+    });
+  }
+}
+
+/**
+ * Check one power reading and emit alerts for every transition
+ */
+function evaluatePower(deviceId, data) {
+  if (!data || typeof data !== 'object') return;
+
+  loadRules(deviceId, (rules) => {
+    if (rules.enabled === false) return;
+
+    const state = deviceState(deviceId);
+    const now = Date.now();
+    const checks = buildChecks(rules, data, state);
+
+    checks.forEach((check) => {
+      const condition = state.conditions.get(check.key) || { active: false, lastTriggeredAt: 0 };
+      state.conditions.set(check.key, condition);
+
+      const holds = conditionHolds(check, condition.active, rules.hysteresis_pct);
+
+      if (holds && !condition.active) {
+        if (now - condition.lastTriggeredAt < (rules.cooldown_s || 0) * 1000) {
+          logDebug(`🔕 ${deviceId} ${check.key} in cooldown`);
+          return;
+        }
+        condition.active = true;
+        condition.lastTriggeredAt = now;
+        condition.check = check;
+        emitAlert(deviceId, check, 'triggered');
+      } else if (!holds && condition.active) {
+        condition.active = false;
+        emitAlert(deviceId, check, 'cleared');
+      }
+    });
+
+    // A lost phase skips its other checks; their alerts would never clear
+    const checked = new Set(checks.map((check) => check.key));
+    state.conditions.forEach((condition, key) => {
+      if (!condition.active || checked.has(key)) return;
+      condition.active = false;
+      emitAlert(deviceId, Object.assign({}, condition.check, { value: null }), 'cleared');
+    });
+  });
+}
+
+/**
+ * Start evaluating power updates from Firebase streams
+ * writeAlert(deviceId, record, callback(result)) stores alert records.
+ */
+function startPowerAlerts(writeAlert) {
+  alertWriter = writeAlert;
+
+  onHubEvent((deviceId, streamType, event) => {
+    if (event.type === 'power' && event.power) {
+      evaluatePower(deviceId, event.power);
+    }
+  });
+}
+
+module.exports = { evaluatePower, startPowerAlerts };
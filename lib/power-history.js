@@ -0,0 +1,643 @@
+/**
+ * Power telemetry history
+ *
+ * Every accepted power upload is appended to local time-series files and
+ * rolled up into 1-minute, 1-hour and 1-day buckets (min/avg/max per phase
+ * and field, plus energy consumed in the bucket).
+ *
+ * Layout under HISTORY_DIR, one JSON object per line:
+ *   {device}/raw-YYYY-MM-DD.jsonl   {"ts":..., "phase_a":{...}, ...}
+ *   {device}/1m-YYYY-MM-DD.jsonl    {"ts":<bucket start>, "samples":n, "phase_a":{"voltage":{min,avg,max},...,"energy":{"delta":..}}}
+ *   {device}/1h-YYYY-MM.jsonl
+ *   {device}/1d-YYYY.jsonl
+ *
+ * Buckets are written when they close: when a sample for a later bucket
+ * arrives or, for a device that went quiet, on the next check after the
+ * bucket's period ended. The open ones live in memory and are rebuilt from
+ * the raw files after a restart.
+ *
+ * Nothing here blocks the request path: lines are buffered and appended
+ * every HISTORY_FLUSH_MS, and files are read as streams.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { log, logError, logWarn, bindLogContext } = require('./log');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'power-history');
+
+// Retention per resolution in days (0 keeps forever)
+const RETENTION_DAYS = {
+  raw: parseInt(process.env.HISTORY_RAW_RETENTION_DAYS || '7', 10),
+  '1m': parseInt(process.env.HISTORY_1M_RETENTION_DAYS || '30', 10),
+  '1h': parseInt(process.env.HISTORY_1H_RETENTION_DAYS || '365', 10),
+  '1d': parseInt(process.env.HISTORY_1D_RETENTION_DAYS || '0', 10)
+};
+
+// Most points a single query returns
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS || '10000', 10);
+
+// Widest span one query may cover per resolution, in days (one file per
+// day, month or year is opened for it; 0 = no limit)
+const MAX_SPAN_DAYS = { raw: 31, '1m': 366, '1h': 3660, '1d': 0 };
+
+// How long appended lines wait in memory before they are written
+const HISTORY_FLUSH_MS = parseInt(process.env.HISTORY_FLUSH_MS || '1000', 10);
+
+// How often open rollup buckets are checked for a period that has ended
+const HISTORY_ROLLUP_CHECK_MS = parseInt(process.env.HISTORY_ROLLUP_CHECK_MS || '10000', 10);
+
+// The last record of a file is looked for in this many bytes at its end
+const TAIL_BYTES = 64 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROLLUPS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': DAY_MS
+};
+
+const RESOLUTIONS = ['raw'].concat(Object.keys(ROLLUPS));
+
+const PHASES = ['phase_a', 'phase_b', 'phase_c'];
+const STAT_FIELDS = ['voltage', 'current', 'power', 'pf', 'frequency'];
+
+// deviceId -> {lastEnergy, open, lastFlushed, ready, waiting}
+const devices = new Map();
+
+// file -> lines waiting to be appended to it
+let unwritten = new Map();
+let writing = false;
+let flushTimer = null;
+
+// Callbacks from flushPowerHistory() waiting for the buffer to be written
+let flushWaiters = [];
+
+/**
+ * Partition (file) a timestamp belongs to for a resolution
+ */
+function partitionOf(resolution, ts) {
+  const date = new Date(ts);
+  const year = String(date.getUTCFullYear()).padStart(4, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  if (resolution === '1d') return year;
+  if (resolution === '1h') return `${year}-${month}`;
+  return `${year}-${month}-${String(date.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * End of a partition, for retention
+ */
+function partitionEnd(resolution, partition) {
+  if (resolution === '1d') return Date.UTC(parseInt(partition, 10) + 1, 0, 1);
+  if (resolution === '1h') {
+    const [year, month] = partition.split('-').map(Number);
+    return Date.UTC(year, month, 1);
+  }
+  return Date.parse(`${partition}T00:00:00Z`) + DAY_MS;
+}
+
+/**
+ * Partitions overlapping [from, to], oldest first
+ */
+function partitionsBetween(resolution, from, to) {
+  const partitions = [];
+  let cursor = from;
+  while (cursor <= to) {
+    const partition = partitionOf(resolution, cursor);
+    if (partitions[partitions.length - 1] !== partition) partitions.push(partition);
+    cursor = partitionEnd(resolution, partition);
+  }
+  const last = partitionOf(resolution, to);
+  if (partitions[partitions.length - 1] !== last) partitions.push(last);
+  return partitions;
+}
+
+function deviceDir(device) {
+  return path.join(HISTORY_DIR, device);
+}
+
+function fileFor(device, resolution, partition) {
+  return path.join(deviceDir(device), `${resolution}-${partition}.jsonl`);
+}
+
+/**
+ * Stream the records of a file to onRecord(record) until it returns false
+ * callback() once the file is read, stopped or turns out to be missing.
+ */
+function readRecords(file, onRecord, callback) {
+  const input = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  let stopped = false;
+  let finished = false;
+
+  function finish() {
+    if (finished) return;
+    finished = true;
+    callback();
+  }
+
+  lines.on('line', (line) => {
+    if (stopped || !line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // Torn line from a crash mid-append
+      return;
+    }
+    if (onRecord(record) === false) {
+      stopped = true;
+      lines.close();
+      input.destroy();
+    }
+  });
+  lines.on('close', finish);
+  lines.on('error', (err) => {
+    if (err.code !== 'ENOENT') logWarn(`⚠️  Could not read ${file}: ${err.message}`);
+    finish();
+  });
+}
+
+/**
+ * The last complete record of a file, read from its end
+ * callback(record) - null when the file is empty or missing
+ */
+function readLastRecord(file, callback) {
+  fs.open(file, 'r', (openErr, fd) => {
+    if (openErr) {
+      callback(null);
+      return;
+    }
+    fs.fstat(fd, (statErr, stat) => {
+      const length = statErr ? 0 : Math.min(stat.size, TAIL_BYTES);
+      fs.read(fd, Buffer.alloc(length), 0, length, stat ? stat.size - length : 0, (readErr, bytesRead, buffer) => {
+        fs.close(fd, () => {});
+        const lines = readErr ? [] : buffer.toString('utf8', 0, bytesRead).split('\n');
+        for (let i = lines.length - 1; i >= 0; i--) {
+          try {
+            if (lines[i].trim()) {
+              callback(JSON.parse(lines[i]));
+              return;
+            }
+          } catch (e) {
+            // Torn line from a crash mid-append, or the cut at the start of the tail
+          }
+        }
+        callback(null);
+      });
+    });
+  });
+}
+
+/**
+ * Append everything buffered, one file at a time
+ * Lines buffered meanwhile are written by another pass straight after.
+ */
+function writeBuffered() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (writing) return;
+
+  if (unwritten.size === 0) {
+    const waiters = flushWaiters;
+    flushWaiters = [];
+    waiters.forEach((callback) => callback());
+    return;
+  }
+
+  writing = true;
+  const batch = unwritten;
+  unwritten = new Map();
+  const files = Array.from(batch.keys());
+
+  (function next(index) {
+    if (index === files.length) {
+      writing = false;
+      writeBuffered();
+      return;
+    }
+    const file = files[index];
+    fs.mkdir(path.dirname(file), { recursive: true }, () => {
+      fs.appendFile(file, batch.get(file), (err) => {
+        if (err) logError(`❌ Power history write to ${file} failed: ${err.message}`);
+        next(index + 1);
+      });
+    });
+  })(0);
+}
+
+function appendLine(device, resolution, ts, record) {
+  const file = fileFor(device, resolution, partitionOf(resolution, ts));
+  unwritten.set(file, (unwritten.get(file) || '') + JSON.stringify(record) + '\n');
+
+  if (!flushTimer && !writing) {
+    flushTimer = setTimeout(writeBuffered, HISTORY_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * Write buffered history lines now
+ * callback() once they are all on disk
+ */
+function flushPowerHistory(callback) {
+  if (!writing && unwritten.size === 0) {
+    callback();
+    return;
+  }
+  flushWaiters.push(bindLogContext(callback));
+  writeBuffered();
+}
+
+// ---------------------------------------------------------------------------
+// Rollup buckets
+// ---------------------------------------------------------------------------
+
+function newBucket(start) {
+  return { start: start, samples: 0, phases: {} };
+}
+
+function addToBucket(bucket, sample, energyDeltas) {
+  bucket.samples++;
+
+  PHASES.forEach((phase) => {
+    const reading = sample[phase];
+    if (!reading) return;
+
+    const stats = bucket.phases[phase] || (bucket.phases[phase] = { energyDelta: 0 });
+    STAT_FIELDS.forEach((field) => {
+      if (typeof reading[field] !== 'number') return;
+      const stat = stats[field] || (stats[field] = { min: reading[field], max: reading[field], sum: 0, count: 0 });
+      stat.min = Math.min(stat.min, reading[field]);
+      stat.max = Math.max(stat.max, reading[field]);
+      stat.sum += reading[field];
+      stat.count++;
+    });
+
+    if (energyDeltas[phase] !== undefined) {
+      stats.energyDelta += energyDeltas[phase];
+    }
+  });
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function bucketRecord(bucket) {
+  const record = { ts: bucket.start, samples: bucket.samples };
+  Object.keys(bucket.phases).forEach((phase) => {
+    const stats = bucket.phases[phase];
+    const out = {};
+    STAT_FIELDS.forEach((field) => {
+      if (!stats[field]) return;
+      out[field] = {
+        min: stats[field].min,
+        avg: round(stats[field].sum / stats[field].count),
+        max: stats[field].max
+      };
+    });
+    out.energy = { delta: round(stats.energyDelta) };
+    record[phase] = out;
+  });
+  return record;
+}
+
+/**
+ * Start of the newest record written for a resolution
+ * callback(ts) - null when there is none
+ */
+function lastRecordTs(device, resolution, callback) {
+  fs.readdir(deviceDir(device), (err, names) => {
+    const partitions = err ? [] : names.filter((name) => name.startsWith(`${resolution}-`)).sort();
+
+    (function next(index) {
+      if (index < 0) {
+        callback(null);
+        return;
+      }
+      readLastRecord(path.join(deviceDir(device), partitions[index]), (record) => {
+        if (record) {
+          callback(record.ts);
+        } else {
+          next(index - 1);
+        }
+      });
+    })(partitions.length - 1);
+  });
+}
+
+/**
+ * Write an open bucket (unless a previous run already did) and drop it
+ */
+function closeBucket(device, state, resolution) {
+  const bucket = state.open[resolution];
+  if (state.lastFlushed[resolution] === null || bucket.start > state.lastFlushed[resolution]) {
+    appendLine(device, resolution, bucket.start, bucketRecord(bucket));
+    state.lastFlushed[resolution] = bucket.start;
+  }
+  delete state.open[resolution];
+}
+
+/**
+ * Feed one sample through the open buckets, closing the ones it leaves
+ */
+function ingest(device, state, sample) {
+  // Energy is a cumulative counter; a decrease means the meter was reset
+  const energyDeltas = {};
+  PHASES.forEach((phase) => {
+    const energy = sample[phase] && sample[phase].energy;
+    if (typeof energy !== 'number') return;
+    const previous = state.lastEnergy[phase];
+    if (previous !== undefined) {
+      energyDeltas[phase] = energy >= previous ? energy - previous : energy;
+    }
+    state.lastEnergy[phase] = energy;
+  });
+
+  Object.keys(ROLLUPS).forEach((resolution) => {
+    const size = ROLLUPS[resolution];
+    const start = Math.floor(sample.ts / size) * size;
+    let bucket = state.open[resolution];
+
+    if (bucket && bucket.start !== start) {
+      closeBucket(device, state, resolution);
+      bucket = null;
+    }
+    if (!bucket) {
+      bucket = state.open[resolution] = newBucket(start);
+    }
+    addToBucket(bucket, sample, energyDeltas);
+  });
+}
+
+/**
+ * Close the buckets of devices that stopped sending once their period ends
+ */
+function closeElapsedBuckets() {
+  const now = Date.now();
+  devices.forEach((state, device) => {
+    if (!state.ready) return;
+    Object.keys(ROLLUPS).forEach((resolution) => {
+      const bucket = state.open[resolution];
+      if (bucket && bucket.start + ROLLUPS[resolution] <= now) {
+        closeBucket(device, state, resolution);
+      }
+    });
+  });
+}
+
+/**
+ * Rebuild the open buckets after a restart from raw samples older than
+ * `until` (newer ones are being recorded now and ingested as they arrive)
+ */
+function rebuildState(device, state, until, callback) {
+  // Replay raw samples newer than the oldest unflushed bucket
+  let replayFrom = null;
+  const resolutions = Object.keys(ROLLUPS);
+
+  (function nextResolution(index) {
+    if (index < resolutions.length) {
+      const resolution = resolutions[index];
+      lastRecordTs(device, resolution, (lastTs) => {
+        state.lastFlushed[resolution] = lastTs;
+        const next = lastTs === null ? null : lastTs + ROLLUPS[resolution];
+        if (replayFrom !== undefined) {
+          if (next === null) {
+            replayFrom = undefined;
+          } else if (replayFrom === null || next < replayFrom) {
+            replayFrom = next;
+          }
+        }
+        nextResolution(index + 1);
+      });
+      return;
+    }
+
+    const earliest = until - Math.max(1, RETENTION_DAYS.raw || 0) * DAY_MS;
+    const from = replayFrom ? Math.max(replayFrom, earliest) : earliest;
+    const partitions = partitionsBetween('raw', from, until);
+    let replayed = 0;
+
+    (function nextPartition(partitionIndex) {
+      if (partitionIndex === partitions.length) {
+        if (replayed > 0) {
+          log(`📈 Rebuilt power rollups for ${device} from ${replayed} raw sample(s)`);
+        }
+        callback();
+        return;
+      }
+      readRecords(fileFor(device, 'raw', partitions[partitionIndex]), (sample) => {
+        if (sample.ts < from || sample.ts >= until) return;
+        ingest(device, state, sample);
+        replayed++;
+      }, () => nextPartition(partitionIndex + 1));
+    })(0);
+  })(0);
+}
+
+/**
+ * The in-memory rollup state for a device, rebuilt on first use
+ * callback(state) once it is ready; see rebuildState() for `until`.
+ */
+function withDeviceState(device, until, callback) {
+  let state = devices.get(device);
+  if (state && state.ready) {
+    callback(state);
+    return;
+  }
+  if (state) {
+    state.waiting.push(bindLogContext(callback));
+    return;
+  }
+
+  state = { lastEnergy: {}, open: {}, lastFlushed: {}, ready: false, waiting: [bindLogContext(callback)] };
+  devices.set(device, state);
+  rebuildState(device, state, until, () => {
+    state.ready = true;
+    const waiting = state.waiting;
+    state.waiting = [];
+    waiting.forEach((waiter) => waiter(state));
+  });
+}
+
+/**
+ * Append a power upload to the history
+ */
+function recordPowerSample(device, data, ts) {
+  const sample = { ts: ts || Date.now() };
+  PHASES.forEach((phase) => {
+    if (data[phase]) sample[phase] = data[phase];
+  });
+  if (typeof data.timestamp === 'number') sample.deviceTimestamp = data.timestamp;
+
+  appendLine(device, 'raw', sample.ts, sample);
+  withDeviceState(device, sample.ts, (state) => ingest(device, state, sample));
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick a resolution that keeps the number of points reasonable
+ */
+function autoResolution(from, to) {
+  const span = to - from;
+  if (span <= 2 * 60 * 60 * 1000) return 'raw';
+  if (span <= 2 * DAY_MS) return '1m';
+  if (span <= 60 * DAY_MS) return '1h';
+  return '1d';
+}
+
+/**
+ * Check a query range is narrow enough for its resolution
+ * Returns a validation problem or null.
+ */
+function validateHistoryRange(from, to, resolution) {
+  resolution = resolution || autoResolution(from, to);
+  const days = MAX_SPAN_DAYS[resolution];
+  if (days > 0 && to - from > days * DAY_MS) {
+    return { code: 'invalid_field', field: 'from', details: `${resolution} history covers at most ${days} days per query` };
+  }
+  return null;
+}
+
+/**
+ * Points for a device between from and to (ms, inclusive)
+ * callback({resolution, points, truncated}); open rollup buckets are
+ * included with "partial": true. Files are read oldest first and no further
+ * than the point cap.
+ */
+function queryHistory(device, from, to, resolution, callback) {
+  resolution = resolution || autoResolution(from, to);
+  const partitions = partitionsBetween(resolution, from, to);
+  const points = [];
+
+  function respond() {
+    points.sort((a, b) => a.ts - b.ts);
+    const truncated = points.length > HISTORY_MAX_POINTS;
+    if (truncated) points.length = HISTORY_MAX_POINTS;
+
+    callback({
+      resolution: resolution,
+      truncated: truncated,
+      points: points.map((point) => Object.assign({}, point, { ts: new Date(point.ts).toISOString() }))
+    });
+  }
+
+  // Rollups wait for samples still queued behind the device's state to be
+  // ingested, so the buckets they close are written before the files are read
+  function withState(callback) {
+    if (resolution === 'raw') {
+      callback(null);
+    } else {
+      withDeviceState(device, Date.now(), callback);
+    }
+  }
+
+  withState((state) => flushPowerHistory(() => {
+    (function next(index) {
+      if (index < partitions.length && points.length <= HISTORY_MAX_POINTS) {
+        readRecords(fileFor(device, resolution, partitions[index]), (record) => {
+          if (record.ts >= from && record.ts <= to) points.push(record);
+          return points.length <= HISTORY_MAX_POINTS;
+        }, () => next(index + 1));
+        return;
+      }
+
+      const bucket = state && state.open[resolution];
+      if (bucket && bucket.start >= from && bucket.start <= to) {
+        points.push(Object.assign(bucketRecord(bucket), { partial: true }));
+      }
+      respond();
+    })(0);
+  }));
+}
+
+/**
+ * Flatten points into CSV with dotted column names (phase_a.voltage.avg)
+ */
+function toCsv(points) {
+  const rows = points.map((point) => {
+    const row = {};
+    (function flatten(value, prefix) {
+      Object.keys(value).forEach((key) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value[key] && typeof value[key] === 'object') {
+          flatten(value[key], name);
+        } else {
+          row[name] = value[key];
+        }
+      });
+    })(point, '');
+    return row;
+  });
+
+  const columns = ['ts'];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((name) => {
+      if (!columns.includes(name)) columns.push(name);
+    });
+  });
+
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((name) => (row[name] === undefined ? '' : row[name])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Retention
+// ---------------------------------------------------------------------------
+
+function applyRetention() {
+  if (!fs.existsSync(HISTORY_DIR)) return;
+
+  const now = Date.now();
+  let removed = 0;
+
+  fs.readdirSync(HISTORY_DIR).forEach((device) => {
+    const dir = deviceDir(device);
+    if (!fs.statSync(dir).isDirectory()) return;
+
+    fs.readdirSync(dir).forEach((name) => {
+      const match = name.match(/^(raw|1m|1h|1d)-([\d-]+)\.jsonl$/);
+      if (!match) return;
+
+      const days = RETENTION_DAYS[match[1]];
+      if (!days) return;
+      if (partitionEnd(match[1], match[2]) < now - days * DAY_MS) {
+        fs.unlinkSync(path.join(dir, name));
+        removed++;
+      }
+    });
+  });
+
+  if (removed > 0) {
+    log(`🧹 Power history retention removed ${removed} file(s)`);
+  }
+}
+
+/**
+ * Apply retention now and then hourly, and start closing ended buckets
+ */
+function startPowerHistory() {
+  applyRetention();
+  setInterval(applyRetention, 60 * 60 * 1000).unref();
+  setInterval(closeElapsedBuckets, HISTORY_ROLLUP_CHECK_MS).unref();
+}
+
+module.exports = {
+  RESOLUTIONS,
+  recordPowerSample,
+  validateHistoryRange,
+  queryHistory,
+  toCsv,
+  flushPowerHistory,
+  startPowerHistory
+};
@@ -0,0 +1,344 @@
+/**
+ * Device presence tracking
+ *
+ * Every transport registers its device connections here. The proxy mirrors
+ * them to /devices/{id}/presence:
+ *   {"online":true,"connectedAt":"...","lastSeen":"...","ip":"1.2.3.4","connection":"sse","connections":1}
+ * written on connect, every PRESENCE_HEARTBEAT_MS while connected, and on
+ * disconnect ("online":false, "disconnectedAt").
+ *
+ * Connections with no activity (data from the device, or a keep-alive that
+ * was flushed to the socket) for PRESENCE_STALE_MS are treated as dead and
+ * closed by the sweep, since a vanished modem often never sends a FIN.
+ *
+ * A modem that reconnects usually leaves its old connection half-open, so a
+ * new connection takes over (closes) the device's older ones in the same
+ * slot: its SSE stream, its legacy stream for that relay, its line session
+ * or the MQTT session with the same client ID. Beyond that, at most MAX_CONNECTIONS_PER_DEVICE connections per
+ * device and MAX_CONNECTIONS_PER_IP per client IP are admitted.
+ */
+
+const { log, logError, logWarn } = require('./log');
+const { writeJson } = require('./firebase');
+const { counter, gauge } = require('./metrics');
+const { publishWebhookEvent } = require('./webhooks');
+
+// How often lastSeen is refreshed in Firebase while a device stays connected
+const PRESENCE_HEARTBEAT_MS = parseInt(process.env.PRESENCE_HEARTBEAT_MS || '60000', 10);
+
+// A connection silent for this long is considered dead
+const PRESENCE_STALE_MS = parseInt(process.env.PRESENCE_STALE_MS || '90000', 10);
+
+// Concurrent connections allowed per device and per client IP (0 = unlimited);
+// many SIMs can share one carrier NAT address, so the IP limit is generous
+const MAX_CONNECTIONS_PER_DEVICE = parseInt(process.env.MAX_CONNECTIONS_PER_DEVICE || '4', 10);
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP || '100', 10);
+
+const SWEEP_INTERVAL_MS = 10000;
+
+// Retry-After for connections refused by a limit
+const LIMIT_RETRY_AFTER_S = 60;
+
+// deviceId -> {connections: Map id -> connection, connectedAt, lastWrittenAt}
+const devices = new Map();
+
+// client IP -> open connections
+const ipCounts = new Map();
+
+let nextConnectionId = 1;
+
+const keepAliveFailures = counter('proxy_keepalive_failures_total', 'Keep-alive writes that failed');
+const connectionsRejected = counter('proxy_connections_rejected_total', 'Connections refused by the per-device or per-IP limit');
+const takeovers = counter('proxy_connection_takeovers_total', 'Connections closed because the same device reconnected');
+
+gauge('proxy_downstream_clients', 'Connected downstream clients by route', () => {
+  const counts = {};
+  devices.forEach((device) => {
+    device.connections.forEach((connection) => {
+      counts[connection.type] = (counts[connection.type] || 0) + 1;
+    });
+  });
+  return Object.keys(counts).map((route) => ({ labels: { route: route }, value: counts[route] }));
+});
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+function writePresence(deviceId, presence) {
+  writeJson('PATCH', `/devices/${deviceId}/presence.json`, presence, (err, statusCode) => {
+    if (err) {
+      logError(`❌ Presence write for ${deviceId} failed: ${err.message}`);
+    } else if (statusCode !== 200) {
+      logError(`❌ Presence write for ${deviceId} failed: HTTP ${statusCode}`);
+    }
+  });
+}
+
+function lastSeenOf(device) {
+  let lastSeen = 0;
+  device.connections.forEach((connection) => {
+    lastSeen = Math.max(lastSeen, connection.lastSeen);
+  });
+  return lastSeen;
+}
+
+function releaseIp(ip) {
+  if (!ip) return;
+  const remaining = (ipCounts.get(ip) || 1) - 1;
+  if (remaining > 0) {
+    ipCounts.set(ip, remaining);
+  } else {
+    ipCounts.delete(ip);
+  }
+}
+
+/**
+ * Forget a connection and report the device offline if it was the last one
+ */
+function removeConnection(deviceId, device, connection) {
+  if (connection.closed) return;
+  connection.closed = true;
+  device.connections.delete(connection.id);
+
+  releaseIp(connection.ip);
+
+  if (device.connections.size > 0) {
+    writePresence(deviceId, { connections: device.connections.size, lastSeen: iso(lastSeenOf(device)) });
+    return;
+  }
+
+  devices.delete(deviceId);
+  const presence = {
+    online: false,
+    connections: 0,
+    lastSeen: iso(connection.lastSeen),
+    disconnectedAt: iso(Date.now())
+  };
+  writePresence(deviceId, presence);
+  publishWebhookEvent(deviceId, 'presence', presence);
+  log(`⚫ ${deviceId} offline`);
+}
+
+/**
+ * Connections a new one in `slot` would take over
+ */
+function slotHolders(device, slot) {
+  const holders = [];
+  if (!device || !slot) return holders;
+  device.connections.forEach((connection) => {
+    if (connection.slot === slot) holders.push(connection);
+  });
+  return holders;
+}
+
+/**
+ * Check the connection limits before accepting a connection
+ * slot is what the connection would take over (see trackConnection).
+ * Returns null, or {status: 429, payload} to refuse it with.
+ */
+function admitConnection(deviceId, ip, slot) {
+  const device = devices.get(deviceId);
+  const replaced = slotHolders(device, slot);
+  const deviceCount = (device ? device.connections.size : 0) - replaced.length;
+  const ipCount = (ipCounts.get(ip) || 0) - replaced.filter((connection) => connection.ip === ip).length;
+
+  let reason = null;
+  let details = null;
+  if (MAX_CONNECTIONS_PER_DEVICE > 0 && deviceCount >= MAX_CONNECTIONS_PER_DEVICE) {
+    reason = 'device';
+    details = `At most ${MAX_CONNECTIONS_PER_DEVICE} concurrent connections per device`;
+  } else if (ip && MAX_CONNECTIONS_PER_IP > 0 && ipCount >= MAX_CONNECTIONS_PER_IP) {
+    reason = 'ip';
+    details = `At most ${MAX_CONNECTIONS_PER_IP} concurrent connections per client IP`;
+  }
+  if (!reason) return null;
+
+  logWarn(`🚫 Refused connection for ${deviceId} from ${ip}: ${reason} limit reached`);
+  connectionsRejected.inc({ reason: reason });
+  return {
+    status: 429,
+    payload: {
+      error: 'Too many connections',
+      code: 'too_many_connections',
+      device: deviceId,
+      details: details,
+      retry_after_s: LIMIT_RETRY_AFTER_S
+    }
+  };
+}
+
+/**
+ * Register a device connection
+ * info: {type: 'sse'|'relay'|'line'|'mqtt', ip, streams, slot?, staleMs?, onStale()}
+ * Returns {seen(), sent(bytes), keepAlive(err), close()}; keepAlive() takes the
+ * result of a keep-alive write. Older connections of the device in the same
+ * slot are taken over. onStale is called (before close) when the proxy
+ * gives up on the connection (silent too long, or taken over) and should
+ * drop its socket.
+ */
+function trackConnection(deviceId, info) {
+  const now = Date.now();
+  let device = devices.get(deviceId);
+  const arriving = !device;
+  if (arriving) {
+    device = { connections: new Map(), connectedAt: now, lastWrittenAt: 0 };
+    devices.set(deviceId, device);
+  }
+
+  slotHolders(device, info.slot).forEach((old) => {
+    log(`🔁 ${deviceId} reconnected from ${info.ip}, closing its older ${old.type} connection from ${old.ip}`);
+    takeovers.inc({ route: old.type });
+    // Not removeConnection(): the device stays online through the handover
+    old.closed = true;
+    device.connections.delete(old.id);
+    releaseIp(old.ip);
+    if (old.onStale) old.onStale();
+  });
+
+  const connection = {
+    id: nextConnectionId++,
+    type: info.type,
+    ip: info.ip || null,
+    slot: info.slot || null,
+    streams: info.streams || [],
+    staleMs: info.staleMs || PRESENCE_STALE_MS,
+    onStale: info.onStale || null,
+    connectedAt: now,
+    lastSeen: now,
+    bytesSent: 0,
+    closed: false
+  };
+  device.connections.set(connection.id, connection);
+  device.lastWrittenAt = now;
+  if (connection.ip) ipCounts.set(connection.ip, (ipCounts.get(connection.ip) || 0) + 1);
+
+  const presence = {
+    online: true,
+    lastSeen: iso(now),
+    ip: connection.ip,
+    connection: connection.type,
+    connections: device.connections.size
+  };
+  if (device.connections.size === 1) presence.connectedAt = iso(device.connectedAt);
+  writePresence(deviceId, presence);
+  if (arriving) publishWebhookEvent(deviceId, 'presence', presence);
+
+  return {
+    seen: () => {
+      connection.lastSeen = Date.now();
+    },
+    sent: (bytes) => {
+      connection.bytesSent += bytes;
+    },
+    keepAlive: (err) => {
+      if (err) {
+        keepAliveFailures.inc({ route: connection.type });
+      } else {
+        connection.lastSeen = Date.now();
+      }
+    },
+    close: () => removeConnection(deviceId, device, connection)
+  };
+}
+
+function sweep() {
+  const now = Date.now();
+
+  devices.forEach((device, deviceId) => {
+    device.connections.forEach((connection) => {
+      if (now - connection.lastSeen <= connection.staleMs) return;
+
+      log(`💀 ${deviceId} ${connection.type} connection from ${connection.ip} silent for ${now - connection.lastSeen}ms, dropping`);
+      if (connection.onStale) connection.onStale();
+      removeConnection(deviceId, device, connection);
+    });
+
+    if (devices.has(deviceId) && now - device.lastWrittenAt >= PRESENCE_HEARTBEAT_MS) {
+      device.lastWrittenAt = now;
+      writePresence(deviceId, { online: true, lastSeen: iso(lastSeenOf(device)) });
+    }
+  });
+}
+
+/**
+ * Snapshot for GET /admin/devices
+ */
+function connectedDevices() {
+  const now = Date.now();
+  const list = [];
+
+  devices.forEach((device, deviceId) => {
+    const connections = [];
+    let bytesSent = 0;
+    const streams = new Set();
+
+    device.connections.forEach((connection) => {
+      bytesSent += connection.bytesSent;
+      connection.streams.forEach((stream) => streams.add(stream));
+      connections.push({
+        type: connection.type,
+        ip: connection.ip,
+        streams: connection.streams,
+        connectedAt: iso(connection.connectedAt),
+        lastSeen: iso(connection.lastSeen),
+        uptimeMs: now - connection.connectedAt,
+        bytesSent: connection.bytesSent
+      });
+    });
+
+    list.push({
+      device: deviceId,
+      connectedAt: iso(device.connectedAt),
+      lastSeen: iso(lastSeenOf(device)),
+      uptimeMs: now - device.connectedAt,
+      streams: Array.from(streams),
+      bytesSent: bytesSent,
+      connections: connections
+    });
+  });
+
+  list.sort((a, b) => a.device.localeCompare(b.device));
+  return { count: list.length, devices: list };
+}
+
+/**
+ * Connection counts against the limits, for GET /admin/connections
+ */
+function connectionLimits() {
+  const byDevice = {};
+  devices.forEach((device, deviceId) => {
+    byDevice[deviceId] = device.connections.size;
+  });
+  const byIp = {};
+  ipCounts.forEach((count, ip) => {
+    byIp[ip] = count;
+  });
+
+  return {
+    limits: { perDevice: MAX_CONNECTIONS_PER_DEVICE, perIp: MAX_CONNECTIONS_PER_IP },
+    total: connectionCount(),
+    byDevice: byDevice,
+    byIp: byIp
+  };
+}
+
+/**
+ * Number of open device connections
+ */
+function connectionCount() {
+  let count = 0;
+  devices.forEach((device) => {
+    count += device.connections.size;
+  });
+  return count;
+}
+
+/**
+ * Start the heartbeat / stale-connection sweep
+ */
+function startPresence() {
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { admitConnection, trackConnection, connectedDevices, connectionLimits, connectionCount, startPresence };
@@ -0,0 +1,56 @@
+/**
+ * Per-key token buckets
+ *
+ * A limiter allows `perMinute` requests per key per minute, with bursts up
+ * to the same number; tokens refill continuously. Idle keys are forgotten
+ * once their bucket is full again.
+ */
+
+// Drop full buckets once this many keys are tracked
+const PRUNE_AFTER = 10000;
+
+/**
+ * Create a limiter; perMinute 0 disables it
+ * Returns {take(key) -> 0 if allowed, else ms until the next token, size()}.
+ */
+function createRateLimiter(perMinute) {
+  // key -> {tokens, updatedAt}
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  function prune(now) {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, now);
+      if (bucket.tokens >= perMinute) buckets.delete(key);
+    });
+  }
+
+  function take(key) {
+    if (perMinute <= 0) return 0;
+
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= PRUNE_AFTER) prune(now);
+      bucket = { tokens: perMinute, updatedAt: now };
+      buckets.set(key, bucket);
+    } else {
+      refill(bucket, now);
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / refillPerMs);
+  }
+
+  return { take: take, size: () => buckets.size };
+}
+
+module.exports = { createRateLimiter };
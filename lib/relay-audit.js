@@ -0,0 +1,206 @@
+/**
+ * Relay audit trail
+ *
+ * Every relay transition the proxy sees is stored under
+ * /devices/{id}/history/{key}:
+ *   {"relay":5,"state":true,"previous":false,"source":"device-schedule","ip":"1.2.3.4","timestamp":"..."}
+ * source is "device-schedule" for writes from the device itself (POST /update
+ * and its line protocol / MQTT equivalents) and "remote" for changes seen on
+ * the relays stream that did not come from one (app toggles, console edits).
+ * previous is null when the proxy did not know the earlier state. Batch
+ * writes that carry schedule-run metadata add it as "schedule".
+ *
+ * Keys are the transition time as zero-padded epoch ms plus a random suffix,
+ * so they sort chronologically: history is paged by key without a Firebase
+ * index, and a queued write replayed later keeps its place.
+ */
+
+const crypto = require('crypto');
+const { logError } = require('./log');
+const { getJson } = require('./firebase');
+const { onHubEvent } = require('./device-hub');
+
+// Entries per GET /history page by default, and at most
+const AUDIT_PAGE_SIZE = parseInt(process.env.AUDIT_PAGE_SIZE || '100', 10);
+const AUDIT_PAGE_MAX = parseInt(process.env.AUDIT_PAGE_MAX || '1000', 10);
+
+// A device write shows up on the relays stream shortly after; that echo is
+// not a remote change
+const ECHO_WINDOW_MS = 60000;
+
+// Reads per page when a relay filter skips most entries
+const MAX_PAGE_READS = 5;
+
+const HISTORY_KEY_PATTERN = /^\d{13}_[0-9a-f]{8}$/;
+
+// "device:relay" -> last state seen
+const lastStates = new Map();
+
+// "device:relay" -> {state, expiresAt} for device writes not yet seen on the stream
+const expectedEchoes = new Map();
+
+// Stores history records; set by startRelayAudit()
+let historyWriter = null;
+
+function relayKey(deviceId, relay) {
+  return `${deviceId}:${relay}`;
+}
+
+function keyBound(ms) {
+  return String(Math.max(0, Math.floor(ms))).padStart(13, '0');
+}
+
+function store(deviceId, at, record) {
+  if (!historyWriter) return;
+
+  const key = `${keyBound(at)}_${crypto.randomBytes(4).toString('hex')}`;
+  historyWriter(deviceId, key, record, (result) => {
+    if (result.status >= 300) {
+      logError(`❌ Could not store relay history for ${deviceId}: ${result.payload.error}`);
+    }
+  });
+}
+
+/**
+ * Start recording a relay write from the device itself
+ * Call before the write is sent; returns done(ok) to call with its outcome.
+ */
+function deviceChange(deviceId, relay, state, ip, schedule) {
+  const key = relayKey(deviceId, relay);
+  const previous = lastStates.has(key) ? lastStates.get(key) : null;
+  const at = Date.now();
+
+  expectedEchoes.set(key, { state: state, expiresAt: at + ECHO_WINDOW_MS });
+
+  return function done(ok) {
+    if (!ok) {
+      expectedEchoes.delete(key);
+      return;
+    }
+    lastStates.set(key, state);
+    if (previous === state) return;
+
+    const record = {
+      relay: relay,
+      state: state,
+      previous: previous,
+      source: 'device-schedule',
+      ip: ip || null,
+      timestamp: new Date(at).toISOString()
+    };
+    if (schedule) record.schedule = schedule;
+    store(deviceId, at, record);
+  };
+}
+
+/**
+ * Relay event from a device hub: record it unless it is the echo of a
+ * device write or the first state seen
+ */
+function observeRelay(deviceId, event) {
+  const key = relayKey(deviceId, event.relay);
+  const known = lastStates.has(key);
+  const previous = lastStates.get(key);
+  lastStates.set(key, event.state);
+
+  const echo = expectedEchoes.get(key);
+  if (echo) {
+    expectedEchoes.delete(key);
+    if (echo.state === event.state && echo.expiresAt > Date.now()) return;
+  }
+  if (!known || previous === event.state) return;
+
+  const at = Date.now();
+  store(deviceId, at, {
+    relay: event.relay,
+    state: event.state,
+    previous: previous,
+    source: 'remote',
+    ip: null,
+    timestamp: new Date(at).toISOString()
+  });
+}
+
+/**
+ * Read one page of a device's relay history
+ * options: {relay, from, to, limit, cursor} (relay and cursor optional)
+ * callback(err, {entries, next}) - next is the cursor for the following
+ * page, or null on the last one.
+ */
+function queryRelayHistory(deviceId, options, callback) {
+  const limit = options.limit;
+  const batch = limit + 1;
+  const endAt = `${keyBound(options.to)}~`;
+  const entries = [];
+
+  function read(startAt, skipKey, reads) {
+    // startAt is inclusive, so the skipped key takes one of the slots
+    const size = skipKey ? batch + 1 : batch;
+    const query = [
+      `orderBy=${encodeURIComponent('"$key"')}`,
+      `startAt=${encodeURIComponent(JSON.stringify(startAt))}`,
+      `endAt=${encodeURIComponent(JSON.stringify(endAt))}`,
+      `limitToFirst=${size}`
+    ].join('&');
+
+    getJson(`/devices/${deviceId}/history.json?${query}`, (err, value) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // Firebase REST returns an unordered object
+      const all = Object.keys(value || {}).sort();
+      const exhausted = all.length < size;
+      const keys = all.filter((key) => key !== skipKey);
+
+      for (let i = 0; i < keys.length; i++) {
+        const record = value[keys[i]];
+        if (options.relay && (!record || record.relay !== options.relay)) continue;
+
+        entries.push(Object.assign({ id: keys[i] }, record));
+        if (entries.length === limit) {
+          const more = i < keys.length - 1 || !exhausted;
+          callback(null, { entries: entries, next: more ? keys[i] : null });
+          return;
+        }
+      }
+
+      const lastKey = keys.length > 0 ? keys[keys.length - 1] : skipKey;
+      if (exhausted || !lastKey) {
+        callback(null, { entries: entries, next: null });
+      } else if (reads + 1 >= MAX_PAGE_READS) {
+        callback(null, { entries: entries, next: lastKey });
+      } else {
+        read(lastKey, lastKey, reads + 1);
+      }
+    });
+  }
+
+  if (options.cursor) {
+    read(options.cursor, options.cursor, 0);
+  } else {
+    read(keyBound(options.from), null, 0);
+  }
+}
+
+/**
+ * Start recording relay changes seen on device streams
+ * writeHistory(deviceId, key, record, callback(result)) stores records.
+ */
+function startRelayAudit(writeHistory) {
+  historyWriter = writeHistory;
+
+  onHubEvent((deviceId, streamType, event) => {
+    if (event.type === 'relay') observeRelay(deviceId, event);
+  });
+}
+
+module.exports = {
+  AUDIT_PAGE_SIZE,
+  AUDIT_PAGE_MAX,
+  HISTORY_KEY_PATTERN,
+  deviceChange,
+  queryRelayHistory,
+  startRelayAudit
+};
@@ -0,0 +1,205 @@
+/**
+ * Relay commands: desired vs reported state
+ *
+ * When the desired state of a relay (relays/relay_N/state, written by the
+ * app) differs from what the device last reported, the proxy issues a
+ * command and attaches its ID to the relay events it sends:
+ *   {"type":"relay","relay":5,"state":true,"command":"c_mvf..."}
+ * The device confirms with POST /ack (or the "ack" field of /update), which
+ * records the reported state. Each relay node in Firebase carries:
+ *   state        desired state
+ *   reported     state the device last confirmed, reportedAt
+ *   command      {id, state, status, issuedAt, ackedAt | timedOutAt}
+ * status is "pending", "acked", "mismatch" (device reported a different
+ * state), "timed_out" (no ack within COMMAND_TIMEOUT_MS) or "superseded"
+ * (desired state changed back before the device acted). Pending and
+ * timed-out commands are re-delivered with the replayed snapshot whenever
+ * the device reconnects.
+ *
+ * Relays stored as bare values (relay_N: true) are not tracked.
+ */
+
+const crypto = require('crypto');
+const { log, logError } = require('./log');
+const { writeJson } = require('./firebase');
+
+// How long a command may stay unacknowledged before it is marked timed_out
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS || '30000', 10);
+
+// "device:relay" -> {id, device, relay, state, status, issuedAt, ackedAt, timedOutAt, timer}
+const commands = new Map();
+
+function commandKey(deviceId, relay) {
+  return `${deviceId}:${relay}`;
+}
+
+function commandRecord(command) {
+  const record = {
+    id: command.id,
+    state: command.state,
+    status: command.status,
+    issuedAt: new Date(command.issuedAt).toISOString()
+  };
+  if (command.ackedAt) record.ackedAt = new Date(command.ackedAt).toISOString();
+  if (command.timedOutAt) record.timedOutAt = new Date(command.timedOutAt).toISOString();
+  return record;
+}
+
+function persist(command, extra) {
+  const path = `/devices/${command.device}/relays/relay_${command.relay}.json`;
+  const body = Object.assign({ command: commandRecord(command) }, extra || {});
+
+  writeJson('PATCH', path, body, (err, statusCode, responseData) => {
+    if (err) {
+      logError(`❌ Could not store command ${command.id}: ${err.message}`);
+    } else if (statusCode !== 200) {
+      logError(`❌ Could not store command ${command.id}: ${statusCode} - ${responseData}`);
+    }
+  });
+}
+
+function startTimeout(command, delay) {
+  clearTimeout(command.timer);
+  command.timer = setTimeout(() => {
+    command.timer = null;
+    if (command.status !== 'pending') return;
+
+    command.status = 'timed_out';
+    command.timedOutAt = Date.now();
+    log(`⏱️  Command ${command.id} (${command.device} relay ${command.relay} → ${command.state}) timed out`);
+    persist(command);
+  }, Math.max(0, delay));
+  command.timer.unref();
+}
+
+/**
+ * Pick up a command stored in Firebase (after a restart or hub teardown)
+ */
+function adopt(deviceId, relay, stored) {
+  const command = {
+    id: stored.id,
+    device: deviceId,
+    relay: relay,
+    state: stored.state,
+    status: stored.status || 'pending',
+    issuedAt: Date.parse(stored.issuedAt) || Date.now(),
+    ackedAt: stored.ackedAt ? Date.parse(stored.ackedAt) : null,
+    timedOutAt: stored.timedOutAt ? Date.parse(stored.timedOutAt) : null,
+    timer: null
+  };
+  commands.set(commandKey(deviceId, relay), command);
+
+  if (command.status === 'pending') {
+    startTimeout(command, command.issuedAt + COMMAND_TIMEOUT_MS - Date.now());
+  }
+  return command;
+}
+
+/**
+ * Called by the device hub for every relay whose desired state it emits
+ * node is the relay's Firebase subtree ({state, reported, command}); baseline
+ * marks the first state seen for the relay (the hub's initial snapshot).
+ * Issues a new command when the desired state is neither already commanded
+ * nor already reported by the device.
+ */
+function trackDesiredState(deviceId, relay, state, node, baseline) {
+  if (!node || typeof node !== 'object') return;
+
+  const key = commandKey(deviceId, relay);
+  let command = commands.get(key);
+
+  if (!command && node.command && typeof node.command.id === 'string') {
+    command = adopt(deviceId, relay, node.command);
+  }
+  if (command && command.state === state) return;
+
+  // A relay the device has never reported on is not behind its desired
+  // state yet; only a change made after the snapshot commands it
+  if (baseline && typeof node.reported !== 'boolean') return;
+
+  if (command) clearTimeout(command.timer);
+
+  // Desired state went back to what the device already has
+  if (node.reported === state) {
+    if (command && command.status === 'pending') {
+      command.status = 'superseded';
+      persist(command);
+    }
+    return;
+  }
+
+  command = {
+    id: `c_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+    device: deviceId,
+    relay: relay,
+    state: state,
+    status: 'pending',
+    issuedAt: Date.now(),
+    ackedAt: null,
+    timedOutAt: null,
+    timer: null
+  };
+  commands.set(key, command);
+  startTimeout(command, COMMAND_TIMEOUT_MS);
+  persist(command);
+
+  log(`📨 Command ${command.id}: ${deviceId} relay ${relay} → ${state ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * ID of the unacknowledged command for this relay state, if any
+ */
+function pendingCommand(deviceId, relay, state) {
+  const command = commands.get(commandKey(deviceId, relay));
+  if (!command || command.state !== state) return null;
+  return (command.status === 'pending' || command.status === 'timed_out') ? command.id : null;
+}
+
+/**
+ * Record the device's confirmation of a command
+ * state is the state the device reports (defaults to the commanded state).
+ * callback({status, payload}) as for writes.
+ */
+function acknowledgeCommand(deviceId, commandId, state, callback) {
+  let command = null;
+  commands.forEach((candidate) => {
+    if (candidate.device === deviceId && candidate.id === commandId) command = candidate;
+  });
+
+  if (!command) {
+    callback({
+      status: 404,
+      payload: { error: 'Unknown command', code: 'unknown_command', details: `${commandId} is not a current command for ${deviceId}` }
+    });
+    return;
+  }
+
+  const reported = typeof state === 'boolean' ? state : command.state;
+
+  // Later acks of a settled command just report its outcome
+  if (command.status === 'pending' || command.status === 'timed_out') {
+    clearTimeout(command.timer);
+    command.timer = null;
+    command.status = reported === command.state ? 'acked' : 'mismatch';
+    command.ackedAt = Date.now();
+    persist(command, { reported: reported, reportedAt: new Date(command.ackedAt).toISOString() });
+
+    log(`${command.status === 'acked' ? '✅' : '⚠️ '} Command ${command.id} ${command.status} by ${deviceId} (relay ${command.relay} = ${reported})`);
+  }
+
+  callback({
+    status: 200,
+    payload: {
+      success: true,
+      device: deviceId,
+      relay: command.relay,
+      command: command.id,
+      status: command.status,
+      state: command.state,
+      reported: reported,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+module.exports = { trackDesiredState, pendingCommand, acknowledgeCommand };
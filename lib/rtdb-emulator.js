@@ -0,0 +1,281 @@
+/**
+ * In-memory Firebase RTDB stand-in
+ *
+ * Implements the part of the RTDB REST API the proxy uses, so the whole
+ * proxy can run and be tested without a network:
+ * - GET {path}.json, with orderBy="$key" + startAt / endAt / limitToFirst /
+ *   limitToLast
+ * - GET with `Accept: text/event-stream`: `put` on connect, then `put` /
+ *   `patch` events for every write at or above the path, and `keep-alive`
+ * - PUT, PATCH (multi-location keys like "relay_1/state"), POST (push IDs)
+ *   and DELETE
+ * `auth`, `access_token` and `ns` are accepted and ignored; there are no
+ * security rules. Data lives only as long as the process.
+ *
+ * Used in-process for upstreams configured as "memory" (lib/firebase.js), or
+ * standalone: `npm run emulator` serves it on FIREBASE_EMULATOR_PORT so the
+ * proxy can be pointed at it with FIREBASE_URL=http://localhost:9000.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./log');
+const { applyPut, applyPatch, getAt, toPlain, normalize } = require('./state-tree');
+
+const FIREBASE_EMULATOR_PORT = parseInt(process.env.FIREBASE_EMULATOR_PORT || '9000', 10);
+
+// JSON file loaded as the initial database contents (standalone, or FIREBASE_URL=memory)
+const FIREBASE_EMULATOR_SEED = process.env.FIREBASE_EMULATOR_SEED || '';
+
+// Same interval as Firebase; the proxy's watchdog expects one within UPSTREAM_WATCHDOG_MS
+const KEEP_ALIVE_MS = 30000;
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+function splitPath(path) {
+  return String(path || '/').split('/').filter(Boolean);
+}
+
+function startsWith(segments, prefix) {
+  return prefix.length <= segments.length && prefix.every((key, i) => segments[i] === key);
+}
+
+/**
+ * Firebase push ID: 8 characters of timestamp, then 12 random ones, so IDs
+ * sort in creation order
+ */
+function pushId() {
+  let now = Date.now();
+  let id = '';
+  for (let i = 0; i < 8; i++) {
+    id = PUSH_CHARS.charAt(now % 64) + id;
+    now = Math.floor(now / 64);
+  }
+  crypto.randomBytes(12).forEach((byte) => {
+    id += PUSH_CHARS.charAt(byte % 64);
+  });
+  return id;
+}
+
+/**
+ * Firebase's $key order: integer keys numerically first, then strings
+ */
+function compareKeys(a, b) {
+  const intA = /^-?\d{1,10}$/.test(a);
+  const intB = /^-?\d{1,10}$/.test(b);
+  if (intA && intB) return Number(a) - Number(b);
+  if (intA !== intB) return intA ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Apply orderBy / startAt / endAt / limitTo* to the value read at a path
+ * Throws with Firebase's message when the query is not supported.
+ */
+function applyQuery(value, params) {
+  const orderBy = params.get('orderBy');
+  if (orderBy === null) {
+    if (['startAt', 'endAt', 'limitToFirst', 'limitToLast'].some((name) => params.has(name))) {
+      throw new Error('orderBy must be defined when other query parameters are defined');
+    }
+    return value;
+  }
+
+  const parse = (name) => {
+    if (!params.has(name)) return undefined;
+    try {
+      return JSON.parse(params.get(name));
+    } catch (e) {
+      throw new Error(`${name} must be a valid JSON value`);
+    }
+  };
+
+  if (parse('orderBy') !== '$key') {
+    throw new Error('Only orderBy="$key" is supported by the emulator');
+  }
+  if (!value || typeof value !== 'object') return value;
+
+  const startAt = parse('startAt');
+  const endAt = parse('endAt');
+  const first = parse('limitToFirst');
+  const last = parse('limitToLast');
+
+  let keys = Object.keys(value).sort(compareKeys).filter((key) => {
+    if (startAt !== undefined && compareKeys(key, String(startAt)) < 0) return false;
+    if (endAt !== undefined && compareKeys(key, String(endAt)) > 0) return false;
+    return true;
+  });
+  if (Number.isInteger(first)) keys = keys.slice(0, first);
+  if (Number.isInteger(last)) keys = keys.slice(Math.max(0, keys.length - last));
+
+  const out = {};
+  keys.forEach((key) => {
+    out[key] = value[key];
+  });
+  return out;
+}
+
+/**
+ * Create an emulator; call listen() on the returned server
+ * seed is the initial database contents (optional).
+ */
+function createRtdbEmulator(seed) {
+  let root = normalize(seed);
+
+  // Open event streams: {segments, res}
+  const listeners = new Set();
+
+  function sendEvent(res, eventName, data) {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Apply a write and tell every stream it affects
+   */
+  function write(segments, eventName, data) {
+    const before = new Map();
+    listeners.forEach((listener) => {
+      if (!startsWith(listener.segments, segments)) return;
+      before.set(listener, JSON.stringify(getAt(root, listener.segments.join('/'))));
+    });
+
+    const path = `/${segments.join('/')}`;
+    root = eventName === 'patch' ? applyPatch(root, path, data) : applyPut(root, path, data);
+
+    listeners.forEach((listener) => {
+      if (startsWith(segments, listener.segments)) {
+        // Write at or below the stream's path: relay it as-is
+        const relative = `/${segments.slice(listener.segments.length).join('/')}`;
+        sendEvent(listener.res, eventName, { path: relative, data: data });
+      } else if (before.has(listener)) {
+        // Write above it: send the stream's new value if it changed
+        const value = getAt(root, listener.segments.join('/'));
+        if (JSON.stringify(value) !== before.get(listener)) {
+          sendEvent(listener.res, 'put', { path: '/', data: value === undefined ? null : toPlain(value) });
+        }
+      }
+    });
+  }
+
+  function sendJson(res, statusCode, value) {
+    const body = JSON.stringify(value === undefined ? null : value);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  function openStream(req, res, segments) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const value = getAt(root, segments.join('/'));
+    sendEvent(res, 'put', { path: '/', data: value === undefined ? null : toPlain(value) });
+
+    const listener = { segments: segments, res: res };
+    listeners.add(listener);
+
+    const keepAlive = setInterval(() => {
+      res.write('event: keep-alive\ndata: null\n\n');
+    }, KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      listeners.delete(listener);
+    });
+  }
+
+  function readBody(req, res, callback) {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      let value;
+      try {
+        value = JSON.parse(body);
+      } catch (e) {
+        sendJson(res, 400, { error: 'Invalid data; couldn\'t parse JSON object, array, or value.' });
+        return;
+      }
+      callback(value);
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.endsWith('.json')) {
+      sendJson(res, 404, { error: 'Paths must end in .json' });
+      return;
+    }
+
+    let segments;
+    try {
+      segments = splitPath(decodeURIComponent(url.pathname.slice(0, -'.json'.length)));
+    } catch (e) {
+      sendJson(res, 400, { error: 'Invalid path' });
+      return;
+    }
+    const path = segments.join('/');
+
+    switch (req.method) {
+      case 'GET': {
+        if ((req.headers.accept || '').includes('text/event-stream')) {
+          openStream(req, res, segments);
+          return;
+        }
+        try {
+          sendJson(res, 200, toPlain(applyQuery(getAt(root, path), url.searchParams)));
+        } catch (e) {
+          sendJson(res, 400, { error: e.message });
+        }
+        return;
+      }
+      case 'PUT':
+        readBody(req, res, (value) => {
+          write(segments, 'put', value);
+          sendJson(res, 200, value);
+        });
+        return;
+      case 'PATCH':
+        readBody(req, res, (value) => {
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            sendJson(res, 400, { error: 'Invalid data; PATCH requires a JSON object.' });
+            return;
+          }
+          write(segments, 'patch', value);
+          sendJson(res, 200, value);
+        });
+        return;
+      case 'POST':
+        readBody(req, res, (value) => {
+          const name = pushId();
+          write(segments.concat(name), 'put', value);
+          sendJson(res, 200, { name: name });
+        });
+        return;
+      case 'DELETE':
+        write(segments, 'put', null);
+        sendJson(res, 200, null);
+        return;
+      default:
+        sendJson(res, 405, { error: `Method ${req.method} not supported` });
+    }
+  });
+
+  return server;
+}
+
+module.exports = { FIREBASE_EMULATOR_SEED, createRtdbEmulator };
+
+if (require.main === module) {
+  const seed = FIREBASE_EMULATOR_SEED ? JSON.parse(fs.readFileSync(FIREBASE_EMULATOR_SEED, 'utf8')) : null;
+  createRtdbEmulator(seed).listen(FIREBASE_EMULATOR_PORT, () => {
+    log(`🧪 RTDB emulator listening on http://localhost:${FIREBASE_EMULATOR_PORT}`);
+  });
+}
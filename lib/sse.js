@@ -0,0 +1,52 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+/**
+ * Incremental SSE parser
+ * Feed it raw chunks; onEvent(eventName, data) fires once per complete event
+ * (blank-line terminated). Events without an `event:` line are "message".
+ */
+function createSseParser(onEvent) {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  function dispatch() {
+    if (dataLines.length > 0 || eventName) {
+      onEvent(eventName || 'message', dataLines.join('\n'));
+    }
+    eventName = '';
+    dataLines = [];
+  }
+
+  return function push(chunk) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    lines.forEach((rawLine) => {
+      const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+      if (!line) {
+        dispatch();
+        return;
+      }
+      // Comment line (": keep-alive")
+      if (line.startsWith(':')) return;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.substring(0, colon);
+      let value = colon === -1 ? '' : line.substring(colon + 1);
+      if (value.startsWith(' ')) value = value.substring(1);
+
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    });
+  };
+}
+
+module.exports = { createSseParser };
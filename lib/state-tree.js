@@ -0,0 +1,117 @@
+/**
+ * In-memory mirror of a Firebase RTDB subtree
+ *
+ * Applies SSE `put` / `patch` events exactly as Firebase defines them:
+ * - put:   replace the value at `path` (null deletes it)
+ * - patch: for every key in `data`, replace the value at `path/key`
+ *
+ * Like Firebase, the tree never stores null or empty objects, and arrays
+ * are kept as objects with numeric keys. Updates are copy-on-write along the
+ * changed path, so subtrees handed out earlier are never mutated.
+ */
+
+function splitPath(path) {
+  return String(path || '/').split('/').filter(Boolean);
+}
+
+/**
+ * Drop nulls and empty objects, turn arrays into keyed objects
+ * Returns undefined for "no value".
+ */
+function normalize(value) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value !== 'object') return value;
+
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    const child = normalize(value[key]);
+    if (child !== undefined) out[key] = child;
+  });
+  return Object.keys(out).length > 0 ? out : undefined;
+}
+
+function setAt(node, segments, value) {
+  if (segments.length === 0) return value;
+
+  const copy = (node && typeof node === 'object') ? Object.assign({}, node) : {};
+  const key = segments[0];
+  const child = setAt(copy[key], segments.slice(1), value);
+
+  if (child === undefined) {
+    delete copy[key];
+  } else {
+    copy[key] = child;
+  }
+  return Object.keys(copy).length > 0 ? copy : undefined;
+}
+
+/**
+ * Apply a Firebase `put` and return the new root
+ */
+function applyPut(root, path, data) {
+  return setAt(root, splitPath(path), normalize(data));
+}
+
+/**
+ * Apply a Firebase `patch` and return the new root
+ * Patch keys may themselves be multi-segment paths ("relay_1/state").
+ */
+function applyPatch(root, path, data) {
+  const base = splitPath(path);
+  if (!data || typeof data !== 'object') return root;
+
+  let next = root;
+  Object.keys(data).forEach((key) => {
+    next = setAt(next, base.concat(splitPath(key)), normalize(data[key]));
+  });
+  return next;
+}
+
+/**
+ * Apply a parsed SSE event ({path, data}) by event name
+ */
+function applyEvent(root, eventName, firebaseData) {
+  if (eventName === 'patch') {
+    return applyPatch(root, firebaseData.path, firebaseData.data);
+  }
+  return applyPut(root, firebaseData.path, firebaseData.data);
+}
+
+/**
+ * Read the value at a path
+ */
+function getAt(root, path) {
+  return splitPath(path).reduce((node, key) => {
+    return (node && typeof node === 'object') ? node[key] : undefined;
+  }, root);
+}
+
+/**
+ * Convert to the JSON Firebase would return over REST
+ * Objects whose keys are all small non-negative integers come back as
+ * arrays (Firebase's rule: more than half the slots filled).
+ */
+function toPlain(value) {
+  if (!value || typeof value !== 'object') return value;
+
+  const keys = Object.keys(value);
+  const isArrayLike = keys.length > 0 && keys.every((key) => /^(0|[1-9]\d*)$/.test(key));
+  if (isArrayLike) {
+    const maxIndex = Math.max.apply(null, keys.map(Number));
+    if (maxIndex < keys.length * 2) {
+      const arr = new Array(maxIndex + 1).fill(null);
+      keys.forEach((key) => {
+        arr[Number(key)] = toPlain(value[key]);
+      });
+      return arr;
+    }
+  }
+
+  const out = {};
+  keys.forEach((key) => {
+    out[key] = toPlain(value[key]);
+  });
+  return out;
+}
+
+module.exports = { applyPut, applyPatch, applyEvent, getAt, toPlain, normalize };
@@ -0,0 +1,171 @@
+/**
+ * Subscription enforcement
+ *
+ * /devices/{id}/enabled is the device's subscription status. The proxy
+ * tracks it itself (from the device's enabled stream, or a cached read for
+ * devices without one open) instead of trusting firmware to obey it:
+ * - /update and /power writes (and their line protocol / MQTT equivalents)
+ *   are answered 402 {code: "subscription_disabled"}
+ * - relay and schedule events are no longer forwarded, and clients get
+ *   {"type":"disabled","reason":"subscription_disabled","safe_state":false}
+ * - with SUBSCRIPTION_SAFE_STATE set, every relay's desired state is set to
+ *   it when the proxy sees the device go from enabled to disabled; relay
+ *   events in that state are still forwarded so the device follows
+ *
+ * While Firebase cannot be read, the last known status (or enabled, if
+ * none) applies, so an outage never locks devices out.
+ */
+
+const { log, logError, logWarn, bindLogContext } = require('./log');
+const { getJson, writeJson } = require('./firebase');
+const { cachedProfile } = require('./device-profile');
+
+const SUBSCRIPTION_CACHE_MS = parseInt(process.env.SUBSCRIPTION_CACHE_MS || '60000', 10);
+
+// "off" or "on": relay state forced on disablement; unset leaves relays alone
+const SUBSCRIPTION_SAFE_STATE = process.env.SUBSCRIPTION_SAFE_STATE || '';
+const SAFE_STATE = SUBSCRIPTION_SAFE_STATE === 'on' ? true : SUBSCRIPTION_SAFE_STATE === 'off' ? false : null;
+
+// deviceId -> {enabled, expiresAt}
+const statuses = new Map();
+
+// deviceId -> callbacks waiting for a read in flight
+const loading = new Map();
+
+/**
+ * Force every relay in the device's profile to SAFE_STATE
+ */
+function applySafeState(deviceId) {
+  if (SAFE_STATE === null) return;
+
+  const update = {};
+  for (let relay = 1; relay <= cachedProfile(deviceId).relays; relay++) {
+    update[`relay_${relay}/state`] = SAFE_STATE;
+  }
+
+  log(`🛡️  ${deviceId}: forcing ${Object.keys(update).length} relay(s) ${SAFE_STATE ? 'ON' : 'OFF'} (subscription disabled)`);
+  writeJson('PATCH', `/devices/${deviceId}/relays.json`, update, (err, statusCode, responseData) => {
+    if (err) {
+      logError(`❌ Safe state write for ${deviceId} failed: ${err.message}`);
+    } else if (statusCode !== 200) {
+      logError(`❌ Safe state write for ${deviceId} failed: ${statusCode} - ${responseData}`);
+    }
+  });
+}
+
+/**
+ * Record a device's subscription status
+ * Returns the previous status (undefined if it was not known).
+ */
+function recordEnabled(deviceId, enabled) {
+  const previous = statuses.get(deviceId);
+  statuses.set(deviceId, { enabled: enabled, expiresAt: Date.now() + SUBSCRIPTION_CACHE_MS });
+
+  const before = previous ? previous.enabled : undefined;
+  if (before === enabled) return before;
+
+  if (enabled) {
+    log(`🔓 ${deviceId}: subscription enabled${before === false ? ', resuming relay and schedule delivery' : ''}`);
+  } else {
+    log(`⛔ ${deviceId}: subscription disabled, blocking writes and relay/schedule events`);
+    if (before === true) applySafeState(deviceId);
+  }
+  return before;
+}
+
+/**
+ * Subscription status from the value of /devices/{id}/enabled
+ * A missing (or null) node is enabled, so devices created before it existed
+ * keep working. Anything but true or false (0, "false", "0" from a console
+ * or app) is disabled, just as a relay write with such a state is rejected.
+ */
+function parseEnabled(deviceId, value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'boolean') return value;
+
+  logWarn(`⚠️  ${deviceId}: enabled is ${JSON.stringify(value)}, not true or false; treating the subscription as disabled`);
+  return false;
+}
+
+/**
+ * Look up a device's subscription status
+ * callback(enabled) - never fails; see the module comment.
+ */
+function loadSubscription(deviceId, callback) {
+  const cached = statuses.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) {
+    callback(cached.enabled);
+    return;
+  }
+
+  if (loading.has(deviceId)) {
+    loading.get(deviceId).push(bindLogContext(callback));
+    return;
+  }
+  loading.set(deviceId, [bindLogContext(callback)]);
+
+  getJson(`/devices/${deviceId}/enabled.json`, (err, value) => {
+    let enabled;
+    if (err) {
+      logWarn(`⚠️  Could not read subscription status for ${deviceId}: ${err.message}`);
+      enabled = cached ? cached.enabled : true;
+      statuses.set(deviceId, { enabled: enabled, expiresAt: Date.now() + SUBSCRIPTION_CACHE_MS });
+    } else {
+      enabled = parseEnabled(deviceId, value);
+      recordEnabled(deviceId, enabled);
+    }
+
+    const waiting = loading.get(deviceId) || [];
+    loading.delete(deviceId);
+    waiting.forEach((waiter) => waiter(enabled));
+  });
+}
+
+/**
+ * Last known status, without waiting (enabled when unknown)
+ */
+function isEnabled(deviceId) {
+  const cached = statuses.get(deviceId);
+  return cached ? cached.enabled : true;
+}
+
+/**
+ * Whether an event may reach a disabled device
+ */
+function allowedWhileDisabled(event) {
+  if (event.type === 'schedule') return false;
+  if (event.type === 'relay') return SAFE_STATE !== null && event.state === SAFE_STATE;
+  return true;
+}
+
+/**
+ * The event sent to clients of a disabled device
+ */
+function disabledEvent() {
+  return { type: 'disabled', reason: 'subscription_disabled', safe_state: SAFE_STATE };
+}
+
+/**
+ * Write result for a device whose subscription is disabled
+ */
+function disabledResult(deviceId) {
+  return {
+    status: 402,
+    payload: {
+      error: 'Subscription disabled',
+      code: 'subscription_disabled',
+      device: deviceId,
+      details: 'The subscription for this device is not active'
+    }
+  };
+}
+
+module.exports = {
+  parseEnabled,
+  loadSubscription,
+  recordEnabled,
+  isEnabled,
+  allowedWhileDisabled,
+  disabledEvent,
+  disabledResult
+};
@@ -0,0 +1,269 @@
+/**
+ * Input validation for device IDs, relay writes and power payloads
+ *
+ * Everything that ends up in a Firebase path or body passes through here
+ * first, so a device ID like "../admin" or "x.json?print=" can never reach
+ * the database. Validators return null when the value is fine, or
+ * {code, field, details} describing the first problem found.
+ */
+
+// Highest relay number a board can have (relays are numbered from 1)
+const MAX_RELAYS = parseInt(process.env.MAX_RELAYS || '16', 10);
+
+// Largest accepted request body
+const MAX_BODY_BYTES = parseInt(process.env.MAX_BODY_BYTES || '8192', 10);
+
+// Device IDs from the relay_admin panel look like dev_mhlj9n2msbwqu6bno
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+// Relay command IDs issued by lib/relay-commands.js look like c_mvf3k2x1_9f8e7d6c
+const COMMAND_ID_PATTERN = /^c_[a-z0-9_]{1,62}$/;
+
+// PZEM-004T per-phase readings and their plausible ranges
+const POWER_PHASES = ['phase_a', 'phase_b', 'phase_c'];
+const POWER_FIELDS = {
+  voltage: { min: 0, max: 500 },       // V
+  current: { min: 0, max: 100 },       // A
+  power: { min: 0, max: 50000 },       // W
+  energy: { min: 0, max: 10000000 },   // kWh
+  pf: { min: 0, max: 1 },
+  frequency: { min: 0, max: 100 }      // Hz (0 when the phase is dead)
+};
+
+function invalid(field, details) {
+  return { code: 'invalid_field', field: field, details: details };
+}
+
+function missing(field) {
+  return { code: 'missing_field', field: field, details: `${field} is required` };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateDeviceId(deviceId, field) {
+  field = field || 'device';
+  if (deviceId === undefined || deviceId === null || deviceId === '') return missing(field);
+  if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+    return invalid(field, `${field} must be 3-64 characters of A-Z, a-z, 0-9, _ or -`);
+  }
+  return null;
+}
+
+function validateRelayNumber(relay, field) {
+  field = field || 'relay';
+  if (relay === undefined || relay === null || relay === '') return missing(field);
+  if (!Number.isInteger(relay) || relay < 1 || relay > MAX_RELAYS) {
+    return invalid(field, `${field} must be an integer between 1 and ${MAX_RELAYS}`);
+  }
+  return null;
+}
+
+function validateRelayState(state, field) {
+  field = field || 'state';
+  if (state === undefined || state === null) return missing(field);
+  if (typeof state !== 'boolean') {
+    return invalid(field, `${field} must be true or false`);
+  }
+  return null;
+}
+
+/**
+ * A relay number the device's profile actually has (lib/device-profile.js)
+ */
+function validateProfileRelay(relay, profile, field) {
+  field = field || 'relay';
+  if (relay > profile.relays) {
+    return invalid(field, `${field} must be between 1 and ${profile.relays} for this device`);
+  }
+  return null;
+}
+
+/**
+ * Comma-separated stream names, e.g. ?streams=relays,enabled
+ */
+function validateStreamList(value, streamTypes, field) {
+  field = field || 'streams';
+  const names = String(value).split(',').map((name) => name.trim()).filter(Boolean);
+  if (names.length === 0) return missing(field);
+  const unknown = names.find((name) => !streamTypes.includes(name));
+  if (unknown) {
+    return invalid(field, `unknown stream "${unknown}"; expected ${streamTypes.join(', ')}`);
+  }
+  return null;
+}
+
+function validateCommandId(command, field) {
+  field = field || 'command';
+  if (command === undefined || command === null || command === '') return missing(field);
+  if (typeof command !== 'string' || !COMMAND_ID_PATTERN.test(command)) {
+    return invalid(field, `${field} must be a command ID from a relay event`);
+  }
+  return null;
+}
+
+/**
+ * PZEM power payload:
+ * {"phase_a": {"voltage": 230.1, "current": 1.2, "power": 270, "energy": 12.5,
+ *              "pf": 0.98, "frequency": 50}, "phase_b": {...}, "timestamp": 1700000000000}
+ */
+function validatePowerPayload(data, field) {
+  field = field || 'data';
+  if (data === undefined || data === null) return missing(field);
+  if (!isPlainObject(data)) return invalid(field, `${field} must be an object`);
+
+  const keys = Object.keys(data);
+  if (!keys.some((key) => POWER_PHASES.includes(key))) {
+    return invalid(field, `${field} must contain at least one of ${POWER_PHASES.join(', ')}`);
+  }
+
+  for (const key of keys) {
+    if (key === 'timestamp') {
+      if (typeof data.timestamp !== 'number' || !Number.isFinite(data.timestamp) || data.timestamp < 0) {
+        return invalid(`${field}.timestamp`, 'timestamp must be a non-negative number');
+      }
+      continue;
+    }
+
+    if (!POWER_PHASES.includes(key)) {
+      return invalid(`${field}.${key}`, `unknown field; expected ${POWER_PHASES.join(', ')} or timestamp`);
+    }
+
+    const phase = data[key];
+    if (!isPlainObject(phase)) {
+      return invalid(`${field}.${key}`, `${key} must be an object`);
+    }
+
+    for (const name of Object.keys(phase)) {
+      const bounds = POWER_FIELDS[name];
+      const path = `${field}.${key}.${name}`;
+      if (!bounds) {
+        return invalid(path, `unknown field; expected ${Object.keys(POWER_FIELDS).join(', ')}`);
+      }
+      const value = phase[name];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return invalid(path, `${name} must be a number`);
+      }
+      if (value < bounds.min || value > bounds.max) {
+        return invalid(path, `${name} must be between ${bounds.min} and ${bounds.max}`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * POST /update body: {"device":"dev_xxx","relay":5,"state":true,"ack":"c_..."}
+ * ack is optional and confirms the command that caused the change.
+ */
+function validateRelayUpdate(update) {
+  if (!isPlainObject(update)) return invalid('body', 'body must be a JSON object');
+  return validateDeviceId(update.device) ||
+    validateRelayNumber(update.relay) ||
+    validateRelayState(update.state) ||
+    (update.ack === undefined ? null : validateCommandId(update.ack, 'ack'));
+}
+
+/**
+ * Schedule-run metadata on a batch update:
+ * {"id":"sched_1","name":"Star-delta start","executedAt":1700000000000}
+ */
+function validateScheduleRun(schedule, field) {
+  field = field || 'schedule';
+  if (!isPlainObject(schedule)) return invalid(field, `${field} must be an object`);
+
+  for (const key of Object.keys(schedule)) {
+    const value = schedule[key];
+    const path = `${field}.${key}`;
+    if (key === 'id') {
+      if (typeof value !== 'string' || value.length < 1 || value.length > 64) {
+        return invalid(path, 'id must be a string of 1-64 characters');
+      }
+    } else if (key === 'name') {
+      if (typeof value !== 'string' || value.length > 100) {
+        return invalid(path, 'name must be a string of at most 100 characters');
+      }
+    } else if (key === 'executedAt') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return invalid(path, 'executedAt must be a non-negative number');
+      }
+    } else {
+      return invalid(path, 'unknown field; expected id, name or executedAt');
+    }
+  }
+
+  return schedule.id === undefined ? missing(`${field}.id`) : null;
+}
+
+/**
+ * POST /update batch body:
+ * {"device":"dev_xxx","relays":[{"relay":1,"state":true},{"relay":2,"state":false,"ack":"c_..."}],
+ *  "schedule":{...}}
+ * Each relay may appear once; schedule is optional.
+ */
+function validateRelayBatch(update) {
+  if (!isPlainObject(update)) return invalid('body', 'body must be a JSON object');
+
+  const problem = validateDeviceId(update.device);
+  if (problem) return problem;
+
+  if (!Array.isArray(update.relays) || update.relays.length === 0 || update.relays.length > MAX_RELAYS) {
+    return invalid('relays', `relays must be an array of 1 to ${MAX_RELAYS} relay changes`);
+  }
+
+  const seen = new Set();
+  for (let i = 0; i < update.relays.length; i++) {
+    const change = update.relays[i];
+    const field = `relays[${i}]`;
+    if (!isPlainObject(change)) return invalid(field, `${field} must be an object`);
+
+    const changeProblem = validateRelayNumber(change.relay, `${field}.relay`) ||
+      validateRelayState(change.state, `${field}.state`) ||
+      (change.ack === undefined ? null : validateCommandId(change.ack, `${field}.ack`));
+    if (changeProblem) return changeProblem;
+
+    if (seen.has(change.relay)) {
+      return invalid(`${field}.relay`, `relay ${change.relay} appears more than once`);
+    }
+    seen.add(change.relay);
+  }
+
+  return update.schedule === undefined ? null : validateScheduleRun(update.schedule);
+}
+
+/**
+ * POST /ack body: {"device":"dev_xxx","command":"c_...","state":true}
+ * state (the state the relay is actually in) is optional.
+ */
+function validateCommandAck(ack) {
+  if (!isPlainObject(ack)) return invalid('body', 'body must be a JSON object');
+  return validateDeviceId(ack.device) ||
+    validateCommandId(ack.command) ||
+    (ack.state === undefined ? null : validateRelayState(ack.state));
+}
+
+/**
+ * POST /power body: {"device":"dev_xxx","data":{...}}
+ */
+function validatePowerUpload(payload) {
+  if (!isPlainObject(payload)) return invalid('body', 'body must be a JSON object');
+  return validateDeviceId(payload.device) || validatePowerPayload(payload.data);
+}
+
+module.exports = {
+  MAX_RELAYS,
+  MAX_BODY_BYTES,
+  validateDeviceId,
+  validateRelayNumber,
+  validateRelayState,
+  validateProfileRelay,
+  validateStreamList,
+  validateCommandId,
+  validatePowerPayload,
+  validateRelayUpdate,
+  validateRelayBatch,
+  validateCommandAck,
+  validatePowerUpload
+};
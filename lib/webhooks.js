@@ -0,0 +1,353 @@
+/**
+ * Outbound webhooks
+ *
+ * Subscriptions come from WEBHOOKS_FILE:
+ *   {"webhooks":[{"id":"ops","url":"https://ops.example.com/hook","secret":"...",
+ *                 "devices":["dev_abc"],"events":["relay","write"]}]}
+ * devices and events are optional (absent = every device / every type).
+ * Event types: relay, schedule, power, enabled (as sent on the device
+ * streams, for devices whose Firebase streams are open), alert (power
+ * alerts), presence (online / offline) and write (results of relay writes
+ * from the device: POST /update and its line protocol / MQTT equivalents).
+ * Stream events are only sent when they change what was last sent for the
+ * device (a hub that reopens, or a Firebase stream that reconnects, replays
+ * its whole snapshot), and not while a disabled subscription withholds them.
+ *
+ * Each event is POSTed as
+ *   {"id":"wh_...","type":"relay","device":"dev_abc","timestamp":"...","data":{...}}
+ * with
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (unix seconds) and
+ *   X-Webhook-Signature: sha256=HMAC-SHA256(secret, "{timestamp}.{body}") in hex
+ *
+ * Every webhook has its own in-memory queue, delivered in order one at a
+ * time. Network errors, timeouts, 408, 429 and 5xx answers are retried with
+ * backoff up to WEBHOOK_MAX_ATTEMPTS; deliveries that still fail, other 4xx
+ * answers, queue overflow and whatever is left at shutdown go to the
+ * dead-letter log (WEBHOOK_DEAD_LETTER_FILE, one JSON object per line).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { log, logWarn, logError, detachedLogContext } = require('./log');
+const { counter, gauge } = require('./metrics');
+const { onHubEvent } = require('./device-hub');
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || '';
+const WEBHOOK_DEAD_LETTER_FILE = process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'webhook-dead-letter.jsonl');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10);
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '60000', 10);
+
+// Events waiting per webhook before the oldest are dead-lettered
+const WEBHOOK_QUEUE_MAX = parseInt(process.env.WEBHOOK_QUEUE_MAX || '1000', 10);
+
+const EVENT_TYPES = ['relay', 'schedule', 'power', 'enabled', 'alert', 'presence', 'write'];
+
+// How many dead letters to keep for GET /admin/webhooks
+const DEAD_LETTER_HISTORY = 20;
+
+const deliveries = counter('proxy_webhook_deliveries_total', 'Webhook delivery attempts by outcome');
+
+// Loaded by startWebhooks()
+let webhooks = [];
+
+const deadLetters = {
+  total: 0,
+  recent: []
+};
+
+// "device relay n" / "device type" -> JSON of the last stream event published
+const lastPublished = new Map();
+
+gauge('proxy_webhook_queue_depth', 'Webhook events waiting for delivery', () => (
+  webhooks.map((webhook) => ({ labels: { webhook: webhook.id }, value: webhook.queue.length }))
+));
+
+/**
+ * Check one WEBHOOKS_FILE entry; returns a problem description or null
+ */
+function configProblem(config, ids) {
+  if (!config || typeof config !== 'object') return 'must be an object';
+  if (typeof config.id !== 'string' || !/^[\w.-]{1,64}$/.test(config.id)) return 'id must be 1-64 letters, digits, _ . -';
+  if (ids.has(config.id)) return `duplicate id ${config.id}`;
+
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (e) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'url must be an absolute http(s) URL';
+
+  if (typeof config.secret !== 'string' || config.secret.length < 16) return 'secret must be a string of at least 16 characters';
+  if (config.devices !== undefined && (!Array.isArray(config.devices) || !config.devices.every((id) => typeof id === 'string'))) {
+    return 'devices must be an array of device IDs';
+  }
+  if (config.events !== undefined && (!Array.isArray(config.events) || !config.events.every((type) => EVENT_TYPES.includes(type)))) {
+    return `events must be an array of ${EVENT_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+function loadWebhooks() {
+  if (!WEBHOOKS_FILE) return [];
+
+  const file = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+  const ids = new Set();
+  return (file.webhooks || []).map((config, i) => {
+    const problem = configProblem(config, ids);
+    if (problem) {
+      throw new Error(`${WEBHOOKS_FILE}: webhooks[${i}] ${problem}`);
+    }
+    ids.add(config.id);
+
+    return {
+      id: config.id,
+      url: new URL(config.url),
+      secret: config.secret,
+      devices: config.devices ? new Set(config.devices) : null,
+      events: config.events ? new Set(config.events) : null,
+      queue: [],
+      sending: null,
+      retryTimer: null,
+      nextAttemptAt: null,
+      stats: {
+        delivered: 0,
+        retried: 0,
+        deadLettered: 0,
+        lastDeliveredAt: null,
+        lastError: null
+      }
+    };
+  });
+}
+
+/**
+ * The URL without credentials or query string, for logs and status
+ */
+function displayUrl(url) {
+  return `${url.protocol}//${url.host}${url.pathname}`;
+}
+
+function retryDelay(attempt) {
+  const ceiling = Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function deadLetter(webhook, item, reason) {
+  const record = {
+    webhook: webhook.id,
+    id: item.event.id,
+    type: item.event.type,
+    device: item.event.device,
+    attempts: item.attempts,
+    reason: reason,
+    failedAt: new Date().toISOString(),
+    event: item.event
+  };
+
+  webhook.stats.deadLettered++;
+  deadLetters.total++;
+  deadLetters.recent.unshift(record);
+  deadLetters.recent.length = Math.min(deadLetters.recent.length, DEAD_LETTER_HISTORY);
+  deliveries.inc({ webhook: webhook.id, outcome: 'dead_lettered' });
+  logError(`❌ Webhook ${webhook.id}: ${item.event.type} event ${item.event.id} dead-lettered after ${item.attempts} attempt(s): ${reason}`);
+
+  try {
+    fs.appendFileSync(WEBHOOK_DEAD_LETTER_FILE, JSON.stringify(record) + '\n');
+  } catch (e) {
+    logError(`❌ Could not write webhook dead letter: ${e.message}`);
+  }
+}
+
+/**
+ * POST one event; callback(err, statusCode)
+ */
+function post(webhook, event, callback) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+  const transport = webhook.url.protocol === 'https:' ? https : http;
+
+  let done = false;
+  function finish(err, statusCode) {
+    if (done) return;
+    done = true;
+    callback(err, statusCode);
+  }
+
+  const req = transport.request(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'firebase-railway-proxy',
+      'X-Webhook-Id': event.id,
+      'X-Webhook-Event': event.type,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`
+    },
+    timeout: WEBHOOK_TIMEOUT_MS
+  }, (res) => {
+    res.resume();
+    res.on('end', () => finish(null, res.statusCode));
+  });
+
+  req.on('timeout', () => {
+    req.destroy(new Error(`no answer within ${WEBHOOK_TIMEOUT_MS}ms`));
+  });
+  req.on('error', (err) => finish(err));
+  req.end(body);
+}
+
+/**
+ * Send the webhook's oldest queued event, if it is not busy or backing off
+ */
+function pump(webhook) {
+  if (webhook.sending || webhook.retryTimer || webhook.queue.length === 0) return;
+
+  const item = webhook.queue[0];
+  webhook.sending = item;
+  item.attempts++;
+
+  detachedLogContext({ webhook: webhook.id }, () => post(webhook, item.event, (err, statusCode) => {
+    webhook.sending = null;
+    // Dead-lettered at shutdown while in flight
+    if (webhook.queue[0] !== item) return;
+
+    if (!err && statusCode >= 200 && statusCode < 300) {
+      webhook.queue.shift();
+      webhook.stats.delivered++;
+      webhook.stats.lastDeliveredAt = new Date().toISOString();
+      deliveries.inc({ webhook: webhook.id, outcome: 'delivered' });
+      pump(webhook);
+      return;
+    }
+
+    const reason = err ? err.message : `HTTP ${statusCode}`;
+    webhook.stats.lastError = { reason: reason, at: new Date().toISOString() };
+    const retryable = err || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+    if (!retryable || item.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      webhook.queue.shift();
+      deadLetter(webhook, item, reason);
+      pump(webhook);
+      return;
+    }
+
+    const delay = retryDelay(item.attempts);
+    webhook.stats.retried++;
+    deliveries.inc({ webhook: webhook.id, outcome: 'retried' });
+    logWarn(`⚠️  Webhook ${webhook.id}: ${item.event.type} event ${item.event.id} failed (${reason}), retry ${item.attempts} in ${delay}ms`);
+    webhook.nextAttemptAt = Date.now() + delay;
+    webhook.retryTimer = setTimeout(() => {
+      webhook.retryTimer = null;
+      webhook.nextAttemptAt = null;
+      pump(webhook);
+    }, delay);
+  }));
+}
+
+/**
+ * Queue an event for every webhook subscribed to it
+ * data is the event body (a stream event, write result, ...).
+ */
+function publishWebhookEvent(deviceId, type, data) {
+  if (webhooks.length === 0) return;
+
+  const event = {
+    id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+    type: type,
+    device: deviceId,
+    timestamp: new Date().toISOString(),
+    data: data
+  };
+
+  webhooks.forEach((webhook) => {
+    if (webhook.devices && !webhook.devices.has(deviceId)) return;
+    if (webhook.events && !webhook.events.has(type)) return;
+
+    if (webhook.queue.length >= WEBHOOK_QUEUE_MAX) {
+      // Never drop the one being sent
+      const oldest = webhook.queue.splice(webhook.sending ? 1 : 0, 1)[0];
+      if (oldest) deadLetter(webhook, oldest, 'queue full');
+    }
+    webhook.queue.push({ event: event, attempts: 0 });
+    pump(webhook);
+  });
+}
+
+/**
+ * Delivery status for GET /admin/webhooks (secrets left out)
+ */
+function webhookStatus() {
+  return {
+    webhooks: webhooks.map((webhook) => ({
+      id: webhook.id,
+      url: displayUrl(webhook.url),
+      devices: webhook.devices ? Array.from(webhook.devices) : null,
+      events: webhook.events ? Array.from(webhook.events) : EVENT_TYPES,
+      pending: webhook.queue.length,
+      oldestPendingAt: webhook.queue.length > 0 ? webhook.queue[0].event.timestamp : null,
+      nextAttemptAt: webhook.nextAttemptAt ? new Date(webhook.nextAttemptAt).toISOString() : null,
+      delivered: webhook.stats.delivered,
+      retried: webhook.stats.retried,
+      deadLettered: webhook.stats.deadLettered,
+      lastDeliveredAt: webhook.stats.lastDeliveredAt,
+      lastError: webhook.stats.lastError
+    })),
+    deadLetters: {
+      file: WEBHOOK_DEAD_LETTER_FILE,
+      total: deadLetters.total,
+      recent: deadLetters.recent
+    }
+  };
+}
+
+/**
+ * Dead-letter everything still queued (shutdown)
+ * Returns how many events were left.
+ */
+function stopWebhooks() {
+  let left = 0;
+  webhooks.forEach((webhook) => {
+    clearTimeout(webhook.retryTimer);
+    webhook.retryTimer = null;
+    const queue = webhook.queue;
+    webhook.queue = [];
+    queue.forEach((item) => deadLetter(webhook, item, 'shutdown'));
+    left += queue.length;
+  });
+  return left;
+}
+
+/**
+ * Load WEBHOOKS_FILE and start forwarding device stream events
+ */
+function startWebhooks() {
+  webhooks = loadWebhooks();
+  if (webhooks.length === 0) return;
+
+  fs.mkdirSync(path.dirname(WEBHOOK_DEAD_LETTER_FILE), { recursive: true });
+  webhooks.forEach((webhook) => {
+    log(`🪝 Webhook ${webhook.id} → ${displayUrl(webhook.url)} (${webhook.events ? Array.from(webhook.events).join(', ') : 'all events'}${webhook.devices ? `, ${webhook.devices.size} device(s)` : ''})`);
+  });
+
+  onHubEvent((deviceId, streamType, event, withheld) => {
+    if (withheld || !EVENT_TYPES.includes(event.type)) return;
+
+    // Snapshots replayed after a reconnect repeat state that was already sent
+    const key = event.type === 'relay' ? `${deviceId} relay ${event.relay}` : `${deviceId} ${event.type}`;
+    const json = JSON.stringify(event);
+    if (lastPublished.get(key) === json) return;
+    lastPublished.set(key, json);
+
+    publishWebhookEvent(deviceId, event.type, event);
+  });
+}
+
+module.exports = { publishWebhookEvent, webhookStatus, stopWebhooks, startWebhooks };
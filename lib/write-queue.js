@@ -0,0 +1,326 @@
+/**
+ * Durable offline write queue
+ *
+ * When Firebase is unreachable, device writes are accepted, appended to an
+ * on-disk journal and replayed in order once Firebase answers again, so a
+ * schedule execution or power sample from an ESP32 (which has no storage of
+ * its own) is never lost.
+ *
+ * Journal format (QUEUE_FILE, one JSON object per line, fsync'd):
+ *   {"op":"add","entry":{id, kind, device, ..., queuedAt}}
+ *                                         an id already pending replaces that entry in place
+ *   {"op":"done","id":"..."}              replayed, superseded or failed
+ *
+ * Relay writes for the same device+relay are coalesced (only the newest
+ * state is kept), whether they were queued alone or in a batch: a batch
+ * loses the relays a later write covers, and is dropped once none are left.
+ * Power samples are all kept and replayed in order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log, logError, logWarn, detachedLogContext, bindLogContext } = require('./log');
+const { gauge } = require('./metrics');
+
+const QUEUE_FILE = process.env.QUEUE_FILE || path.join(__dirname, '..', 'data', 'write-queue.jsonl');
+const QUEUE_MAX_ENTRIES = parseInt(process.env.QUEUE_MAX_ENTRIES || '10000', 10);
+const QUEUE_RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS || '2000', 10);
+const QUEUE_RETRY_MAX_MS = parseInt(process.env.QUEUE_RETRY_MAX_MS || '60000', 10);
+
+// How many permanently failed entries to keep for GET /queue
+const FAILURE_HISTORY = 20;
+
+// Rewrite the journal once it holds this many finished entries
+const COMPACT_AFTER = 1000;
+
+// Pending entries in replay order
+let pending = [];
+let journalFd = null;
+let finishedInJournal = 0;
+
+// Replay state
+let executor = null;
+let replaying = false;
+let retryTimer = null;
+let retryAttempt = 0;
+let nextRetryAt = null;
+
+// Callbacks from flushQueue() waiting for the queue to empty or back off
+let flushWaiters = [];
+
+gauge('proxy_write_queue_depth', 'Writes waiting in the offline queue', () => [{ labels: {}, value: pending.length }]);
+
+const stats = {
+  queuedTotal: 0,
+  replayedTotal: 0,
+  supersededTotal: 0,
+  failedTotal: 0,
+  lastError: null,
+  lastReplayAt: null,
+  recentFailures: []
+};
+
+function appendJournal(record) {
+  fs.writeSync(journalFd, JSON.stringify(record) + '\n');
+  fs.fsyncSync(journalFd);
+}
+
+/**
+ * Rewrite the journal with only the pending entries
+ */
+function compactJournal() {
+  const tmpFile = `${QUEUE_FILE}.tmp`;
+  const lines = pending.map((entry) => JSON.stringify({ op: 'add', entry: entry }) + '\n').join('');
+
+  fs.writeFileSync(tmpFile, lines);
+  const tmpFd = fs.openSync(tmpFile, 'r');
+  fs.fsyncSync(tmpFd);
+  fs.closeSync(tmpFd);
+
+  fs.closeSync(journalFd);
+  fs.renameSync(tmpFile, QUEUE_FILE);
+  journalFd = fs.openSync(QUEUE_FILE, 'a');
+  finishedInJournal = 0;
+}
+
+function finish(entry) {
+  pending = pending.filter((item) => item !== entry);
+  appendJournal({ op: 'done', id: entry.id });
+  finishedInJournal++;
+
+  if (pending.length === 0 || finishedInJournal >= COMPACT_AFTER) {
+    compactJournal();
+  }
+}
+
+/**
+ * Load the journal and start replaying anything left from a previous run
+ * execute(entry, callback(result)) performs the Firebase write; result is
+ * {status, payload} as produced by lib/writes.js.
+ */
+function startWriteQueue(execute) {
+  executor = execute;
+  fs.mkdirSync(path.dirname(QUEUE_FILE), { recursive: true });
+
+  if (fs.existsSync(QUEUE_FILE)) {
+    const byId = new Map();
+    fs.readFileSync(QUEUE_FILE, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (record.op === 'add') byId.set(record.entry.id, record.entry);
+        if (record.op === 'done') byId.delete(record.id);
+      } catch (e) {
+        // A torn last line from a crash mid-append
+        logWarn(`⚠️  Skipping corrupt queue journal line`);
+      }
+    });
+    pending = Array.from(byId.values());
+  }
+
+  journalFd = fs.openSync(QUEUE_FILE, 'a');
+  compactJournal();
+
+  log(`📦 Write queue: ${pending.length} pending entr${pending.length === 1 ? 'y' : 'ies'} (${QUEUE_FILE})`);
+  replay();
+}
+
+/**
+ * Relay numbers a relay or relays write sets
+ */
+function relaysOf(write) {
+  if (write.kind === 'relay') return [write.relay];
+  if (write.kind === 'relays') return write.relays.map(({ relay }) => relay);
+  return [];
+}
+
+/**
+ * Drop queued relay states that a new write for the same device replaces
+ */
+function supersedeRelays(write) {
+  const replaced = new Set(relaysOf(write));
+  if (replaced.size === 0) return;
+
+  pending
+    .filter((entry) => entry.device === write.device && relaysOf(entry).some((relay) => replaced.has(relay)))
+    .forEach((entry) => {
+      const kept = entry.kind === 'relays' ? entry.relays.filter(({ relay }) => !replaced.has(relay)) : [];
+      if (kept.length === 0) {
+        log(`📦 Queued ${entry.kind} write ${entry.id} superseded`);
+        stats.supersededTotal++;
+        finish(entry);
+        return;
+      }
+
+      // Same id, so the journal replaces the batch where it stands
+      const trimmed = Object.assign({}, entry, { relays: kept });
+      pending[pending.indexOf(entry)] = trimmed;
+      appendJournal({ op: 'add', entry: trimmed });
+      log(`📦 Queued relays write ${entry.id}: relay(s) ${relaysOf(entry).filter((relay) => replaced.has(relay)).join(', ')} superseded`);
+    });
+}
+
+/**
+ * Persist a write for later replay
+ * Returns the queued entry, or null when the queue is full.
+ */
+function enqueue(write) {
+  // Superseded relay states are dropped in favour of the newest one
+  supersedeRelays(write);
+
+  if (pending.length >= QUEUE_MAX_ENTRIES) {
+    logError(`❌ Write queue full (${QUEUE_MAX_ENTRIES}), rejecting ${write.kind} write for ${write.device}`);
+    return null;
+  }
+
+  const entry = Object.assign({
+    id: `q_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+    queuedAt: Date.now()
+  }, write);
+
+  appendJournal({ op: 'add', entry: entry });
+  pending.push(entry);
+  stats.queuedTotal++;
+  log(`📦 Queued ${entry.kind} write ${entry.id} for ${entry.device} (depth ${pending.length})`);
+
+  replay();
+  return entry;
+}
+
+function scheduleRetry() {
+  const ceiling = Math.min(QUEUE_RETRY_MAX_MS, QUEUE_RETRY_BASE_MS * Math.pow(2, retryAttempt));
+  const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  retryAttempt++;
+  nextRetryAt = Date.now() + delay;
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    nextRetryAt = null;
+    replay();
+  }, delay);
+}
+
+function notifyFlushWaiters() {
+  const waiters = flushWaiters;
+  flushWaiters = [];
+  waiters.forEach((callback) => callback(pending.length));
+}
+
+/**
+ * Replay pending entries one at a time, oldest first
+ */
+function replay() {
+  if (replaying || retryTimer || !executor) return;
+  if (pending.length === 0) {
+    notifyFlushWaiters();
+    return;
+  }
+
+  replaying = true;
+  const entry = pending[0];
+
+  // Replays log under the entry, not the request that triggered the replay
+  detachedLogContext({ write: entry.id, device: entry.device }, () => executor(entry, (result) => {
+    replaying = false;
+    stats.lastReplayAt = Date.now();
+
+    // While the write was in flight the entry may have been superseded, or
+    // trimmed into a copy with the same id that this write already covers
+    const current = pending.find((item) => item.id === entry.id);
+
+    if (result.status < 300) {
+      retryAttempt = 0;
+      stats.replayedTotal++;
+      log(`📦 Replayed ${entry.kind} write ${entry.id} (${pending.length - 1} left)`);
+      if (current) finish(current);
+      replay();
+      return;
+    }
+
+    stats.lastError = { status: result.status, details: result.payload.details || result.payload.error, at: Date.now() };
+
+    if (result.status >= 500) {
+      // Firebase still unreachable - keep the entry and back off
+      scheduleRetry();
+      notifyFlushWaiters();
+      return;
+    }
+
+    // Firebase rejected the write; retrying will not help
+    retryAttempt = 0;
+    stats.failedTotal++;
+    stats.recentFailures.unshift({
+      id: entry.id,
+      kind: entry.kind,
+      device: entry.device,
+      status: result.status,
+      details: result.payload.details || result.payload.error,
+      queuedAt: entry.queuedAt,
+      failedAt: Date.now()
+    });
+    stats.recentFailures.length = Math.min(stats.recentFailures.length, FAILURE_HISTORY);
+    logError(`❌ Dropping queued ${entry.kind} write ${entry.id}: Firebase returned ${result.status}`);
+    if (current) finish(current);
+    replay();
+  }));
+}
+
+/**
+ * Try to replay everything now, without waiting for a scheduled retry
+ * callback(remaining) once the queue is empty or Firebase is still
+ * unreachable; whatever remains stays in the journal for the next start.
+ */
+function flushQueue(callback) {
+  if (!executor || pending.length === 0) {
+    callback(pending.length);
+    return;
+  }
+
+  flushWaiters.push(bindLogContext(callback));
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    nextRetryAt = null;
+  }
+  replay();
+}
+
+function queueDepth() {
+  return pending.length;
+}
+
+/**
+ * Snapshot for GET /queue
+ */
+function queueStatus() {
+  const oldest = pending[0];
+  const byKind = {};
+  pending.forEach((entry) => {
+    byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+  });
+
+  return {
+    depth: pending.length,
+    byKind: byKind,
+    oldestQueuedAt: oldest ? new Date(oldest.queuedAt).toISOString() : null,
+    oldestAgeMs: oldest ? Date.now() - oldest.queuedAt : 0,
+    replaying: replaying,
+    nextRetryAt: nextRetryAt ? new Date(nextRetryAt).toISOString() : null,
+    totals: {
+      queued: stats.queuedTotal,
+      replayed: stats.replayedTotal,
+      superseded: stats.supersededTotal,
+      failed: stats.failedTotal
+    },
+    lastError: stats.lastError
+      ? Object.assign({}, stats.lastError, { at: new Date(stats.lastError.at).toISOString() })
+      : null,
+    recentFailures: stats.recentFailures.map((failure) => Object.assign({}, failure, {
+      queuedAt: new Date(failure.queuedAt).toISOString(),
+      failedAt: new Date(failure.failedAt).toISOString()
+    }))
+  };
+}
+
+module.exports = { startWriteQueue, enqueue, flushQueue, queueDepth, queueStatus };
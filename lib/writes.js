@@ -0,0 +1,417 @@
+/**
+ * Device writes to Firebase
+ *
+ * Shared by the HTTP handlers (POST /update, POST /power) and the other
+ * device transports. Inputs must already be validated and authenticated.
+ * Callbacks receive {status, payload}: the HTTP status and JSON body the
+ * HTTP handlers send as-is.
+ *
+ * If Firebase is unreachable (connection error or 5xx), or earlier writes
+ * are still waiting in the offline queue, the write is queued instead and
+ * answered with 202 {status: "queued", id}.
+ *
+ * Relay and power writes from devices whose subscription is disabled are
+ * answered 402 (lib/subscription.js) without touching Firebase, and devices
+ * writing faster than RATE_LIMIT_UPDATE_PER_MIN / RATE_LIMIT_POWER_PER_MIN
+ * get 429 {code: "rate_limited", retry_after_s}.
+ */
+
+const { log, logWarn, logError, withLogContext, sampleLog } = require('./log');
+const { writeJson } = require('./firebase');
+const { startWriteQueue, enqueue, flushQueue, queueDepth } = require('./write-queue');
+const { recordPowerSample } = require('./power-history');
+const { evaluatePower } = require('./power-alerts');
+const { counter, histogram } = require('./metrics');
+const { loadSubscription, disabledResult } = require('./subscription');
+const { deviceChange } = require('./relay-audit');
+const { createRateLimiter } = require('./rate-limit');
+const { publishWebhookEvent } = require('./webhooks');
+
+// Relay writes (single or batch) and power uploads allowed per device per minute (0 = unlimited)
+const RATE_LIMIT_UPDATE_PER_MIN = parseInt(process.env.RATE_LIMIT_UPDATE_PER_MIN || '60', 10);
+const RATE_LIMIT_POWER_PER_MIN = parseInt(process.env.RATE_LIMIT_POWER_PER_MIN || '120', 10);
+
+const updateLimiter = createRateLimiter(RATE_LIMIT_UPDATE_PER_MIN);
+const limiters = {
+  relay: updateLimiter,
+  relays: updateLimiter,
+  power: createRateLimiter(RATE_LIMIT_POWER_PER_MIN)
+};
+
+const writesTotal = counter('proxy_writes_total', 'Device writes by kind and outcome');
+const writeDuration = histogram('proxy_write_duration_seconds', 'Time to answer a device write');
+const rateLimited = counter('proxy_rate_limited_total', 'Device writes refused by the per-device rate limit');
+
+// Direct writes waiting for Firebase, and flushWrites() callers waiting for them
+let inFlight = 0;
+let idleWaiters = [];
+
+function outcomeOf(status) {
+  if (status === 202) return 'queued';
+  if (status < 300) return 'ok';
+  if (status < 500) return 'rejected';
+  return 'failed';
+}
+
+function upstreamResult(err, statusCode, responseData, success) {
+  if (err) {
+    return {
+      status: 500,
+      payload: { error: 'Firebase connection failed', code: 'upstream_unavailable', details: err.message }
+    };
+  }
+  if (statusCode !== 200) {
+    return {
+      status: statusCode,
+      payload: { error: 'Firebase write failed', code: 'upstream_error', status: statusCode, details: responseData }
+    };
+  }
+  return { status: 200, payload: success };
+}
+
+/**
+ * Perform a write entry against Firebase
+ * entry: {kind: 'relay', device, relay, state, reportedAt},
+ * {kind: 'relays', device, relays: [{relay, state}], reportedAt}, {kind: 'power', device, data},
+ * {kind: 'alert', device, alert} or {kind: 'history', device, key, record}
+ */
+function executeWrite(entry, callback) {
+  const { device } = entry;
+
+  if (entry.kind === 'relay') {
+    const { relay, state } = entry;
+    const firebasePath = `/devices/${device}/relays/relay_${relay}.json`;
+    log(`🔥 Writing to Firebase: ${firebasePath} state = ${state}`);
+
+    // The device switched the relay itself, so desired and reported agree
+    const update = {
+      state: state,
+      reported: state,
+      reportedAt: new Date(entry.reportedAt || entry.queuedAt || Date.now()).toISOString()
+    };
+
+    writeJson('PATCH', firebasePath, update, (err, statusCode, responseData) => {
+      const result = upstreamResult(err, statusCode, responseData, {
+        success: true,
+        device,
+        relay,
+        state,
+        timestamp: new Date().toISOString()
+      });
+
+      if (err) {
+        logError(`❌ Firebase request error: ${err.message}`);
+      } else if (result.status === 200) {
+        log(`✅ Firebase updated successfully: Relay ${relay} = ${state}`);
+      } else {
+        logError(`❌ Firebase error: ${statusCode} - ${responseData}`);
+      }
+      callback(result);
+    });
+    return;
+  }
+
+  if (entry.kind === 'relays') {
+    const firebasePath = `/devices/${device}/relays.json`;
+    const reportedAt = new Date(entry.reportedAt || entry.queuedAt || Date.now()).toISOString();
+
+    // One multi-location update: every relay changes, or none does
+    const update = {};
+    entry.relays.forEach(({ relay, state }) => {
+      update[`relay_${relay}/state`] = state;
+      update[`relay_${relay}/reported`] = state;
+      update[`relay_${relay}/reportedAt`] = reportedAt;
+    });
+    const summary = entry.relays.map(({ relay, state }) => `${relay}=${state}`).join(', ');
+    log(`🔥 Writing to Firebase: ${firebasePath} ${summary}`);
+
+    writeJson('PATCH', firebasePath, update, (err, statusCode, responseData) => {
+      const result = upstreamResult(err, statusCode, responseData, {
+        success: true,
+        device,
+        relays: entry.relays.map(({ relay, state }) => ({ relay, state, status: 'ok' })),
+        timestamp: new Date().toISOString()
+      });
+
+      if (err) {
+        logError(`❌ Firebase request error: ${err.message}`);
+      } else if (result.status === 200) {
+        log(`✅ Firebase updated successfully: Relays ${summary}`);
+      } else {
+        logError(`❌ Firebase error: ${statusCode} - ${responseData}`);
+      }
+      callback(result);
+    });
+    return;
+  }
+
+  if (entry.kind === 'power') {
+    const firebasePath = `/devices/${device}/power.json`;
+    log(`⚙️ Writing power payload to Firebase: ${firebasePath}`);
+
+    writeJson('PUT', firebasePath, entry.data, (err, statusCode, responseData) => {
+      const result = upstreamResult(err, statusCode, responseData, {
+        success: true,
+        device,
+        timestamp: new Date().toISOString()
+      });
+
+      if (err) {
+        logError(`❌ Firebase power request error: ${err.message}`);
+      } else if (result.status === 200) {
+        log(`✅ Power data stored for ${device}`);
+      } else {
+        logError(`❌ Firebase power write failed: ${statusCode} - ${responseData}`);
+      }
+      callback(result);
+    });
+    return;
+  }
+
+  if (entry.kind === 'alert') {
+    const firebasePath = `/devices/${device}/alerts.json`;
+
+    writeJson('POST', firebasePath, entry.alert, (err, statusCode, responseData) => {
+      const result = upstreamResult(err, statusCode, responseData, {
+        success: true,
+        device,
+        timestamp: new Date().toISOString()
+      });
+
+      if (err) {
+        logError(`❌ Firebase alert request error: ${err.message}`);
+      } else if (result.status === 200) {
+        log(`✅ Alert stored for ${device}`);
+      } else {
+        logError(`❌ Firebase alert write failed: ${statusCode} - ${responseData}`);
+      }
+      callback(result);
+    });
+    return;
+  }
+
+  if (entry.kind === 'history') {
+    // PUT under a fixed key, so a replayed queue entry cannot duplicate it
+    const firebasePath = `/devices/${device}/history/${entry.key}.json`;
+
+    writeJson('PUT', firebasePath, entry.record, (err, statusCode, responseData) => {
+      const result = upstreamResult(err, statusCode, responseData, {
+        success: true,
+        device,
+        timestamp: new Date().toISOString()
+      });
+
+      if (err) {
+        logError(`❌ Firebase history request error: ${err.message}`);
+      } else if (result.status !== 200) {
+        logError(`❌ Firebase history write failed: ${statusCode} - ${responseData}`);
+      }
+      callback(result);
+    });
+    return;
+  }
+
+  callback({ status: 400, payload: { error: `Unknown write kind: ${entry.kind}`, code: 'invalid_write' } });
+}
+
+/**
+ * Put a write in the offline queue and answer with its queue ID
+ */
+function queueWrite(write, callback) {
+  const entry = enqueue(write);
+  if (!entry) {
+    callback({
+      status: 503,
+      payload: { error: 'Firebase unreachable and write queue is full', code: 'queue_full' }
+    });
+    return;
+  }
+
+  const payload = { success: true, queued: true, status: 'queued', id: entry.id, device: entry.device };
+  if (entry.kind === 'relay') {
+    payload.relay = entry.relay;
+    payload.state = entry.state;
+  }
+  if (entry.kind === 'relays') {
+    payload.relays = entry.relays.map(({ relay, state }) => ({ relay, state, status: 'queued' }));
+  }
+  payload.timestamp = new Date(entry.queuedAt).toISOString();
+  callback({ status: 202, payload: payload });
+}
+
+/**
+ * Write directly, falling back to the offline queue
+ */
+function submitWrite(write, callback) {
+  const startedAt = process.hrtime();
+
+  function done(result) {
+    const elapsed = process.hrtime(startedAt);
+    writesTotal.inc({ kind: write.kind, outcome: outcomeOf(result.status) });
+    writeDuration.observe({ kind: write.kind }, elapsed[0] + elapsed[1] / 1e9);
+    callback(result);
+  }
+
+  // Keep ordering: nothing may overtake writes that are already queued
+  if (queueDepth() > 0) {
+    queueWrite(write, done);
+    return;
+  }
+
+  inFlight++;
+  executeWrite(write, (result) => {
+    if (result.status >= 500) {
+      queueWrite(write, done);
+    } else {
+      done(result);
+    }
+
+    inFlight--;
+    if (inFlight === 0) {
+      const waiters = idleWaiters;
+      idleWaiters = [];
+      waiters.forEach((waiter) => waiter());
+    }
+  });
+}
+
+/**
+ * Run proceed() only if the device is within its rate limit and its
+ * subscription is enabled
+ */
+function whenAllowed(kind, device, callback, proceed) {
+  const retryMs = limiters[kind].take(device);
+  if (retryMs > 0) {
+    const retryAfter = Math.ceil(retryMs / 1000);
+    logWarn(`🚦 Rejected ${kind} write from ${device}: rate limited, retry in ${retryAfter}s`);
+    writesTotal.inc({ kind: kind, outcome: 'rejected' });
+    rateLimited.inc({ kind: kind });
+    callback({
+      status: 429,
+      payload: {
+        error: 'Too many requests',
+        code: 'rate_limited',
+        device: device,
+        details: `Too many ${kind === 'power' ? 'power uploads' : 'relay updates'} from this device`,
+        retry_after_s: retryAfter
+      }
+    });
+    return;
+  }
+
+  loadSubscription(device, (enabled) => {
+    if (enabled) {
+      proceed();
+      return;
+    }
+    log(`⛔ Rejected ${kind} write from ${device}: subscription disabled`);
+    writesTotal.inc({ kind: kind, outcome: 'rejected' });
+    callback(disabledResult(device));
+  });
+}
+
+/**
+ * Wrap a relay write's callback so webhooks see the result as well
+ * write describes the write: {kind, relay, state} or {kind, relays, schedule}.
+ */
+function reportWrite(device, write, callback) {
+  return function report(result) {
+    publishWebhookEvent(device, 'write', Object.assign({}, write, { status: result.status, result: result.payload }));
+    callback(result);
+  };
+}
+
+/**
+ * Write one relay state (ESP32 schedule execution)
+ * ip is the device's address, recorded in the relay audit trail.
+ */
+function writeRelayState(device, relay, state, ip, done) {
+  const callback = reportWrite(device, { kind: 'relay', relay: relay, state: state }, done);
+  whenAllowed('relay', device, callback, () => {
+    log(`📝 ESP32 schedule executed: Device ${device}, Relay ${relay} → ${state ? 'ON' : 'OFF'}`);
+    const audited = deviceChange(device, relay, state, ip);
+    submitWrite({ kind: 'relay', device, relay, state, reportedAt: Date.now() }, (result) => {
+      audited(result.status < 300);
+      callback(result);
+    });
+  });
+}
+
+/**
+ * Write several relay states at once (ESP32 schedule execution)
+ * changes: [{relay, state}]; schedule is the optional schedule-run metadata
+ * from the request, kept in the relay audit trail.
+ */
+function writeRelayStates(device, changes, schedule, ip, done) {
+  const relays = changes.map(({ relay, state }) => ({ relay, state }));
+  const callback = reportWrite(device, { kind: 'relays', relays: relays, schedule: schedule || null }, done);
+  whenAllowed('relays', device, callback, () => {
+    log(`📝 ESP32 schedule executed: Device ${device}, Relays ${changes.map(({ relay, state }) => `${relay} → ${state ? 'ON' : 'OFF'}`).join(', ')}`);
+    const audited = changes.map(({ relay, state }) => deviceChange(device, relay, state, ip, schedule));
+    submitWrite({ kind: 'relays', device, relays, reportedAt: Date.now() }, (result) => {
+      audited.forEach((done) => done(result.status < 300));
+      callback(result);
+    });
+  });
+}
+
+/**
+ * Store the latest power telemetry snapshot
+ * The sample is also added to the local power history and checked against
+ * the alert rules, whether or not Firebase is reachable.
+ */
+function writePower(device, data, callback) {
+  // Devices upload every few seconds; only a sample of uploads is logged,
+  // but warnings and errors always are
+  const skipped = sampleLog(`power:${device}`);
+  withLogContext({ device: device, quiet: skipped === null }, () => {
+    whenAllowed('power', device, callback, () => {
+      log(`⚡ Power sample from ${device}${skipped ? ` (${skipped} more since last logged)` : ''}`);
+      try {
+        recordPowerSample(device, data);
+      } catch (e) {
+        logError(`❌ Power history write failed for ${device}: ${e.message}`);
+      }
+      evaluatePower(device, data);
+      submitWrite({ kind: 'power', device, data }, callback);
+    });
+  });
+}
+
+/**
+ * Append an alert record under /devices/{device}/alerts
+ */
+function writeAlert(device, alert, callback) {
+  submitWrite({ kind: 'alert', device, alert }, callback);
+}
+
+/**
+ * Store a relay audit record under /devices/{device}/history/{key}
+ */
+function writeRelayHistory(device, key, record, callback) {
+  submitWrite({ kind: 'history', device, key, record }, callback);
+}
+
+/**
+ * Finish pending writes before shutdown
+ * Waits for writes already sent to Firebase, then gives the offline queue
+ * one more replay. callback(remaining) - writes still queued on disk.
+ */
+function flushWrites(callback) {
+  if (inFlight > 0) {
+    log(`💾 Waiting for ${inFlight} in-flight write(s)`);
+    idleWaiters.push(() => flushWrites(callback));
+    return;
+  }
+  if (queueDepth() > 0) log(`💾 Replaying ${queueDepth()} queued write(s)`);
+  flushQueue(callback);
+}
+
+/**
+ * Load the offline queue journal and start replaying it
+ */
+function startWrites() {
+  startWriteQueue(executeWrite);
+}
+
+module.exports = { writeRelayState, writeRelayStates, writePower, writeAlert, writeRelayHistory, flushWrites, startWrites };
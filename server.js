@@ -14,36 +14,320 @@
  */
 
 const http = require('http');
-const https = require('https');
-
-// Firebase RTDB Configuration
-const FIREBASE_URL = 'relay-test1001-default-rtdb.asia-southeast1.firebasedatabase.app';
+const { LOG_LEVEL, LOG_FORMAT, log, logDebug, logError, logWarn, newLogId, withLogContext, bindLogContext } = require('./lib/log');
+const { describeUpstreams } = require('./lib/firebase');
+const { STREAM_TYPES, getDeviceHub, upstreamHealth, closeAllHubs } = require('./lib/device-hub');
+const { authenticateRequest, authenticateAdmin, isAdminRequest, DEVICE_AUTH_MODE, ADMIN_TOKEN } = require('./lib/auth');
+const { writeRelayState, writeRelayStates, writePower, writeAlert, writeRelayHistory, flushWrites, startWrites } = require('./lib/writes');
+const { queueStatus } = require('./lib/write-queue');
+const { RESOLUTIONS, validateHistoryRange, queryHistory, toCsv, flushPowerHistory, startPowerHistory } = require('./lib/power-history');
+const { startPowerAlerts } = require('./lib/power-alerts');
+const {
+  admitConnection,
+  trackConnection,
+  connectedDevices,
+  connectionLimits,
+  connectionCount,
+  startPresence
+} = require('./lib/presence');
+const { webhookStatus, stopWebhooks, startWebhooks } = require('./lib/webhooks');
+const { acknowledgeCommand } = require('./lib/relay-commands');
+const { loadProfile, profileStreams } = require('./lib/device-profile');
+const { loadSubscription } = require('./lib/subscription');
+const {
+  AUDIT_PAGE_SIZE,
+  AUDIT_PAGE_MAX,
+  HISTORY_KEY_PATTERN,
+  queryRelayHistory,
+  startRelayAudit
+} = require('./lib/relay-audit');
+const { CONTENT_TYPE, counter, renderMetrics } = require('./lib/metrics');
+const { createCompactEncoder } = require('./lib/compact-format');
+const { DRAIN_TIMEOUT_MS, isDraining, onDrain, restartDelay, restartEvent, drainConnections } = require('./lib/drain');
+const { createLineServer } = require('./lib/line-server');
+const { createMqttBroker } = require('./lib/mqtt-broker');
+const {
+  MAX_RELAYS,
+  MAX_BODY_BYTES,
+  validateDeviceId,
+  validateRelayNumber,
+  validateProfileRelay,
+  validateStreamList,
+  validateRelayUpdate,
+  validateRelayBatch,
+  validateCommandAck,
+  validatePowerUpload
+} = require('./lib/validation');
 
 // Server Configuration
 const PORT = process.env.PORT || 8080;
-const DEBUG = process.env.DEBUG === 'true' || true;
 
-// Logging helper
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+// Raw TCP line-protocol port (disabled unless set)
+const LINE_PORT = process.env.LINE_PORT || '';
+
+// Embedded MQTT broker port (disabled unless set)
+const MQTT_PORT = process.env.MQTT_PORT || '';
+
+// Reconnect delay suggested to SSE clients; each connection gets up to 50%
+// random jitter so devices dropped together do not all return at once
+const SSE_RETRY_MS = parseInt(process.env.SSE_RETRY_MS || '3000', 10);
+
+// Longest GET /state long-poll; keep it under the shortest idle timeout
+// between devices and the proxy
+const STATE_MAX_WAIT_S = parseInt(process.env.STATE_MAX_WAIT_S || '55', 10);
+
+// How long GET /state waits for a cold device's Firebase snapshot
+const STATE_READY_TIMEOUT_MS = parseInt(process.env.STATE_READY_TIMEOUT_MS || '5000', 10);
+
+// How far ahead of the clock a history from/to may be
+const TIME_MAX_AHEAD_MS = 24 * 60 * 60 * 1000;
+
+// Proxies in front of the server that append to X-Forwarded-For (Railway's
+// edge is one); with 0 the header is ignored and the socket address is used
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '0', 10);
+
+// Wire formats for /device/{id}
+const STREAM_FORMATS = ['sse', 'compact'];
+
+const compactBytes = counter('proxy_compact_stream_bytes_total', 'Bytes sent on compact streams (encoding="compact") and what the same messages cost as SSE JSON (encoding="json")');
+
+/**
+ * The client's IP address for connection limits and logs
+ * Each trusted proxy appends the address it got the request from to
+ * X-Forwarded-For, so the client is TRUST_PROXY_HOPS entries from the
+ * right; anything further left was sent by the client and is not trusted.
+ */
+function clientAddress(req) {
+  if (TRUST_PROXY_HOPS <= 0) return req.socket.remoteAddress;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return forwarded[Math.max(0, forwarded.length - TRUST_PROXY_HOPS)] || req.socket.remoteAddress;
+}
+
+/**
+ * Parse a client's last seen event ID; anything but digits is ignored
+ */
+function parseEventId(value) {
+  if (typeof value !== 'string' || !/^\d{1,16}$/.test(value.trim())) return null;
+  return parseInt(value.trim(), 10);
+}
+
+/**
+ * One event as an SSE message
+ */
+function sseMessage(event, eventId) {
+  return `${eventId ? `id: ${eventId}\n` : ''}data: ${JSON.stringify(event)}\n\n`;
 }
 
 /**
  * Handle multiplexed SSE stream for a device
  * Streams 5 types of events:
- * 1. relay - All 16 relay states
+ * 1. relay - Relay states (as many relays as the device profile has)
  * 2. schedule - Schedule updates
  * 3. power - PZEM 3-phase power data
  * 4. auth_numbers - Authorized phone numbers for alerts
- * 5. enabled - Subscription status
+ * 5. enabled - Subscription status; while it is false relay and schedule
+ *    events are withheld and a {type: 'disabled'} event is sent instead
+ * Power alert rule transitions are sent as {type: 'alert'} events.
+ *
+ * Upstream Firebase streams are shared per device through the device hub,
+ * so every client for the same device reuses one set of connections.
+ *
+ * Events carry SSE ids. A client reconnecting with Last-Event-ID (or
+ * ?since=<id>) gets only the events it missed when they are still buffered,
+ * otherwise the full snapshot; the connected message says which ("resumed").
+ *
+ * ?streams=relays,enabled limits the stream types (and upstream Firebase
+ * streams) to those listed; streams the device profile rules out (power,
+ * schedules) are never opened.
+ *
+ * ?format=compact switches to the line format of lib/compact-format.js
+ * (no event IDs, so compact clients always get the snapshot).
+ *
+ * A stream opened with the device's own credentials (or ?takeover=1) takes
+ * over (closes) the device's previous such stream; other listeners
+ * (dashboards, debug tools) share the device's streams alongside it.
+ * ?takeover=0 opts a device stream out.
  */
-function handleMultiplexedStream(req, res, deviceId) {
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-  log(`🌐 Multiplexed stream requested by ${clientIp} for device: ${deviceId}`);
-  log(`📋 Creating fresh Firebase connections at ${new Date().toISOString()}`);
+function handleMultiplexedStream(req, res, deviceId, query, profile, verified) {
+  const clientIp = clientAddress(req);
+  const requested = query.has('streams') ? query.get('streams').split(',').map((name) => name.trim()) : null;
+  const streams = profileStreams(profile, STREAM_TYPES, requested);
+  const compact = query.get('format') === 'compact';
+  const takeover = query.has('takeover') ? query.get('takeover') === '1' : verified;
+  const slot = takeover ? 'sse' : null;
+  log(`🌐 Multiplexed ${compact ? 'compact ' : ''}stream requested by ${clientIp} for device: ${deviceId} (${streams.join(', ')})`);
+  
+  const refused = admitConnection(deviceId, clientIp, slot);
+  if (refused) {
+    sendResult(res, refused);
+    return;
+  }
+  
+  // Let the kernel notice peers that vanish without a FIN
+  req.socket.setKeepAlive(true, 30000);
+  
+  const presence = trackConnection(deviceId, {
+    type: 'sse',
+    ip: clientIp,
+    streams: streams,
+    slot: slot,
+    onStale: () => res.destroy()
+  });
+  
+  function write(text, callback) {
+    presence.sent(Buffer.byteLength(text));
+    res.write(text, callback);
+  }
+  
+  // Compact lines, counted against what the same messages cost as SSE JSON
+  const encoder = compact ? createCompactEncoder(profile.relays) : null;
+  const bytes = { compact: 0, json: 0 };
+  function writeCompact(lines, jsonBytes, callback) {
+    const text = lines.map((line) => `${line}\n`).join('');
+    const size = Buffer.byteLength(text);
+    bytes.compact += size;
+    bytes.json += jsonBytes;
+    compactBytes.inc({ encoding: 'compact' }, size);
+    compactBytes.inc({ encoding: 'json' }, jsonBytes);
+    if (text) write(text, callback);
+  }
   
   // Set SSE headers
+  res.writeHead(200, {
+    'Content-Type': compact ? 'text/plain; charset=utf-8' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  
+  const hub = getDeviceHub(deviceId);
+  const since = compact ? null : parseEventId(req.headers['last-event-id'] || query.get('since'));
+  const resumed = since !== null && hub.canResume(since);
+  if (since !== null && !resumed) {
+    log(`↩️  ${deviceId}: cannot resume from event ${since}, sending snapshot`);
+  }
+  
+  // Send initial connection message; on a fresh start its id marks the
+  // snapshot's position so the next reconnect can resume from it
+  const retry = SSE_RETRY_MS + Math.floor(Math.random() * SSE_RETRY_MS / 2);
+  const connected = `retry: ${retry}\n` + sseMessage(
+    {type: 'connected', device: deviceId, resumed: resumed, streams: streams, relays: profile.relays},
+    resumed ? null : hub.lastEventId()
+  );
+  if (compact) {
+    writeCompact([`C:${deviceId},${profile.relays}`], Buffer.byteLength(connected));
+  } else {
+    write(connected);
+  }
+  
+  // Attach to the shared hub - missed events (or the cached snapshot) are
+  // replayed immediately. Compact clients get the snapshot encoded as a
+  // whole (one relay bitmask), so it is collected first - on a cold hub
+  // until Firebase has answered, as GET /state waits.
+  let snapshotEvents = compact ? [] : null;
+  let readyTimer = null;
+  const unsubscribe = hub.subscribe((event, eventId) => {
+    if (!res.writable) return;
+    if (!compact) {
+      write(sseMessage(event, eventId));
+    } else if (snapshotEvents) {
+      snapshotEvents.push(event);
+    } else {
+      writeCompact(encoder.encode(event), Buffer.byteLength(sseMessage(event, eventId)));
+    }
+  }, streams, resumed ? since : null);
+  
+  function sendSnapshot() {
+    if (!snapshotEvents) return;
+    clearTimeout(readyTimer);
+    const events = snapshotEvents;
+    snapshotEvents = null;
+    if (!res.writable) return;
+    const jsonBytes = events.reduce((sum, event) => sum + Buffer.byteLength(sseMessage(event)), 0);
+    writeCompact(encoder.encodeSnapshot(events), jsonBytes);
+  }
+  
+  if (compact) {
+    readyTimer = setTimeout(() => {
+      logWarn(`⚠️  ${deviceId}: snapshot not complete after ${STATE_READY_TIMEOUT_MS}ms, sending what is cached`);
+      sendSnapshot();
+    }, STATE_READY_TIMEOUT_MS);
+    hub.whenReady(streams, sendSnapshot);
+  }
+  
+  // Keep-alive ping every 10 seconds (Railway kills idle connections at ~30s)
+  // A keep-alive that reaches the socket counts as the device being seen
+  const keepAliveInterval = setInterval(() => {
+    if (!res.writable) {
+      clearInterval(keepAliveInterval);
+    } else if (compact) {
+      writeCompact([''], Buffer.byteLength(': keep-alive\n\n'), presence.keepAlive);
+    } else {
+      write(': keep-alive\n\n', presence.keepAlive);
+    }
+  }, 10000);
+  
+  // On shutdown: say when to come back, then close cleanly
+  const stopDrain = onDrain((retryMs) => {
+    const event = restartEvent(retryMs);
+    if (compact) {
+      writeCompact(encoder.encode(event), Buffer.byteLength(sseMessage(event)));
+    } else {
+      write(`retry: ${retryMs}\n` + sseMessage(event));
+    }
+    endStream(req, res);
+  });
+  
+  // Handle client disconnect
+  req.on('close', bindLogContext(() => {
+    log(`🔌 Client disconnected: ${deviceId}`);
+    if (compact && bytes.json > 0) {
+      log(`📉 ${deviceId} compact stream: ${bytes.compact} bytes vs ${bytes.json} as SSE JSON (${Math.round((1 - bytes.compact / bytes.json) * 100)}% saved)`);
+    }
+    clearInterval(keepAliveInterval);
+    clearTimeout(readyTimer);
+    snapshotEvents = null;
+    stopDrain();
+    unsubscribe();
+    presence.close();
+  }));
+}
+
+/**
+ * Handle single relay SSE stream (legacy)
+ * GET /relay/{DEVICE_ID}/{RELAY_NUM}
+ * Sends plain "data: ON" / "data: OFF" lines, fed from the shared relays stream
+ */
+function handleLegacyRelayStream(req, res, deviceId, relayNum) {
+  const clientIp = clientAddress(req);
+  log(`🔥 Legacy relay stream: Device: ${deviceId}, Relay: ${relayNum}`);
+  
+  const slot = `relay:${relayNum}`;
+  const refused = admitConnection(deviceId, clientIp, slot);
+  if (refused) {
+    sendResult(res, refused);
+    return;
+  }
+  
+  req.socket.setKeepAlive(true, 30000);
+  
+  const presence = trackConnection(deviceId, {
+    type: 'relay',
+    ip: clientIp,
+    streams: ['relays'],
+    slot: slot,
+    onStale: () => res.destroy()
+  });
+  
+  function write(text, callback) {
+    presence.sent(Buffer.byteLength(text));
+    res.write(text, callback);
+  }
+  
+  // Set SSE headers for the client (ESP32)
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -52,194 +336,275 @@ function handleMultiplexedStream(req, res, deviceId) {
   });
   
   // Send initial connection message
-  res.write(`data: ${JSON.stringify({type: 'connected', device: deviceId})}\n\n`);
-  
-  // Firebase paths for this device
-  const paths = {
-    relays: `/devices/${deviceId}/relays.json`,
-    schedules: `/devices/${deviceId}/schedules.json`,
-    power: `/devices/${deviceId}/power.json`,
-    authorized_numbers: `/devices/${deviceId}/authorized_numbers.json`,
-    enabled: `/devices/${deviceId}/enabled.json`
-  };
+  write('data: {"status":"connected","device":"' + deviceId + '"}\n\n');
   
-  // Track active connections
-  const connections = [];
-  let isActive = true;
+  // Track last state to avoid duplicate sends
+  let lastState = null;
   
-  /**
-   * Create SSE connection to Firebase path
-   */
-  function createFirebaseStream(path, eventType) {
-    log(`🔥 Connecting to ${eventType}: ${path}`);
-    
-    const options = {
-      hostname: FIREBASE_URL,
-      path: path,
-      method: 'GET',
-      headers: {
-        'Accept': 'text/event-stream',
-        'Cache-Control': 'no-cache'
-      }
-    };
+  const unsubscribe = getDeviceHub(deviceId).subscribe((event) => {
+    if (event.relay !== relayNum || !res.writable) return;
     
-    const firebaseReq = https.get(options, (firebaseRes) => {
-      if (firebaseRes.statusCode !== 200) {
-        log(`❌ Firebase ${eventType} error: ${firebaseRes.statusCode}`);
-        return;
-      }
-      
-      log(`✅ Firebase ${eventType} connected`);
-      
-      let dataBuffer = '';
-      
-      firebaseRes.on('data', (chunk) => {
-        if (!isActive) return;
-        
-        dataBuffer += chunk.toString();
-        const lines = dataBuffer.split('\n');
-        dataBuffer = lines.pop() || '';
-        
-        lines.forEach((line) => {
-          if (!line.trim() || !line.startsWith('data:')) return;
-          
-          try {
-            const jsonStr = line.substring(5).trim();
-            if (!jsonStr || jsonStr === 'null') return;
-            
-            const firebaseData = JSON.parse(jsonStr);
-            const data = firebaseData.data;
-            
-            if (data === null || data === undefined) return;
-            
-            // Format based on event type
-            let multiplexedEvent;
-            
-            if (eventType === 'relays') {
-              // Handle relay updates
-              // Firebase structure: {relay_1: {state: true}, relay_2: {state: false}, ...}
-              if (firebaseData.path === '/') {
-                // Initial snapshot - send all relays
-                log(`🔥 Firebase snapshot: ${JSON.stringify(data)}`);
-                Object.keys(data).forEach((relayKey) => {
-                  const match = relayKey.match(/relay_(\d+)/);
-                  if (match && data[relayKey].state !== undefined) {
-                    const relayNum = parseInt(match[1]);
-                    multiplexedEvent = {
-                      type: 'relay',
-                      relay: relayNum,
-                      state: data[relayKey].state
-                    };
-                    const eventStr = JSON.stringify(multiplexedEvent);
-                    res.write(`data: ${eventStr}\n\n`);
-                    log(`📤 Sent to ESP32: ${eventStr}`);
-                  }
-                });
-              } else {
-                // Individual relay update
-                log(`🔥 Firebase update: path=${firebaseData.path}, state=${data}`);
-                // Firebase sends paths like: /relay_1 or /relay_1/state
-                const pathMatch = firebaseData.path.match(/^\/relay_(\d+)/);
-                if (pathMatch) {
-                  const relayNum = parseInt(pathMatch[1]);
-                  // Extract actual state value
-                  const relayState = (data && typeof data === 'object' && data.state !== undefined) 
-                    ? data.state 
-                    : data;
-                  multiplexedEvent = {
-                    type: 'relay',
-                    relay: relayNum,
-                    state: relayState
-                  };
-                  const eventStr = JSON.stringify(multiplexedEvent);
-                  res.write(`data: ${eventStr}\n\n`);
-                  log(`📤 Sent to ESP32: ${eventStr}`);
-                }
-              }
-            } else if (eventType === 'schedules') {
-              // Send full schedule data
-              multiplexedEvent = {
-                type: 'schedule',
-                schedules: data
-              };
-              res.write(`data: ${JSON.stringify(multiplexedEvent)}\n\n`);
-              log(`📅 Schedules updated`);
-              
-            } else if (eventType === 'power') {
-              // Send power data for all phases
-              multiplexedEvent = {
-                type: 'power',
-                power: data
-              };
-              res.write(`data: ${JSON.stringify(multiplexedEvent)}\n\n`);
-              log(`⚡ Power data updated`);
-              
-            } else if (eventType === 'authorized_numbers') {
-              // Send authorized numbers array
-              const numbers = Array.isArray(data) ? data : [];
-              multiplexedEvent = {
-                type: 'auth_numbers',
-                numbers: numbers
-              };
-              res.write(`data: ${JSON.stringify(multiplexedEvent)}\n\n`);
-              log(`📞 Authorized numbers: ${numbers.length} entries`);
-              
-            } else if (eventType === 'enabled') {
-              // Send subscription status
-              multiplexedEvent = {
-                type: 'enabled',
-                enabled: data === true
-              };
-              res.write(`data: ${JSON.stringify(multiplexedEvent)}\n\n`);
-              log(`🔓 Subscription enabled: ${data}`);
-            }
-            
-          } catch (e) {
-            if (DEBUG) {
-              log(`⚠️  ${eventType} parse error: ${e.message}`);
-            }
-          }
-        });
-      });
-      
-      firebaseRes.on('end', () => {
-        log(`🔌 Firebase ${eventType} ended`);
-      });
-      
-      firebaseRes.on('error', (err) => {
-        log(`❌ Firebase ${eventType} error: ${err.message}`);
-      });
-    });
-    
-    firebaseReq.on('error', (err) => {
-      log(`❌ Firebase ${eventType} connection error: ${err.message}`);
-    });
+    // Normalize state to "ON" or "OFF"
+    let relayState = event.state;
+    if (typeof relayState === 'string') {
+      relayState = relayState.toUpperCase();
+    } else if (typeof relayState === 'boolean') {
+      relayState = relayState ? 'ON' : 'OFF';
+    } else if (typeof relayState === 'number') {
+      relayState = relayState === 1 ? 'ON' : 'OFF';
+    }
     
-    connections.push(firebaseReq);
-  }
-  
-  // Create streams for all 5 data types
-  createFirebaseStream(paths.relays, 'relays');
-  createFirebaseStream(paths.schedules, 'schedules');
-  createFirebaseStream(paths.power, 'power');
-  createFirebaseStream(paths.authorized_numbers, 'authorized_numbers');
-  createFirebaseStream(paths.enabled, 'enabled');
+    // Only send if state changed
+    if ((relayState === 'ON' || relayState === 'OFF') && relayState !== lastState) {
+      lastState = relayState;
+      write(`data: ${relayState}\n\n`);
+      log(`🔌 Relay state: ${relayState}`);
+    }
+  }, ['relays']);
   
   // Keep-alive ping every 10 seconds (Railway kills idle connections at ~30s)
   const keepAliveInterval = setInterval(() => {
     if (res.writable) {
-      res.write(': keep-alive\n\n');
+      write(': keep-alive\n\n', presence.keepAlive);
     } else {
       clearInterval(keepAliveInterval);
     }
   }, 10000);
   
+  const stopDrain = onDrain((retryMs) => {
+    write(`retry: ${retryMs}\n` + sseMessage(restartEvent(retryMs)));
+    endStream(req, res);
+  });
+  
   // Handle client disconnect
-  req.on('close', () => {
+  req.on('close', bindLogContext(() => {
     log(`🔌 Client disconnected: ${deviceId}`);
-    isActive = false;
     clearInterval(keepAliveInterval);
-    connections.forEach(conn => conn.destroy());
+    stopDrain();
+    unsubscribe();
+    presence.close();
+  }));
+}
+
+/**
+ * Serve a device's consolidated state, optionally as a long-poll
+ * GET /state/{DEVICE_ID}?since=<version>&wait=<seconds>
+ * Without since the current state is returned at once. With since, the
+ * request waits up to `wait` seconds for the version to move past it and
+ * answers 304 if it does not.
+ *
+ * The request holds a hub subscription while it runs, so polls share the
+ * device's upstream Firebase streams with its SSE clients (and keep them
+ * open for UPSTREAM_GRACE_MS between polls).
+ */
+function handleStateRequest(req, res, deviceId, query, profile) {
+  const since = query.has('since') ? parseEventId(query.get('since')) : null;
+  const wait = query.has('wait') ? parseInt(query.get('wait'), 10) : 0;
+  const streams = profileStreams(profile, STREAM_TYPES, null);
+  const hub = getDeviceHub(deviceId);
+
+  let finished = false;
+  let waitTimer = null;
+  let readyTimer = null;
+  let waiting = false;
+
+  function finish() {
+    finished = true;
+    clearTimeout(waitTimer);
+    clearTimeout(readyTimer);
+    stopDrain();
+    unsubscribe();
+  }
+
+  function respond() {
+    if (finished) return;
+    finish();
+    sendJson(res, 200, Object.assign({ device: deviceId }, hub.state(streams)));
+  }
+
+  function notModified() {
+    if (finished) return;
+    finish();
+    res.writeHead(304);
+    res.end();
+  }
+
+  // Resuming from the current ID skips the snapshot: only new events arrive.
+  // Events published together (a relays put) are answered as one.
+  const unsubscribe = hub.subscribe((event, eventId) => {
+    if (waiting && eventId) {
+      waiting = false;
+      setImmediate(respond);
+    }
+  }, streams, hub.lastEventId());
+
+  function ready() {
+    if (finished) return;
+    clearTimeout(readyTimer);
+
+    if (since === null || since !== hub.lastEventId()) {
+      respond();
+    } else if (wait === 0) {
+      notModified();
+    } else {
+      waiting = true;
+      waitTimer = setTimeout(notModified, wait * 1000);
+    }
+  }
+
+  // A long-poll cut short by shutdown gets the state as it is
+  const stopDrain = onDrain(() => {
+    res.setHeader('Connection', 'close');
+    respond();
+  });
+
+  readyTimer = setTimeout(() => {
+    logWarn(`⚠️  ${deviceId}: state not complete after ${STATE_READY_TIMEOUT_MS}ms, answering with what is cached`);
+    ready();
+  }, STATE_READY_TIMEOUT_MS);
+  hub.whenReady(streams, ready);
+
+  req.on('close', bindLogContext(() => {
+    if (!finished) finish();
+  }));
+}
+
+/**
+ * End a held-open stream and its connection, so server.close() can complete
+ */
+function endStream(req, res) {
+  res.end(() => req.socket.end());
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Send a {status, payload} result as-is; 429s also get Retry-After
+ */
+function sendResult(res, result) {
+  if (result.status === 429) res.setHeader('Retry-After', String(result.payload.retry_after_s));
+  sendJson(res, result.status, result.payload);
+}
+
+/**
+ * Send a structured error: {error, code, field?, details?}
+ */
+function sendError(res, status, error, code, extra) {
+  sendJson(res, status, Object.assign({ error: error, code: code }, extra || {}));
+}
+
+/**
+ * Reject a request that failed validation
+ */
+function sendValidationError(res, problem) {
+  logWarn(`❌ Validation failed: ${problem.field} - ${problem.details}`);
+  sendError(res, 400, 'Validation failed', problem.code, { field: problem.field, details: problem.details });
+}
+
+/**
+ * Reject a request that failed device authentication
+ */
+function sendAuthError(res, authErr) {
+  const code = authErr.status === 401 ? 'unauthorized' : authErr.status === 403 ? 'forbidden' : 'auth_unavailable';
+  sendError(res, authErr.status, authErr.error, code, { details: authErr.details });
+}
+
+/**
+ * Read a JSON request body, enforcing MAX_BODY_BYTES
+ * Responds with 413/400 itself; callback(rawBody, parsed) only on success.
+ */
+function readJsonBody(req, res, callback) {
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+
+  req.on('data', bindLogContext((chunk) => {
+    if (tooLarge) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      tooLarge = true;
+      logWarn(`❌ Request body over ${MAX_BODY_BYTES} bytes`);
+      res.setHeader('Connection', 'close');
+      sendError(res, 413, 'Payload too large', 'body_too_large', { details: `Body must be at most ${MAX_BODY_BYTES} bytes` });
+      return;
+    }
+    chunks.push(chunk);
+  }));
+
+  req.on('end', bindLogContext(() => {
+    if (tooLarge) return;
+
+    const body = Buffer.concat(chunks).toString();
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      logWarn(`❌ JSON parse error: ${e.message}`);
+      sendError(res, 400, 'Invalid JSON', 'invalid_json', { details: e.message });
+      return;
+    }
+    callback(body, parsed);
+  }));
+}
+
+/**
+ * Apply a batch /update: all relay changes in one PATCH, then any acks
+ */
+function handleRelayBatch(req, res, body, update, clientIp) {
+  const problem = validateRelayBatch(update);
+  if (problem) {
+    sendValidationError(res, problem);
+    return;
+  }
+
+  const { device, relays, schedule } = update;
+
+  authenticateRequest(req, device, body, (authErr) => {
+    if (authErr) {
+      sendAuthError(res, authErr);
+      return;
+    }
+
+    loadProfile(device, (profile) => {
+      for (let i = 0; i < relays.length; i++) {
+        const relayProblem = validateProfileRelay(relays[i].relay, profile, `relays[${i}].relay`);
+        if (relayProblem) {
+          sendValidationError(res, relayProblem);
+          return;
+        }
+      }
+
+      writeRelayStates(device, relays, schedule, clientIp, (result) => {
+        if (result.status >= 300) {
+          sendResult(res, result);
+          return;
+        }
+
+        // Acks go one at a time; each only touches its own command
+        const results = result.payload.relays.map((entry) => Object.assign({}, entry));
+        function acknowledgeNext(i) {
+          if (i === relays.length) {
+            sendJson(res, result.status, Object.assign({}, result.payload, { relays: results }));
+            return;
+          }
+          if (!relays[i].ack) {
+            acknowledgeNext(i + 1);
+            return;
+          }
+          acknowledgeCommand(device, relays[i].ack, relays[i].state, (ackResult) => {
+            results[i].ack = ackResult.status === 200 ? ackResult.payload.status : ackResult.payload.code;
+            acknowledgeNext(i + 1);
+          });
+        }
+        acknowledgeNext(0);
+      });
+    });
   });
 }
 
@@ -247,91 +612,80 @@ function handleMultiplexedStream(req, res, deviceId) {
  * Handle relay state update from ESP32 (schedule execution)
  * POST /update
  * Body: {"device":"dev_xxx","relay":5,"state":true}
+ * With "ack":"c_..." the update also confirms that relay command.
+ * Batch body, applied as one atomic write:
+ * {"device":"dev_xxx","relays":[{"relay":1,"state":true},{"relay":2,"state":false,"ack":"c_..."}],
+ *  "schedule":{"id":"sched_1","name":"...","executedAt":1700000000000}}
  */
 function handleRelayUpdate(req, res) {
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+  const clientIp = clientAddress(req);
   log(`📝 Relay update request from ${clientIp}`);
   
-  let body = '';
-  
-  req.on('data', (chunk) => {
-    body += chunk.toString();
-  });
-  
-  req.on('end', () => {
-    try {
-      const update = JSON.parse(body);
-      const { device, relay, state } = update;
-      
-      if (!device || !relay || state === undefined) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Missing required fields: device, relay, state' }));
-        log(`❌ Invalid update request: ${body}`);
+  readJsonBody(req, res, (body, update) => {
+    if (update && typeof update === 'object' && update.relays !== undefined) {
+      handleRelayBatch(req, res, body, update, clientIp);
+      return;
+    }
+
+    const problem = validateRelayUpdate(update);
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
+    }
+    
+    const { device, relay, state } = update;
+    
+    authenticateRequest(req, device, body, (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
         return;
       }
       
-      log(`📝 ESP32 schedule executed: Device ${device}, Relay ${relay} → ${state ? 'ON' : 'OFF'}`);
-      
-      // Write to Firebase RTDB
-      const firebasePath = `/devices/${device}/relays/relay_${relay}/state.json`;
-      const firebaseData = JSON.stringify(state);
-      
-      const options = {
-        hostname: FIREBASE_URL,
-        path: firebasePath,
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': firebaseData.length
+      loadProfile(device, (profile) => {
+        const relayProblem = validateProfileRelay(relay, profile);
+        if (relayProblem) {
+          sendValidationError(res, relayProblem);
+          return;
         }
-      };
-      
-      log(`🔥 Writing to Firebase: ${firebasePath} = ${state}`);
-      
-      const firebaseReq = https.request(options, (firebaseRes) => {
-        let responseData = '';
         
-        firebaseRes.on('data', (chunk) => {
-          responseData += chunk.toString();
-        });
-        
-        firebaseRes.on('end', () => {
-          if (firebaseRes.statusCode === 200) {
-            log(`✅ Firebase updated successfully: Relay ${relay} = ${state}`);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-              success: true, 
-              device, 
-              relay, 
-              state,
-              timestamp: new Date().toISOString()
-            }));
-          } else {
-            log(`❌ Firebase error: ${firebaseRes.statusCode} - ${responseData}`);
-            res.writeHead(firebaseRes.statusCode, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-              error: 'Firebase write failed', 
-              status: firebaseRes.statusCode,
-              details: responseData
-            }));
+        writeRelayState(device, relay, state, clientIp, (result) => {
+          if (!update.ack || result.status >= 300) {
+            sendResult(res, result);
+            return;
           }
+          acknowledgeCommand(device, update.ack, state, (ackResult) => {
+            const ack = ackResult.status === 200 ? ackResult.payload.status : ackResult.payload.code;
+            sendJson(res, result.status, Object.assign({}, result.payload, { ack: ack }));
+          });
         });
       });
-      
-      firebaseReq.on('error', (err) => {
-        log(`❌ Firebase request error: ${err.message}`);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase connection failed', details: err.message }));
-      });
-      
-      firebaseReq.write(firebaseData);
-      firebaseReq.end();
-      
-    } catch (e) {
-      log(`❌ JSON parse error: ${e.message}`);
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid JSON', details: e.message }));
+    });
+  });
+}
+
+/**
+ * Handle relay command acknowledgement from ESP32
+ * POST /ack
+ * Body: {"device":"dev_xxx","command":"c_...","state":true}
+ */
+function handleCommandAck(req, res) {
+  readJsonBody(req, res, (body, ack) => {
+    const problem = validateCommandAck(ack);
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
     }
+
+    authenticateRequest(req, ack.device, body, (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
+        return;
+      }
+
+      acknowledgeCommand(ack.device, ack.command, ack.state, (result) => {
+        sendJson(res, result.status, result.payload);
+      });
+    });
   });
 }
 
@@ -341,97 +695,215 @@ function handleRelayUpdate(req, res) {
  * Body: {"device":"dev_xxx","data":{...power payload...}}
  */
 function handlePowerUpload(req, res) {
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-  log(`⚡ Power upload request from ${clientIp}`);
+  const clientIp = clientAddress(req);
+  logDebug(`⚡ Power upload request from ${clientIp}`);
 
-  let body = '';
-  req.on('data', (chunk) => {
-    body += chunk.toString();
-  });
+  readJsonBody(req, res, (body, payload) => {
+    const problem = validatePowerUpload(payload);
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
+    }
 
-  req.on('end', () => {
-    try {
-      const payload = JSON.parse(body);
-      const { device, data } = payload;
+    const { device, data } = payload;
 
-      if (!device || !data) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Missing required fields: device, data' }));
-        log(`❌ Invalid power upload: ${body}`);
+    authenticateRequest(req, device, body, (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
         return;
       }
 
-      const firebasePath = `/devices/${device}/power.json`;
-      const firebaseData = JSON.stringify(data);
+      writePower(device, data, (result) => {
+        sendResult(res, result);
+      });
+    });
+  });
+}
 
-      const options = {
-        hostname: FIREBASE_URL,
-        path: firebasePath,
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': firebaseData.length
-        }
-      };
+/**
+ * Parse a history bound: epoch milliseconds or an ISO 8601 date
+ * Returns NaN for anything unparseable, before 1970 or more than a day ahead.
+ */
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  if (!(time >= 0 && time <= Date.now() + TIME_MAX_AHEAD_MS)) return NaN;
+  return time;
+}
 
-      log(`⚙️ Writing power payload to Firebase: ${firebasePath}`);
+/**
+ * Serve power telemetry history
+ * GET /power/{DEVICE_ID}/history?from=&to=&resolution=raw|1m|1h|1d&format=json|csv
+ * from/to default to the last 24 hours; resolution is picked from the span when omitted
+ */
+function handlePowerHistory(req, res, deviceId, query) {
+  const to = query.has('to') ? parseTime(query.get('to')) : Date.now();
+  const from = query.has('from') ? parseTime(query.get('from')) : to - 24 * 60 * 60 * 1000;
+  const resolution = query.get('resolution') || null;
 
-      const firebaseReq = https.request(options, (firebaseRes) => {
-        let responseData = '';
+  if (isNaN(from) || isNaN(to) || from > to) {
+    sendValidationError(res, { code: 'invalid_field', field: 'from', details: 'from/to must be epoch ms or ISO dates no more than a day ahead, with from <= to' });
+    return;
+  }
+  if (resolution && !RESOLUTIONS.includes(resolution)) {
+    sendValidationError(res, { code: 'invalid_field', field: 'resolution', details: `Must be one of ${RESOLUTIONS.join(', ')}` });
+    return;
+  }
+  const rangeProblem = validateHistoryRange(from, to, resolution);
+  if (rangeProblem) {
+    sendValidationError(res, rangeProblem);
+    return;
+  }
 
-        firebaseRes.on('data', (chunk) => {
-          responseData += chunk.toString();
-        });
+  const wantsCsv = query.get('format') === 'csv' ||
+    (!query.has('format') && /text\/csv/.test(req.headers['accept'] || ''));
 
-        firebaseRes.on('end', () => {
-          if (firebaseRes.statusCode === 200) {
-            log(`✅ Power data stored for ${device}`);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, device, timestamp: new Date().toISOString() }));
-          } else {
-            log(`❌ Firebase power write failed: ${firebaseRes.statusCode} - ${responseData}`);
-            res.writeHead(firebaseRes.statusCode, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Firebase write failed', status: firebaseRes.statusCode, details: responseData }));
-          }
-        });
-      });
+  queryHistory(deviceId, from, to, resolution, (result) => {
+    if (wantsCsv) {
+      res.writeHead(200, { 'Content-Type': 'text/csv' });
+      res.end(toCsv(result.points));
+      return;
+    }
 
-      firebaseReq.on('error', (err) => {
-        log(`❌ Firebase power request error: ${err.message}`);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase connection failed', details: err.message }));
-      });
+    sendJson(res, 200, {
+      device: deviceId,
+      resolution: result.resolution,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      count: result.points.length,
+      truncated: result.truncated,
+      points: result.points
+    });
+  });
+}
+
+/**
+ * Serve the relay audit trail
+ * GET /history/{DEVICE_ID}?relay=&from=&to=&limit=&cursor=
+ * Entries are oldest first; pass the returned "next" as cursor for the following page
+ */
+function handleRelayHistory(req, res, deviceId, query) {
+  const relay = query.has('relay') && /^\d+$/.test(query.get('relay')) ? parseInt(query.get('relay'), 10) : query.get('relay');
+  const from = query.has('from') ? parseTime(query.get('from')) : 0;
+  const to = query.has('to') ? parseTime(query.get('to')) : Date.now();
+  const limit = query.has('limit') && /^\d+$/.test(query.get('limit')) ? parseInt(query.get('limit'), 10) : query.get('limit');
+  const cursor = query.get('cursor');
 
-      firebaseReq.write(firebaseData);
-      firebaseReq.end();
+  const problem = (relay === null ? null : validateRelayNumber(relay)) ||
+    (isNaN(from) || isNaN(to) || from > to
+      ? { code: 'invalid_field', field: 'from', details: 'from/to must be epoch ms or ISO dates no more than a day ahead, with from <= to' }
+      : null) ||
+    (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_PAGE_MAX)
+      ? { code: 'invalid_field', field: 'limit', details: `limit must be an integer between 1 and ${AUDIT_PAGE_MAX}` }
+      : null) ||
+    (cursor !== null && !HISTORY_KEY_PATTERN.test(cursor)
+      ? { code: 'invalid_field', field: 'cursor', details: 'cursor must be the "next" value of a previous page' }
+      : null);
+  if (problem) {
+    sendValidationError(res, problem);
+    return;
+  }
 
-    } catch (e) {
-      log(`❌ Power JSON parse error: ${e.message}`);
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid JSON', details: e.message }));
+  const options = { relay: relay, from: from, to: to, limit: limit || AUDIT_PAGE_SIZE, cursor: cursor };
+  queryRelayHistory(deviceId, options, (err, page) => {
+    if (err) {
+      logError(`❌ Relay history read for ${deviceId} failed: ${err.message}`);
+      sendError(res, 502, 'Firebase read failed', 'upstream_unavailable', { details: err.message });
+      return;
     }
+    sendJson(res, 200, {
+      device: deviceId,
+      relay: relay,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      count: page.entries.length,
+      entries: page.entries,
+      next: page.next
+    });
   });
 }
 
+/**
+ * Proxy health for GET /health
+ * "degraded" while any upstream stream is down or writes are waiting in the
+ * offline queue; always answered with 200 so a Firebase outage does not get
+ * the proxy restarted. "draining" (503) once shutdown has begun.
+ */
+function healthReport() {
+  const upstreams = upstreamHealth();
+  const queue = queueStatus();
+  const problems = [];
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
-  const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-  log(`📥 Request from ${clientIp}: ${req.method} ${req.url}`);
+  if (upstreams.down > 0) {
+    problems.push(`${upstreams.down} upstream stream(s) down`);
+  }
+  if (queue.depth > 0) {
+    problems.push(`${queue.depth} write(s) queued`);
+  }
+
+  return {
+    status: isDraining() ? 'draining' : problems.length > 0 ? 'degraded' : 'ok',
+    problems: problems,
+    timestamp: new Date().toISOString(),
+    uptimeS: Math.round(process.uptime()),
+    clients: connectionCount(),
+    upstreams: {
+      open: upstreams.open,
+      down: upstreams.down,
+      downByStream: upstreams.downByStream,
+      oldestDownSince: upstreams.oldestDownSince ? new Date(upstreams.oldestDownSince).toISOString() : null
+    },
+    queue: {
+      depth: queue.depth,
+      oldestAgeMs: queue.oldestAgeMs
+    }
+  };
+}
+
+/**
+ * Request ID: the caller's X-Request-Id when it is usable, else a new one
+ */
+function requestId(req) {
+  const header = req.headers['x-request-id'];
+  return typeof header === 'string' && /^[\w.-]{1,64}$/.test(header) ? header : newLogId();
+}
+
+/**
+ * Route a request
+ */
+function handleRequest(req, res) {
+  const clientIp = clientAddress(req);
+  logDebug(`📥 Request from ${clientIp}: ${req.method} ${req.url}`);
   
   // Health check endpoint
   if (req.url === '/' || req.url === '/test') {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
     res.end('✅ Firebase Railway Proxy Running!\n' +
             `Server Time: ${new Date().toISOString()}\n` +
-            `Firebase: ${FIREBASE_URL}\n\n` +
+            `Firebase: ${describeUpstreams().join('; ')}\n\n` +
             `Endpoints:\n` +
             `  GET  /device/{DEVICE_ID} - Multiplexed SSE stream (recommended)\n` +
-            `    Streams: relays (x16), schedules, power, auth_numbers, enabled\n\n` +
+            `    Streams: relays (up to ${MAX_RELAYS}, per device profile), schedules, power, auth_numbers, enabled\n` +
+            `    Plus alert events from the power alert rules\n` +
+            `    ?streams=relays,enabled subscribes to fewer streams\n` +
+            `    ?format=compact for the low-bandwidth line format\n\n` +
             `  GET  /relay/{DEVICE_ID}/{RELAY_NUM} - Single relay stream (legacy)\n\n` +
             `  POST /update - ESP32 writes relay state (schedule execution)\n` +
+            `  POST /ack    - ESP32 confirms a relay command\n` +
             `  POST /power  - ESP32 uploads PZEM telemetry\n` +
+            `  GET  /power/{DEVICE_ID}/history - Power history (?from=&to=&resolution=&format=csv)\n` +
+            `  GET  /history/{DEVICE_ID} - Relay change history (?relay=&from=&to=&limit=&cursor=)\n` +
+            `  GET  /state/{DEVICE_ID} - Consolidated state (long-poll with ?since=&wait=)\n` +
+            `  GET  /health - JSON health summary\n` +
+            `  GET  /metrics - Prometheus metrics\n` +
+            `  GET  /queue  - Offline write queue status\n` +
+            `  GET  /admin/devices - Connected devices\n` +
+            `  GET  /admin/connections - Connection counts and limits\n` +
+            `  GET  /admin/webhooks - Webhook delivery status\n` +
+            (LINE_PORT ? `  TCP  :${LINE_PORT} - Newline-delimited JSON line protocol\n` : '') +
+            (MQTT_PORT ? `  MQTT :${MQTT_PORT} - MQTT 3.1.1 bridge (devices/{DEVICE_ID}/...)\n` : '') +
             `    Body: {"device":"dev_xxx","relay":5,"state":true}\n\n` +
+            `Auth: Authorization: Bearer <device secret>, or HMAC headers\n` +
+            `  X-Device-Timestamp, X-Device-Nonce, X-Device-Signature\n\n` +
             `Examples:\n` +
             `  GET  /device/dev_abc123xyz\n` +
             `  GET  /relay/dev_abc123xyz/1\n` +
@@ -439,7 +911,7 @@ const server = http.createServer((req, res) => {
             `  POST /power  (with JSON body)\n` +
             `\n` +
             `Note: Device IDs are generated via the relay_admin panel\n`);
-    log(`✅ Health check OK`);
+    logDebug(`✅ Health check OK`);
     return;
   }
   
@@ -448,249 +920,253 @@ const server = http.createServer((req, res) => {
   // 2. /relay/{DEVICE_ID}/{RELAY_NUM} - Single relay stream (legacy)
   // 3. POST /update - ESP32 writes relay state to Firebase (schedule execution)
   // 4. POST /power  - ESP32 uploads power telemetry snapshots
-  const urlParts = req.url.split('/').filter(Boolean);
+  // 5. GET /power/{DEVICE_ID}/history - Power telemetry history
+  // 6. GET /history/{DEVICE_ID} - Relay change history
+  // 7. GET /state/{DEVICE_ID} - Consolidated state, long-poll with ?since=&wait=
+  const url = new URL(req.url, 'http://localhost');
+  const urlParts = url.pathname.split('/').filter(Boolean);
   
-  // Handle POST /update endpoint (ESP32 → Firebase write)
-  if (req.method === 'POST' && urlParts[0] === 'update') {
-    handleRelayUpdate(req, res);
+  // Handle GET /metrics endpoint (Prometheus)
+  if (req.method === 'GET' && urlParts[0] === 'metrics' && !urlParts[1]) {
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    res.end(renderMetrics());
     return;
   }
-
-  // Handle POST /power endpoint (ESP32 → Firebase power snapshot)
-  if (req.method === 'POST' && urlParts[0] === 'power') {
-    handlePowerUpload(req, res);
+  
+  // Handle GET /health endpoint (JSON health summary)
+  if (req.method === 'GET' && urlParts[0] === 'health' && !urlParts[1]) {
+    sendJson(res, isDraining() ? 503 : 200, healthReport());
     return;
   }
   
-  // Handle multiplexed endpoint
-  if (urlParts[0] === 'device' && urlParts[1]) {
-    handleMultiplexedStream(req, res, urlParts[1]);
+  // No new streams or long-polls once shutdown has begun, and no kept-alive
+  // connections holding up server.close()
+  if (isDraining()) res.setHeader('Connection', 'close');
+  if (isDraining() && req.method === 'GET' && ['device', 'relay', 'state'].includes(urlParts[0])) {
+    const retryMs = restartDelay();
+    res.setHeader('Retry-After', Math.ceil(retryMs / 1000));
+    sendError(res, 503, 'Server restarting', 'server_draining', { retry_ms: retryMs });
     return;
   }
   
-  // Handle single relay endpoint (legacy)
-  if (urlParts[0] !== 'relay' || !urlParts[1]) {
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('❌ 404 Not Found\n' +
-            'Usage:\n' +
-            '  GET /device/{DEVICE_ID} - Multiplexed stream (recommended)\n' +
-            '  GET /relay/{DEVICE_ID}/{RELAY_NUM} - Single relay stream\n' +
-            'Examples:\n' +
-            '  GET /device/dev_abc123xyz\n' +
-            '  GET /relay/dev_abc123xyz/1\n' +
-            '\n' +
-            'Device IDs are created in the relay_admin panel\n');
-    log(`❌ Invalid URL: ${req.url}`);
+  // Handle GET /queue endpoint (offline write queue status)
+  if (req.method === 'GET' && urlParts[0] === 'queue' && !urlParts[1]) {
+    const adminErr = authenticateAdmin(req);
+    if (adminErr) {
+      sendAuthError(res, adminErr);
+      return;
+    }
+    sendJson(res, 200, queueStatus());
     return;
   }
   
-  const deviceId = urlParts[1];
-  
-  // Get relay number from query param (default: relay_1)
-  const relayNum = urlParts[2] || '1';
+  // Handle GET /admin/devices endpoint (currently connected devices)
+  if (req.method === 'GET' && urlParts[0] === 'admin' && urlParts[1] === 'devices' && !urlParts[2]) {
+    const adminErr = authenticateAdmin(req);
+    if (adminErr) {
+      sendAuthError(res, adminErr);
+      return;
+    }
+    sendJson(res, 200, connectedDevices());
+    return;
+  }
   
-  // Firebase path for relay state
-  // Structure: /devices/{DEVICE_ID}/relays/relay_X/state
-  const firebasePath = `/devices/${deviceId}/relays/relay_${relayNum}/state.json`;
+  // Handle GET /admin/connections endpoint (connection counts per device / IP)
+  if (req.method === 'GET' && urlParts[0] === 'admin' && urlParts[1] === 'connections' && !urlParts[2]) {
+    const adminErr = authenticateAdmin(req);
+    if (adminErr) {
+      sendAuthError(res, adminErr);
+      return;
+    }
+    sendJson(res, 200, connectionLimits());
+    return;
+  }
   
-  log(`🔥 Proxying to Firebase: ${firebasePath}`);
-  log(`   Device: ${deviceId}, Relay: ${relayNum}`);
+  // Handle GET /admin/webhooks endpoint (webhook queues and dead letters)
+  if (req.method === 'GET' && urlParts[0] === 'admin' && urlParts[1] === 'webhooks' && !urlParts[2]) {
+    const adminErr = authenticateAdmin(req);
+    if (adminErr) {
+      sendAuthError(res, adminErr);
+      return;
+    }
+    sendJson(res, 200, webhookStatus());
+    return;
+  }
   
-  // First, fetch the current value (non-SSE)
-  const currentValuePath = firebasePath;
-  https.get({
-    hostname: FIREBASE_URL,
-    path: currentValuePath,
-    method: 'GET'
-  }, (currentRes) => {
-    let currentData = '';
-    currentRes.on('data', (chunk) => {
-      currentData += chunk.toString();
-    });
-    currentRes.on('end', () => {
-      // Send current value immediately
-      try {
-        const currentValue = JSON.parse(currentData);
-        let initialState = null;
-        
-        if (typeof currentValue === 'boolean') {
-          initialState = currentValue ? 'ON' : 'OFF';
-        } else if (typeof currentValue === 'string') {
-          initialState = currentValue.toUpperCase();
-        }
-        
-        if (initialState) {
-          log(`📤 Sending initial state: ${initialState}`);
-          res.write(`data: ${initialState}\n\n`);
-        }
-      } catch (e) {
-        log(`⚠️  Could not parse initial value: ${currentData}`);
+  // Handle POST /update endpoint (ESP32 → Firebase write)
+  if (req.method === 'POST' && urlParts[0] === 'update') {
+    handleRelayUpdate(req, res);
+    return;
+  }
+
+  // Handle POST /ack endpoint (ESP32 confirms a relay command)
+  if (req.method === 'POST' && urlParts[0] === 'ack' && !urlParts[1]) {
+    handleCommandAck(req, res);
+    return;
+  }
+
+  // Handle POST /power endpoint (ESP32 → Firebase power snapshot)
+  if (req.method === 'POST' && urlParts[0] === 'power') {
+    handlePowerUpload(req, res);
+    return;
+  }
+
+  // Handle GET /power/{DEVICE_ID}/history (device credentials or admin token)
+  if (req.method === 'GET' && urlParts[0] === 'power' && urlParts[2] === 'history' && !urlParts[3]) {
+    const problem = validateDeviceId(urlParts[1], 'deviceId');
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
+    }
+    if (isAdminRequest(req)) {
+      handlePowerHistory(req, res, urlParts[1], url.searchParams);
+      return;
+    }
+    authenticateRequest(req, urlParts[1], '', (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
+        return;
       }
+      handlePowerHistory(req, res, urlParts[1], url.searchParams);
     });
-  }).on('error', (err) => {
-    log(`❌ Error fetching initial value: ${err.message}`);
-  });
-  
-  // Set SSE headers for the client (ESP32)
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*'
-  });
+    return;
+  }
   
-  // Send initial connection message
-  res.write('data: {"status":"connected","device":"' + deviceId + '"}\n\n');
-  
-  // Connect to Firebase RTDB with SSE
-  const options = {
-    hostname: FIREBASE_URL,
-    path: firebasePath,
-    method: 'GET',
-    headers: {
-      'Accept': 'text/event-stream',
-      'Cache-Control': 'no-cache'
+  // Handle GET /state/{DEVICE_ID} (polling / long-poll)
+  if (req.method === 'GET' && urlParts[0] === 'state' && urlParts[1] && !urlParts[2]) {
+    const since = url.searchParams.get('since');
+    const wait = url.searchParams.get('wait');
+    const problem = validateDeviceId(urlParts[1], 'deviceId') ||
+      (since !== null && parseEventId(since) === null
+        ? { code: 'invalid_field', field: 'since', details: 'since must be the version of an earlier response' }
+        : null) ||
+      (wait !== null && (!/^\d+$/.test(wait) || parseInt(wait, 10) > STATE_MAX_WAIT_S)
+        ? { code: 'invalid_field', field: 'wait', details: `wait must be an integer between 0 and ${STATE_MAX_WAIT_S}` }
+        : null);
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
     }
-  };
+    authenticateRequest(req, urlParts[1], '', (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
+        return;
+      }
+      loadProfile(urlParts[1], (profile) => {
+        loadSubscription(urlParts[1], () => {
+          handleStateRequest(req, res, urlParts[1], url.searchParams, profile);
+        });
+      });
+    });
+    return;
+  }
   
-  log(`🚀 Connecting to Firebase...`);
+  // Handle GET /history/{DEVICE_ID} (device credentials or admin token)
+  if (req.method === 'GET' && urlParts[0] === 'history' && urlParts[1] && !urlParts[2]) {
+    const problem = validateDeviceId(urlParts[1], 'deviceId');
+    if (problem) {
+      sendValidationError(res, problem);
+      return;
+    }
+    if (isAdminRequest(req)) {
+      handleRelayHistory(req, res, urlParts[1], url.searchParams);
+      return;
+    }
+    authenticateRequest(req, urlParts[1], '', (authErr) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
+        return;
+      }
+      handleRelayHistory(req, res, urlParts[1], url.searchParams);
+    });
+    return;
+  }
   
-  const firebaseReq = https.get(options, (firebaseRes) => {
-    log(`✅ Firebase connected, status: ${firebaseRes.statusCode}`);
-    
-    if (firebaseRes.statusCode !== 200) {
-      log(`❌ Firebase error: ${firebaseRes.statusCode}`);
-      res.write(`data: {"error":"Firebase returned ${firebaseRes.statusCode}"}\n\n`);
-      res.end();
+  // Handle multiplexed endpoint
+  if (urlParts[0] === 'device' && urlParts[1]) {
+    const problem = validateDeviceId(urlParts[1], 'deviceId') ||
+      (url.searchParams.has('streams') ? validateStreamList(url.searchParams.get('streams'), STREAM_TYPES) : null) ||
+      (url.searchParams.has('format') && !STREAM_FORMATS.includes(url.searchParams.get('format'))
+        ? { code: 'invalid_field', field: 'format', details: `Must be one of ${STREAM_FORMATS.join(', ')}` }
+        : null);
+    if (problem) {
+      sendValidationError(res, problem);
       return;
     }
-    
-    // Track last state to avoid duplicate sends
-    let lastState = null;
-    let dataBuffer = '';
-    
-    // Forward Firebase SSE data to client
-    firebaseRes.on('data', (chunk) => {
-      const data = chunk.toString();
-      dataBuffer += data;
-      
-      // Process complete lines
-      const lines = dataBuffer.split('\n');
-      dataBuffer = lines.pop() || ''; // Keep incomplete line in buffer
-      
-      lines.forEach((line) => {
-        if (!line.trim()) {
-          // Empty line - send to client
-          res.write('\n');
-          return;
-        }
-        
-        if (DEBUG) {
-          log(`📨 Firebase: ${line.substring(0, 100)}${line.length > 100 ? '...' : ''}`);
-        }
-        
-        // Parse Firebase SSE format
-        if (line.startsWith('event:')) {
-          res.write(line + '\n');
-        } else if (line.startsWith('data:')) {
-          try {
-            // Extract the JSON data
-            const jsonStr = line.substring(5).trim();
-            
-            if (!jsonStr || jsonStr === 'null') {
-              // Skip null/empty data
-              return;
-            }
-            
-            const firebaseData = JSON.parse(jsonStr);
-            
-            // Extract relay state
-            let relayState = null;
-            
-            if (firebaseData.path === '/') {
-              // Initial data or full update
-              relayState = firebaseData.data;
-            } else if (firebaseData.path === '' || firebaseData.path === undefined) {
-              // Direct value update
-              relayState = firebaseData.data || firebaseData;
-            } else {
-              // Nested path update
-              relayState = firebaseData.data;
-            }
-            
-            // Normalize state to "ON" or "OFF"
-            if (typeof relayState === 'string') {
-              relayState = relayState.toUpperCase();
-            } else if (typeof relayState === 'boolean') {
-              relayState = relayState ? 'ON' : 'OFF';
-            } else if (typeof relayState === 'number') {
-              relayState = relayState === 1 ? 'ON' : 'OFF';
-            }
-            
-            // Only send if state changed
-            if (relayState && (relayState === 'ON' || relayState === 'OFF') && relayState !== lastState) {
-              lastState = relayState;
-              
-              // Send simplified format to ESP32
-              const sseMessage = `data: ${relayState}\n\n`;
-              res.write(sseMessage);
-              
-              log(`🔌 Relay state: ${relayState}`);
-            }
-            
-          } catch (e) {
-            // If not JSON, just forward as-is
-            res.write(line + '\n');
-            if (DEBUG) {
-              log(`⚠️  JSON parse failed: ${e.message}`);
-            }
-          }
-        } else {
-          // Other SSE fields (keep-alive, etc)
-          res.write(line + '\n');
-        }
+    authenticateRequest(req, urlParts[1], '', (authErr, verified) => {
+      if (authErr) {
+        sendAuthError(res, authErr);
+        return;
+      }
+      // Profile and subscription status are known before any event is sent
+      loadProfile(urlParts[1], (profile) => {
+        loadSubscription(urlParts[1], () => {
+          handleMultiplexedStream(req, res, urlParts[1], url.searchParams, profile, verified);
+        });
       });
     });
-    
-    firebaseRes.on('end', () => {
-      log(`🔌 Firebase connection ended for ${deviceId}`);
-      res.write('data: {"status":"disconnected"}\n\n');
-      res.end();
-    });
-    
-    firebaseRes.on('error', (err) => {
-      log(`❌ Firebase stream error: ${err.message}`);
-      res.write(`data: {"error":"${err.message}"}\n\n`);
-      res.end();
-    });
-  });
+    return;
+  }
   
-  firebaseReq.on('error', (err) => {
-    log(`❌ Firebase connection error: ${err.message}`);
-    res.write(`data: {"error":"Connection failed: ${err.message}"}\n\n`);
-    res.end();
-  });
+  // Handle single relay endpoint (legacy)
+  if (urlParts[0] !== 'relay' || !urlParts[1]) {
+    sendError(res, 404, 'Not Found', 'not_found', {
+      usage: [
+        'GET /device/{DEVICE_ID} - Multiplexed stream (recommended)',
+        'GET /relay/{DEVICE_ID}/{RELAY_NUM} - Single relay stream',
+        'POST /update - Relay state write',
+        'POST /ack - Relay command acknowledgement',
+        'POST /power - Power telemetry upload',
+        'GET /power/{DEVICE_ID}/history - Power telemetry history',
+        'GET /history/{DEVICE_ID} - Relay change history',
+        'GET /state/{DEVICE_ID} - Consolidated state (long-poll with ?since=&wait=)'
+      ],
+      details: 'Device IDs are created in the relay_admin panel'
+    });
+    logWarn(`❌ Invalid URL: ${req.url}`);
+    return;
+  }
   
-  // Handle client disconnect
-  req.on('close', () => {
-    log(`🔌 Client disconnected: ${deviceId}`);
-    firebaseReq.destroy();
-  });
+  // Get relay number from path (default: relay_1)
+  const relayParam = urlParts[2] || '1';
+  const relayNum = /^\d+$/.test(relayParam) ? parseInt(relayParam, 10) : NaN;
+  const problem = validateDeviceId(urlParts[1], 'deviceId') || validateRelayNumber(relayNum, 'relayNum');
+  if (problem) {
+    sendValidationError(res, problem);
+    return;
+  }
   
-  // Keep-alive ping every 10 seconds (Railway kills idle connections at ~30s)
-  const keepAliveInterval = setInterval(() => {
-    if (res.writable) {
-      res.write(': keep-alive\n\n');
-    } else {
-      clearInterval(keepAliveInterval);
+  authenticateRequest(req, urlParts[1], '', (authErr) => {
+    if (authErr) {
+      sendAuthError(res, authErr);
+      return;
     }
-  }, 10000);
-  
-  req.on('close', () => {
-    clearInterval(keepAliveInterval);
+    loadProfile(urlParts[1], (profile) => {
+      const relayProblem = validateProfileRelay(relayNum, profile, 'relayNum');
+      if (relayProblem) {
+        sendValidationError(res, relayProblem);
+        return;
+      }
+      handleLegacyRelayStream(req, res, urlParts[1], relayNum);
+    });
   });
+}
+
+// Create HTTP server; every line logged for a request carries its ID
+const server = http.createServer((req, res) => {
+  const id = requestId(req);
+  res.setHeader('X-Request-Id', id);
+  withLogContext({ req: id }, () => handleRequest(req, res));
 });
 
+// Load the offline write queue before accepting writes
+startWrites();
+startPowerHistory();
+startPowerAlerts(writeAlert);
+startRelayAudit(writeRelayHistory);
+startPresence();
+startWebhooks();
+
 // Start server
 server.listen(PORT, () => {
   log('========================================');
@@ -698,30 +1174,106 @@ server.listen(PORT, () => {
   log('   Multiplexed SSE Support v3.0');
   log('========================================');
   log(`📡 Port: ${PORT}`);
-  log(`🔥 Firebase: ${FIREBASE_URL}`);
+  describeUpstreams().forEach((upstream) => log(`🔥 Firebase ${upstream}`));
+  log(`🔐 Device auth: ${DEVICE_AUTH_MODE}`);
+  log(`🧾 Logging: ${LOG_LEVEL}, ${LOG_FORMAT}`);
+  if (!ADMIN_TOKEN) {
+    logWarn(`⚠️  ADMIN_TOKEN not set - admin endpoints are open`);
+  }
   log(`🌐 Endpoints:`);
   log(`   GET /test - Health check`);
   log(`   GET /device/{DEVICE_ID} - Multiplexed stream (NEW)`);
-  log(`     • Streams: relays (x16), schedules, power, auth_numbers, enabled`);
+  log(`     • Streams: relays (up to ${MAX_RELAYS}), schedules, power, auth_numbers, enabled`);
+  log(`     • ?streams=relays,enabled to subscribe to fewer`);
+  log(`     • ?format=compact for the low-bandwidth line format`);
   log(`   GET /relay/{DEVICE_ID}/{RELAY_NUM} - Single relay stream (legacy)`);
   log(`   POST /update - Relay state write-through`);
+  log(`   POST /ack    - Relay command acknowledgement`);
   log(`   POST /power  - Power telemetry upload`);
+  log(`   GET /power/{DEVICE_ID}/history - Power telemetry history`);
+  log(`   GET /history/{DEVICE_ID} - Relay change history`);
+  log(`   GET /state/{DEVICE_ID} - Consolidated state / long-poll`);
+  log(`   GET /health  - JSON health summary`);
+  log(`   GET /metrics - Prometheus metrics`);
+  log(`   GET /queue   - Offline write queue status`);
+  log(`   GET /admin/devices - Connected devices`);
+  log(`   GET /admin/connections - Connection counts and limits`);
+  log(`   GET /admin/webhooks - Webhook delivery status`);
   log('========================================');
 });
 
-// Handle shutdown gracefully
-process.on('SIGTERM', () => {
-  log('📴 SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    log('✅ Server closed');
-    process.exit(0);
+// Start raw TCP line-protocol listener
+let lineServer = null;
+if (LINE_PORT) {
+  lineServer = createLineServer();
+  lineServer.listen(LINE_PORT, () => {
+    log(`🔗 Line protocol listening on TCP port ${LINE_PORT}`);
   });
-});
+}
+
+// Start embedded MQTT broker
+let mqttBroker = null;
+if (MQTT_PORT) {
+  mqttBroker = createMqttBroker();
+  mqttBroker.listen(MQTT_PORT, () => {
+    log(`📡 MQTT broker listening on TCP port ${MQTT_PORT}`);
+  });
+}
 
-process.on('SIGINT', () => {
-  log('📴 SIGINT received, shutting down gracefully...');
+/**
+ * Drain and exit: stop accepting connections, tell every client when to
+ * reconnect, flush pending writes and buffered power history, close
+ * upstream streams, dead-letter undelivered webhook events, and exit once
+ * all that is done or DRAIN_TIMEOUT_MS has passed
+ */
+function shutdown(signal) {
+  if (isDraining()) {
+    log(`📴 ${signal} received again, exiting now`);
+    process.exit(1);
+  }
+  log(`📴 ${signal} received, draining (deadline ${DRAIN_TIMEOUT_MS}ms)...`);
+
+  setTimeout(() => {
+    log('⏱️  Drain deadline reached, exiting');
+    process.exit(1);
+  }, DRAIN_TIMEOUT_MS).unref();
+
+  // Exit once the HTTP server has closed and writes and history are flushed
+  let remaining = 3;
+  function stepDone() {
+    remaining--;
+    if (remaining > 0) return;
+    log('✅ Drain complete');
+    process.exit(0);
+  }
+
+  if (lineServer) lineServer.close();
+  if (mqttBroker) mqttBroker.close();
   server.close(() => {
     log('✅ Server closed');
-    process.exit(0);
+    stepDone();
   });
-});
+
+  log(`📣 Sent server_restart to ${drainConnections()} client(s)`);
+  if (server.closeIdleConnections) server.closeIdleConnections();
+
+  flushWrites((queued) => {
+    if (queued > 0) {
+      log(`📦 ${queued} write(s) left in the offline queue for the next start`);
+    } else {
+      log('✅ Pending writes flushed');
+    }
+    log(`🧹 Closed Firebase streams for ${closeAllHubs()} device(s)`);
+    const undelivered = stopWebhooks();
+    if (undelivered > 0) log(`🪝 ${undelivered} webhook event(s) moved to the dead-letter log`);
+    stepDone();
+  });
+
+  flushPowerHistory(() => {
+    log('✅ Power history flushed');
+    stepDone();
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,94 @@
+/**
+ * Device authentication (lib/auth.js): bearer tokens, HMAC signatures and
+ * nonce replay protection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTestEnv, writeJsonFile } = require('./helpers');
+
+const dir = useTestEnv({
+  ADMIN_TOKEN: 'admin-secret',
+  DEVICE_SECRETS_PATH: '/device_secrets'
+});
+process.env.DEVICE_SECRETS_FILE = writeJsonFile(dir, 'secrets.json', { dev1: 'secret-dev1' });
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  device_secrets: { dev2: 'secret-dev2' }
+});
+
+const { authenticateCredentials, authenticateAdmin, signingString } = require('../lib/auth');
+
+function authenticate(deviceId, credentials) {
+  return new Promise((resolve) => authenticateCredentials(deviceId, credentials, (err, verified) => resolve({ err: err, verified: verified })));
+}
+
+/**
+ * Credentials for a request signed with secret
+ */
+function signed(secret, options) {
+  const request = Object.assign({
+    method: 'POST',
+    path: '/update',
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: crypto.randomBytes(8).toString('hex'),
+    body: '{"relay":1,"state":true}'
+  }, options);
+  request.signature = crypto.createHmac('sha256', secret)
+    .update(signingString(request.method, request.path, request.timestamp, request.nonce, request.body))
+    .digest('hex');
+  return request;
+}
+
+test('accepts the device secret as a bearer token', async () => {
+  assert.deepEqual(await authenticate('dev1', { token: 'secret-dev1' }), { err: null, verified: true });
+
+  const { err } = await authenticate('dev1', { token: 'nope' });
+  assert.equal(err.status, 401);
+  assert.equal(err.details, 'Invalid bearer token');
+});
+
+test('accepts a signed request once per nonce', async () => {
+  const credentials = signed('secret-dev1');
+  assert.deepEqual(await authenticate('dev1', credentials), { err: null, verified: true });
+
+  const { err } = await authenticate('dev1', credentials);
+  assert.equal(err.status, 401);
+  assert.equal(err.details, 'Nonce already used');
+});
+
+test('rejects tampered, stale and incomplete signatures', async () => {
+  const tampered = Object.assign(signed('secret-dev1'), { body: '{"relay":1,"state":false}' });
+  assert.equal((await authenticate('dev1', tampered)).err.details, 'Invalid signature');
+
+  const stale = signed('secret-dev1', { timestamp: String(Math.floor(Date.now() / 1000) - 3600) });
+  assert.equal((await authenticate('dev1', stale)).err.details, 'Request timestamp outside accepted window');
+
+  const unsigned = Object.assign(signed('secret-dev1'), { signature: undefined });
+  assert.equal((await authenticate('dev1', unsigned)).err.details, 'Missing timestamp, nonce or signature');
+});
+
+test('does not burn a nonce on an invalid signature', async () => {
+  const credentials = signed('secret-dev1');
+  const forged = Object.assign({}, credentials, { signature: signed('wrong-secret', { nonce: credentials.nonce, timestamp: credentials.timestamp }).signature });
+
+  assert.equal((await authenticate('dev1', forged)).err.details, 'Invalid signature');
+  assert.deepEqual(await authenticate('dev1', credentials), { err: null, verified: true });
+});
+
+test('reads secrets from DEVICE_SECRETS_PATH', async () => {
+  assert.deepEqual(await authenticate('dev2', signed('secret-dev2')), { err: null, verified: true });
+  assert.equal((await authenticate('dev2', { token: 'secret-dev1' })).err.status, 401);
+});
+
+test('lets devices without a secret through unverified in provisioned mode', async () => {
+  const { err, verified } = await authenticate('dev_new', {});
+  assert.equal(err, null);
+  assert.ok(!verified);
+});
+
+test('requires the admin token for admin endpoints', () => {
+  assert.equal(authenticateAdmin({ method: 'GET', url: '/queue', headers: { authorization: 'Bearer admin-secret' } }), null);
+  assert.equal(authenticateAdmin({ method: 'GET', url: '/queue', headers: { authorization: 'Bearer secret-dev1' } }).status, 401);
+  assert.equal(authenticateAdmin({ method: 'GET', url: '/queue', headers: {} }).status, 401);
+});
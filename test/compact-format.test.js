@@ -0,0 +1,77 @@
+/**
+ * Compact wire format (lib/compact-format.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCompactEncoder } = require('../lib/compact-format');
+
+const reading = { voltage: 230.1, current: 1.2, power: 270, energy: 12.5, pf: 0.98, frequency: 50 };
+
+test('folds the relay snapshot into one bitmask line', () => {
+  const encoder = createCompactEncoder(8);
+  assert.deepEqual(encoder.encodeSnapshot([
+    { type: 'relay', relay: 1, state: true },
+    { type: 'relay', relay: 2, state: false },
+    { type: 'relay', relay: 3, state: true, command: 'c_abc' },
+    { type: 'enabled', enabled: true },
+    { type: 'auth_numbers', numbers: ['+919800000001', '+919800000002'] }
+  ]), [
+    'R:0x05',
+    'r3=1@c_abc',
+    'e=1',
+    'N:+919800000001,+919800000002'
+  ]);
+});
+
+test('sends nothing for values the client already has', () => {
+  const encoder = createCompactEncoder(4);
+  encoder.encodeSnapshot([{ type: 'relay', relay: 1, state: true }, { type: 'enabled', enabled: true }]);
+
+  assert.deepEqual(encoder.encode({ type: 'relay', relay: 1, state: true }), []);
+  assert.deepEqual(encoder.encode({ type: 'enabled', enabled: true }), []);
+  assert.deepEqual(encoder.encode({ type: 'relay', relay: 1, state: false }), ['r1=0']);
+  assert.deepEqual(encoder.encode({ type: 'relay', relay: 2, state: true, command: 'c_abc' }), ['r2=1@c_abc']);
+  // A re-delivered command is sent again even though the state is unchanged
+  assert.deepEqual(encoder.encode({ type: 'relay', relay: 2, state: true, command: 'c_abc' }), ['r2=1@c_abc']);
+  assert.deepEqual(encoder.encode({ type: 'enabled', enabled: false }), ['e=0']);
+});
+
+test('sends power readings as differences', () => {
+  const encoder = createCompactEncoder(4);
+  assert.deepEqual(encoder.encode({ type: 'power', power: { phase_a: reading, timestamp: 1700000000000 } }), [
+    'P:230.1,1.2,270,12.5,0.98,50;-;-;1700000000000'
+  ]);
+  assert.deepEqual(encoder.encode({ type: 'power', power: { phase_a: Object.assign({}, reading, { voltage: 231 }) } }), [
+    'P:231,,,,,;;'
+  ]);
+  assert.deepEqual(encoder.encode({ type: 'power', power: { phase_a: Object.assign({}, reading, { voltage: 231 }) } }), []);
+  assert.deepEqual(encoder.encode({ type: 'power', power: { phase_a: Object.assign({}, reading, { voltage: 231 }), phase_b: { voltage: 229 } } }), [
+    'P:;229,-,-,-,-,-;'
+  ]);
+  assert.deepEqual(encoder.encode({ type: 'power', power: { phase_a: Object.assign({}, reading, { voltage: 231 }) } }), [
+    'P:;-;'
+  ]);
+});
+
+test('sends the schedule table once, then changes', () => {
+  const encoder = createCompactEncoder(4);
+  const morning = { relay: 1, on: '06:00' };
+  assert.deepEqual(encoder.encode({ type: 'schedule', schedules: { morning: morning } }), [`S={"morning":${JSON.stringify(morning)}}`]);
+  assert.deepEqual(encoder.encode({ type: 'schedule', schedules: { morning: morning, night: { relay: 2 } } }), ['S+night={"relay":2}']);
+  assert.deepEqual(encoder.encode({ type: 'schedule', schedules: { night: { relay: 2 } } }), ['S-morning']);
+});
+
+test('encodes alerts, status events and anything else', () => {
+  const encoder = createCompactEncoder(4);
+  assert.deepEqual(encoder.encode({
+    type: 'alert', status: 'triggered', rule: 'voltage_high', phase: 'phase_a', severity: 'critical', value: 271.2, threshold: 260
+  }), ['A:T,critical,voltage_high,phase_a,271.2,260']);
+  assert.deepEqual(encoder.encode({
+    type: 'alert', status: 'cleared', rule: 'phase_imbalance', phase: null, severity: 'warning', value: null, threshold: 5
+  }), ['A:C,warning,phase_imbalance,,,5']);
+  assert.deepEqual(encoder.encode({ type: 'disabled', reason: 'subscription_disabled', safe_state: null }), ['D']);
+  assert.deepEqual(encoder.encode({ type: 'upstream', stream: 'relays', status: 'down' }), ['U:relays=0']);
+  assert.deepEqual(encoder.encode({ type: 'server_restart', retry_ms: 12345 }), ['X:12345']);
+  assert.deepEqual(encoder.encode({ type: 'ping' }), ['J:{"type":"ping"}']);
+});
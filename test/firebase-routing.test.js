@@ -0,0 +1,119 @@
+/**
+ * Upstream routing (lib/firebase.js) against in-memory RTDB emulators
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { promisify } = require('util');
+const { useTestEnv, writeJsonFile } = require('./helpers');
+
+const dir = useTestEnv();
+
+// Each upstream holds the same devices, marked with the upstream's name
+function seedFor(name) {
+  return {
+    devices: {
+      dev_acme1: { upstream: name },
+      dev_acme_eu1: { upstream: name },
+      dev_other: { upstream: name }
+    },
+    device_secrets: { dev_acme1: `${name}-secret`, dev_other: `${name}-secret` }
+  };
+}
+
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'default.json', seedFor('default'));
+process.env.FIREBASE_UPSTREAMS_FILE = writeJsonFile(dir, 'upstreams.json', {
+  upstreams: {
+    acme: { url: 'memory', seed: writeJsonFile(dir, 'acme.json', seedFor('acme')) },
+    acme_eu: { url: 'memory', seed: writeJsonFile(dir, 'acme_eu.json', seedFor('acme_eu')) }
+  },
+  routes: { dev_acme: 'acme', dev_acme_eu: 'acme_eu' }
+});
+
+const firebase = require('../lib/firebase');
+const { createRtdbEmulator } = require('../lib/rtdb-emulator');
+
+const getJson = promisify(firebase.getJson);
+
+function writeJson(method, path, value) {
+  return new Promise((resolve, reject) => {
+    firebase.writeJson(method, path, value, (err, statusCode, responseData) => {
+      if (err) reject(err);
+      else resolve({ statusCode: statusCode, body: responseData });
+    });
+  });
+}
+
+test('routes devices to the upstream with the longest matching prefix', async () => {
+  assert.equal(await getJson('/devices/dev_acme1/upstream.json'), 'acme');
+  assert.equal(await getJson('/devices/dev_acme_eu1/upstream.json'), 'acme_eu');
+  assert.equal(await getJson('/devices/dev_other/upstream.json'), 'default');
+});
+
+test('routes device secrets by the device ID in the file name', async () => {
+  assert.equal(await getJson('/device_secrets/dev_acme1.json'), 'acme-secret');
+  assert.equal(await getJson('/device_secrets/dev_other.json'), 'default-secret');
+});
+
+test('writes land on the routed upstream only', async () => {
+  const written = await writeJson('PATCH', '/devices/dev_acme_eu1.json', { upstream: 'written' });
+  assert.equal(written.statusCode, 200);
+
+  assert.equal(await getJson('/devices/dev_acme_eu1/upstream.json'), 'written');
+  assert.equal(await getJson('/devices/dev_acme1/upstream.json'), 'acme');
+  assert.equal(await getJson('/devices/dev_other/upstream.json'), 'default');
+});
+
+test('streams are opened on the routed upstream', async () => {
+  const event = await new Promise((resolve, reject) => {
+    firebase.withAuth('/devices/dev_acme1/upstream.json', (authErr, path) => {
+      if (authErr) return reject(authErr);
+      const req = firebase.openStream(path, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const match = /event: put\ndata: (.*)\n/.exec(buffer);
+          if (match) {
+            req.destroy();
+            resolve(JSON.parse(match[1]));
+          }
+        });
+      });
+      req.on('error', reject);
+    });
+  });
+  assert.deepEqual(event, { path: '/', data: 'acme' });
+});
+
+test('describes every upstream with the prefixes routed to it', () => {
+  const lines = firebase.describeUpstreams();
+  assert.equal(lines.length, 3);
+  assert.match(lines.find((line) => line.startsWith('default:')), /memory/);
+  assert.match(lines.find((line) => line.startsWith('acme:')), /devices dev_acme\*$/);
+  assert.match(lines.find((line) => line.startsWith('acme_eu:')), /devices dev_acme_eu\*$/);
+});
+
+test('emulator answers ordered range queries like RTDB', async () => {
+  const emulator = createRtdbEmulator({ history: { a: 1, b: 2, c: 3, d: 4 } });
+  await new Promise((resolve) => emulator.listen(0, '127.0.0.1', resolve));
+
+  function get(path) {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: emulator.address().port, path: path }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve(JSON.parse(body)));
+      }).on('error', reject);
+    });
+  }
+
+  try {
+    const orderBy = encodeURIComponent('"$key"');
+    assert.deepEqual(await get(`/history.json?orderBy=${orderBy}&limitToLast=2`), { c: 3, d: 4 });
+    assert.deepEqual(await get(`/history.json?orderBy=${orderBy}&startAt=${encodeURIComponent('"b"')}&limitToFirst=2`), { b: 2, c: 3 });
+  } finally {
+    emulator.close();
+  }
+});
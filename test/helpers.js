@@ -0,0 +1,62 @@
+/**
+ * Shared test helpers
+ *
+ * Every test file runs in its own process (node --test) and configures the
+ * proxy through the environment before requiring anything from lib/, since
+ * modules read their settings once at load.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the proxy at a scratch directory and the in-memory RTDB emulator
+ * Returns the directory (removed on exit); extra env vars are applied on top.
+ */
+function useTestEnv(extra) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.assign(process.env, {
+    FIREBASE_URL: 'memory',
+    QUEUE_FILE: path.join(dir, 'write-queue.jsonl'),
+    HISTORY_DIR: path.join(dir, 'power-history'),
+    WEBHOOK_DEAD_LETTER_FILE: path.join(dir, 'webhook-dead-letter.jsonl'),
+    LOG_LEVEL: 'error'
+  }, extra || {});
+  return dir;
+}
+
+/**
+ * Write value as JSON to dir/name and return the file's path
+ */
+function writeJsonFile(dir, name, value) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(value));
+  return file;
+}
+
+/**
+ * Resolve with check()'s result once it is truthy (polled every 10ms)
+ */
+function waitFor(check, timeoutMs, description) {
+  const deadline = Date.now() + (timeoutMs || 2000);
+  return new Promise((resolve, reject) => {
+    (function poll() {
+      const result = check();
+      if (result) {
+        resolve(result);
+      } else if (Date.now() > deadline) {
+        reject(new Error(`Timed out waiting for ${description || 'condition'}`));
+      } else {
+        setTimeout(poll, 10);
+      }
+    })();
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { useTestEnv, writeJsonFile, waitFor, delay };
@@ -0,0 +1,172 @@
+/**
+ * Line-protocol listener (lib/line-server.js) against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { useTestEnv, writeJsonFile, waitFor } = require('./helpers');
+
+const dir = useTestEnv();
+process.env.DEVICE_SECRETS_FILE = writeJsonFile(dir, 'secrets.json', {
+  dev1: 'secret-dev1',
+  dev2: 'secret-dev2',
+  dev3: 'secret-dev3'
+});
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev1: { relays: { relay_1: { state: false, reported: false } } },
+    dev2: { enabled: false, relays: { relay_1: { state: true, reported: true } } },
+    dev3: { relays: { relay_1: { state: false, reported: false } } }
+  }
+});
+
+const { createLineServer } = require('../lib/line-server');
+const { closeAllHubs } = require('../lib/device-hub');
+const { writeJson, getJson } = require('../lib/firebase');
+const { startWrites } = require('../lib/writes');
+
+startWrites();
+
+let server;
+let port;
+const clients = [];
+
+/**
+ * Connect to the listener; every line received is parsed into client.messages
+ */
+function connect() {
+  const socket = net.connect(port, '127.0.0.1');
+  const client = { socket: socket, messages: [], closed: false };
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach((line) => client.messages.push(JSON.parse(line)));
+  });
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    client.closed = true;
+  });
+
+  client.send = (message) => socket.write(JSON.stringify(message) + '\n');
+  client.find = (check) => client.messages.find(check);
+  client.close = () => {
+    socket.destroy();
+    return waitFor(() => client.closed, 2000, 'close');
+  };
+
+  clients.push(client);
+  return client;
+}
+
+function hello(deviceId) {
+  const client = connect();
+  client.send({ type: 'hello', device: deviceId, token: `secret-${deviceId}` });
+  return waitFor(() => client.find((m) => m.type === 'hello'), 2000, 'hello').then(() => client);
+}
+
+test.before(async () => {
+  server = createLineServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.afterEach(async () => {
+  await Promise.all(clients.splice(0).map((client) => client.close()));
+});
+
+test.after(async () => {
+  closeAllHubs();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test('refuses a wrong token', async () => {
+  const client = connect();
+  client.send({ type: 'hello', device: 'dev1', token: 'nope' });
+  const error = await waitFor(() => client.find((m) => m.type === 'error'), 2000, 'error');
+  assert.equal(error.code, 'unauthorized');
+  await waitFor(() => client.closed, 2000, 'closed');
+});
+
+test('requires hello before anything else', async () => {
+  const client = connect();
+  client.send({ type: 'update', id: 1, relay: 1, state: true });
+  const error = await waitFor(() => client.find((m) => m.type === 'error'), 2000, 'error');
+  assert.equal(error.code, 'hello_required');
+  assert.equal(error.id, 1);
+});
+
+test('streams relay changes made after hello as JSON lines', async () => {
+  const client = await hello('dev1');
+  assert.deepEqual(client.find((m) => m.type === 'hello'), { type: 'hello', ok: true, device: 'dev1', heartbeat: 10000 });
+  await waitFor(() => client.find((m) => m.type === 'relay'), 2000, 'snapshot relay event');
+
+  await new Promise((resolve) => writeJson('PUT', '/devices/dev1/relays/relay_1/state.json', true, resolve));
+  const relay = await waitFor(() => client.find((m) => m.type === 'relay' && m.state === true), 2000, 'live relay event');
+  assert.equal(relay.relay, 1);
+  assert.equal(client.closed, false);
+});
+
+test('acknowledges updates by id and rejects invalid ones', async () => {
+  const client = await hello('dev3');
+  client.send({ type: 'update', id: 7, relay: 1, state: true });
+  client.send({ type: 'update', id: 8, relay: 1, state: 'on' });
+
+  const ok = await waitFor(() => client.find((m) => m.type === 'ack' && m.id === 7), 2000, 'ack 7');
+  assert.equal(ok.ok, true);
+  assert.equal(ok.status, 200);
+  const rejected = await waitFor(() => client.find((m) => m.type === 'ack' && m.id === 8), 2000, 'ack 8');
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.status, 400);
+
+  const reported = await new Promise((resolve) => getJson('/devices/dev3/relays/relay_1/reported.json', (err, value) => resolve(value)));
+  assert.equal(reported, true);
+});
+
+test('keeps a disabled device connected and tells it so', async () => {
+  const client = await hello('dev2');
+  await waitFor(() => client.find((m) => m.type === 'disabled'), 2000, 'disabled event');
+  await waitFor(() => client.find((m) => m.type === 'enabled'), 2000, 'enabled event');
+  assert.equal(client.find((m) => m.type === 'relay'), undefined);
+
+  client.send({ type: 'update', id: 1, relay: 1, state: false });
+  const ack = await waitFor(() => client.find((m) => m.type === 'ack'), 2000, 'ack');
+  assert.equal(ack.status, 402);
+  assert.equal(ack.code, 'subscription_disabled');
+  assert.equal(client.closed, false);
+});
+
+test('acknowledges power lines and answers pings', async () => {
+  const client = await hello('dev3');
+  client.send({ type: 'ping' });
+  client.send({ type: 'power', id: 9, data: { phase_a: { voltage: 230.1, current: 1.2 } } });
+  client.send({ type: 'power', id: 10, data: { phase_a: { voltage: 900 } } });
+
+  await waitFor(() => client.find((m) => m.type === 'pong'), 2000, 'pong');
+  const stored = await waitFor(() => client.find((m) => m.type === 'ack' && m.id === 9), 2000, 'ack 9');
+  assert.equal(stored.ok, true);
+  const rejected = await waitFor(() => client.find((m) => m.type === 'ack' && m.id === 10), 2000, 'ack 10');
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.field, 'data.phase_a.voltage');
+});
+
+test('reports malformed lines without dropping the connection', async () => {
+  const client = await hello('dev3');
+  client.socket.write('not json\n');
+  client.send([1, 2]);
+  client.send({ type: 'reboot', id: 3 });
+  client.send({ type: 'hello', device: 'dev3', token: 'secret-dev3' });
+
+  await waitFor(() => client.messages.filter((m) => m.type === 'error').length === 4, 2000, 'errors');
+  assert.deepEqual(client.messages.filter((m) => m.type === 'error').map((m) => m.code), [
+    'invalid_json',
+    'invalid_message',
+    'unknown_type',
+    'already_authenticated'
+  ]);
+  assert.equal(client.closed, false);
+});
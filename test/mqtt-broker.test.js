@@ -0,0 +1,355 @@
+/**
+ * Embedded MQTT broker (lib/mqtt-broker.js) against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { promisify } = require('util');
+const { useTestEnv, writeJsonFile, waitFor, delay } = require('./helpers');
+
+const dir = useTestEnv({
+  MQTT_RETRY_MS: '200',
+  RATE_LIMIT_UPDATE_PER_MIN: '1'
+});
+process.env.DEVICE_SECRETS_FILE = writeJsonFile(dir, 'secrets.json', {
+  dev1: 'secret-dev1',
+  dev2: 'secret-dev2',
+  dev3: 'secret-dev3',
+  dev4: 'secret-dev4',
+  dev5: 'secret-dev5',
+  dev6: 'secret-dev6'
+});
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev1: { relays: { relay_1: { state: true, reported: true }, relay_2: { state: false, reported: false } } },
+    dev2: { enabled: false, relays: { relay_1: { state: true, reported: true } } },
+    dev3: {},
+    dev4: { relays: { relay_1: { state: true, reported: true } } },
+    dev5: {},
+    dev6: { relays: { relay_1: { state: true, reported: true } } }
+  }
+});
+
+const { createMqttBroker, topicMatches } = require('../lib/mqtt-broker');
+const { closeAllHubs } = require('../lib/device-hub');
+const getJson = promisify(require('../lib/firebase').getJson);
+const { writeJson } = require('../lib/firebase');
+
+// ---------------------------------------------------------------------------
+// A minimal MQTT 3.1.1 client
+// ---------------------------------------------------------------------------
+
+function encodeString(value) {
+  const data = Buffer.from(value, 'utf8');
+  const header = Buffer.alloc(2);
+  header.writeUInt16BE(data.length, 0);
+  return Buffer.concat([header, data]);
+}
+
+function packetId(id) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(id, 0);
+  return buf;
+}
+
+function encodePacket(type, flags, body) {
+  const length = [];
+  let remaining = body.length;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) byte |= 0x80;
+    length.push(byte);
+  } while (remaining > 0);
+  return Buffer.concat([Buffer.from([(type << 4) | flags]), Buffer.from(length), body]);
+}
+
+/**
+ * Connect to the broker; packets received are collected in client.packets
+ * PUBLISH packets are decoded to {type: 3, topic, payload, qos, dup, retain, id}.
+ */
+function connectClient(port, options) {
+  const socket = net.connect(port, '127.0.0.1');
+  const client = { socket: socket, packets: [], closed: false };
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      let length = 0;
+      let multiplier = 1;
+      let offset = 1;
+      let byte;
+      do {
+        if (offset >= buffer.length) return;
+        byte = buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (byte & 0x80);
+      if (buffer.length < offset + length) return;
+
+      const type = buffer[0] >> 4;
+      const flags = buffer[0] & 0x0f;
+      const body = buffer.slice(offset, offset + length);
+      buffer = buffer.slice(offset + length);
+
+      if (type === 3) {
+        const qos = (flags >> 1) & 0x03;
+        const topicLength = body.readUInt16BE(0);
+        const id = qos > 0 ? body.readUInt16BE(2 + topicLength) : null;
+        client.packets.push({
+          type: type,
+          topic: body.toString('utf8', 2, 2 + topicLength),
+          payload: body.slice(2 + topicLength + (qos > 0 ? 2 : 0)).toString('utf8'),
+          qos: qos,
+          dup: (flags & 0x08) !== 0,
+          retain: (flags & 0x01) !== 0,
+          id: id
+        });
+      } else {
+        client.packets.push({ type: type, body: body });
+      }
+    }
+  });
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    client.closed = true;
+  });
+
+  const flags = 0x80 | 0x40 | (options.cleanSession === false ? 0 : 0x02);
+  client.sendConnect = () => socket.write(encodePacket(1, 0, Buffer.concat([
+    encodeString('MQTT'),
+    Buffer.from([4, flags, 0, 60]),
+    encodeString(options.clientId),
+    encodeString(options.username),
+    encodeString(options.password)
+  ])));
+  client.sendConnect();
+
+  client.connack = () => waitFor(() => {
+    const packet = client.packets.find((p) => p.type === 2);
+    return packet && { sessionPresent: packet.body[0] === 1, returnCode: packet.body[1] };
+  }, 2000, 'CONNACK');
+
+  client.subscribe = (filter, qos) => {
+    socket.write(encodePacket(8, 2, Buffer.concat([packetId(1), encodeString(filter), Buffer.from([qos])])));
+    return waitFor(() => client.packets.find((p) => p.type === 9), 2000, 'SUBACK');
+  };
+
+  client.publish = (topic, payload, id) => {
+    socket.write(encodePacket(3, 2, Buffer.concat([encodeString(topic), packetId(id), Buffer.from(payload)])));
+  };
+
+  client.puback = (id) => {
+    socket.write(encodePacket(4, 0, packetId(id)));
+  };
+
+  client.published = (topic) => client.packets.filter((p) => p.type === 3 && p.topic === topic);
+
+  client.close = () => {
+    socket.destroy();
+    return waitFor(() => client.closed, 2000, 'close');
+  };
+
+  return client;
+}
+
+// ---------------------------------------------------------------------------
+
+let broker;
+let port;
+const clients = [];
+
+function connect(options) {
+  const client = connectClient(port, Object.assign({ password: `secret-${options.username}` }, options));
+  clients.push(client);
+  return client;
+}
+
+test.before(async () => {
+  broker = createMqttBroker();
+  await new Promise((resolve) => broker.listen(0, '127.0.0.1', resolve));
+  port = broker.address().port;
+});
+
+test.afterEach(async () => {
+  await Promise.all(clients.splice(0).map((client) => client.close()));
+});
+
+test.after(async () => {
+  closeAllHubs();
+  await new Promise((resolve) => broker.close(resolve));
+});
+
+test('matches topic filters with + and # wildcards', () => {
+  assert.ok(topicMatches('devices/dev1/#', 'devices/dev1/relays/1/state'));
+  assert.ok(topicMatches('devices/dev1/relays/+/state', 'devices/dev1/relays/12/state'));
+  assert.ok(!topicMatches('devices/dev1/relays/+', 'devices/dev1/relays/1/state'));
+  assert.ok(!topicMatches('devices/dev1/power', 'devices/dev2/power'));
+});
+
+test('refuses a wrong password', async () => {
+  const client = connect({ clientId: 'bad', username: 'dev1', password: 'nope' });
+  assert.equal((await client.connack()).returnCode, 4);
+});
+
+test('keeps a disabled device connected with its relay state withheld', async () => {
+  const client = connect({ clientId: 'off', username: 'dev2' });
+  assert.equal((await client.connack()).returnCode, 0);
+  await client.subscribe('devices/dev2/#', 0);
+
+  const [enabled] = await waitFor(() => client.published('devices/dev2/enabled').length > 0 && client.published('devices/dev2/enabled'), 2000, 'enabled');
+  assert.equal(enabled.payload, 'false');
+  assert.equal(client.published('devices/dev2/relays/1/state').length, 0);
+
+  client.publish('devices/dev2/relays/1/state', 'false', 3);
+  const [error] = await waitFor(() => client.published('devices/dev2/errors').length > 0 && client.published('devices/dev2/errors'), 2000, 'error message');
+  assert.equal(JSON.parse(error.payload).code, 'subscription_disabled');
+  assert.equal(client.packets.filter((p) => p.type === 4).length, 0);
+  assert.equal(client.closed, false);
+});
+
+test('sends the device state from Firebase as retained messages', async () => {
+  const client = connect({ clientId: 'state', username: 'dev1' });
+  assert.equal((await client.connack()).returnCode, 0);
+  await client.subscribe('devices/dev1/relays/+/state', 0);
+
+  await waitFor(() => client.published('devices/dev1/relays/2/state').length > 0, 2000, 'relay 2 state');
+  assert.equal(client.published('devices/dev1/relays/1/state')[0].payload, 'true');
+  assert.equal(client.published('devices/dev1/relays/2/state')[0].payload, 'false');
+});
+
+test('drops retained relay state when a connected device is disabled', async () => {
+  const watcher = connect({ clientId: 'watcher', username: 'dev6' });
+  await watcher.connack();
+  await watcher.subscribe('devices/dev6/#', 0);
+  await waitFor(() => watcher.published('devices/dev6/relays/1/state').length > 0, 2000, 'relay state');
+
+  await new Promise((resolve) => writeJson('PUT', '/devices/dev6/enabled.json', false, resolve));
+  await waitFor(() => watcher.published('devices/dev6/enabled').some((p) => p.payload === 'false'), 2000, 'disabled');
+  assert.equal(watcher.closed, false);
+
+  const late = connect({ clientId: 'late', username: 'dev6' });
+  await late.connack();
+  await late.subscribe('devices/dev6/#', 0);
+  await waitFor(() => late.published('devices/dev6/enabled').length > 0, 2000, 'enabled');
+  assert.equal(late.published('devices/dev6/relays/1/state').length, 0);
+
+  // Enabled again: the relay state is sent straight away
+  await new Promise((resolve) => writeJson('PUT', '/devices/dev6/enabled.json', true, resolve));
+  await waitFor(() => late.published('devices/dev6/relays/1/state').length > 0, 2000, 'relay state after enabling');
+});
+
+test('acknowledges a QoS 1 relay write once Firebase has it', async () => {
+  const client = connect({ clientId: 'writer', username: 'dev1' });
+  await client.connack();
+  client.publish('devices/dev1/relays/3/state', 'true', 7);
+
+  await waitFor(() => client.packets.find((p) => p.type === 4), 2000, 'PUBACK');
+  assert.equal(client.packets.find((p) => p.type === 4).body.readUInt16BE(0), 7);
+  const relay = await getJson('/devices/dev1/relays/relay_3.json');
+  assert.equal(relay.state, true);
+  assert.equal(relay.reported, true);
+});
+
+test('leaves rate-limited writes unacknowledged and publishes the reason', async () => {
+  const client = connect({ clientId: 'limited', username: 'dev3' });
+  await client.connack();
+  await client.subscribe('devices/dev3/errors', 0);
+  client.publish('devices/dev3/relays/1/state', 'true', 1);
+  client.publish('devices/dev3/relays/1/state', 'false', 2);
+
+  const [error] = await waitFor(() => client.published('devices/dev3/errors').length > 0 && client.published('devices/dev3/errors'), 2000, 'error message');
+  assert.deepEqual(
+    (({ topic, status, code }) => ({ topic, status, code }))(JSON.parse(error.payload)),
+    { topic: 'devices/dev3/relays/1/state', status: 429, code: 'rate_limited' }
+  );
+  await delay(100);
+  const acked = client.packets.filter((p) => p.type === 4).map((p) => p.body.readUInt16BE(0));
+  assert.deepEqual(acked, [1]);
+});
+
+test('resends unacknowledged QoS 1 messages with DUP set', async () => {
+  const client = connect({ clientId: 'slow', username: 'dev1' });
+  await client.connack();
+  await client.subscribe('devices/dev1/relays/1/state', 1);
+
+  const [first] = await waitFor(() => {
+    const messages = client.published('devices/dev1/relays/1/state');
+    return messages.length > 0 && messages;
+  }, 2000, 'first delivery');
+  assert.equal(first.qos, 1);
+  assert.equal(first.dup, false);
+
+  const resent = await waitFor(() => client.published('devices/dev1/relays/1/state').find((p) => p.dup), 2000, 'DUP resend');
+  assert.equal(resent.id, first.id);
+
+  // Nothing more once it is acknowledged
+  client.puback(first.id);
+  await delay(50);
+  const count = client.published('devices/dev1/relays/1/state').length;
+  await delay(500);
+  assert.equal(client.published('devices/dev1/relays/1/state').length, count);
+});
+
+test('resumes a persistent session under the same client ID', async () => {
+  const first = connect({ clientId: 'keeper', username: 'dev1', cleanSession: false });
+  assert.equal((await first.connack()).sessionPresent, false);
+  await first.subscribe('devices/dev1/relays/+/state', 1);
+  await waitFor(() => first.published('devices/dev1/relays/1/state').length > 0, 2000, 'state');
+  await first.close();
+
+  const second = connect({ clientId: 'keeper', username: 'dev1', cleanSession: false });
+  const connack = await second.connack();
+  assert.equal(connack.returnCode, 0);
+  assert.equal(connack.sessionPresent, true);
+  // Subscriptions carried over: state arrives without subscribing again
+  await waitFor(() => second.published('devices/dev1/relays/1/state').length > 0, 2000, 'resumed state');
+
+  await second.close();
+  const clean = connect({ clientId: 'keeper', username: 'dev1' });
+  assert.equal((await clean.connack()).sessionPresent, false);
+});
+
+test('a reconnect takes over only the session with the same client ID', async () => {
+  const device = connect({ clientId: 'board', username: 'dev1' });
+  const monitor = connect({ clientId: 'monitor', username: 'dev1' });
+  await device.connack();
+  await monitor.connack();
+
+  const reconnect = connect({ clientId: 'board', username: 'dev1' });
+  assert.equal((await reconnect.connack()).returnCode, 0);
+  await waitFor(() => device.closed, 2000, 'old session closed');
+  await delay(50);
+  assert.equal(monitor.closed, false);
+});
+
+test('closes clients that publish outside their device', async () => {
+  const client = connect({ clientId: 'nosy', username: 'dev1' });
+  await client.connack();
+  client.publish('devices/dev3/relays/1/state', 'true', 1);
+  await waitFor(() => client.closed, 2000, 'close');
+});
+
+test('handles packets sent before CONNACK once the client is accepted', async () => {
+  // Nothing is awaited: SUBSCRIBE and PUBLISH follow CONNECT immediately,
+  // while the device's subscription status is still being read
+  const client = connect({ clientId: 'pipelined', username: 'dev4' });
+  const suback = client.subscribe('devices/dev4/relays/1/state', 0);
+  client.publish('devices/dev4/ack', JSON.stringify({ command: 'c_unknown', state: true }), 9);
+
+  assert.equal((await client.connack()).returnCode, 0);
+  await suback;
+  await waitFor(() => client.packets.find((p) => p.type === 4), 2000, 'PUBACK');
+  await waitFor(() => client.published('devices/dev4/relays/1/state').length > 0, 2000, 'retained state');
+  assert.equal(client.packets[0].type, 2);
+  assert.equal(client.closed, false);
+});
+
+test('closes a client that sends a second CONNECT while the first is pending', async () => {
+  const client = connect({ clientId: 'twice', username: 'dev5' });
+  client.sendConnect();
+  await waitFor(() => client.closed, 2000, 'close');
+  assert.equal(client.packets.filter((p) => p.type === 2).length, 0);
+});
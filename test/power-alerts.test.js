@@ -0,0 +1,105 @@
+/**
+ * Power alert rules (lib/power-alerts.js) against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, writeJsonFile, waitFor, delay } = require('./helpers');
+
+const dir = useTestEnv();
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev_cooldown: { alert_rules: { cooldown_s: 60 } },
+    dev_off: { alert_rules: { voltage_max: false } },
+    dev_disabled: { alert_rules: { enabled: false } }
+  }
+});
+
+const { evaluatePower, startPowerAlerts } = require('../lib/power-alerts');
+const { closeAllHubs } = require('../lib/device-hub');
+
+// Stored alert records, oldest first
+const alerts = [];
+startPowerAlerts((deviceId, record, callback) => {
+  alerts.push(Object.assign({ device: deviceId }, record));
+  callback({ status: 200, payload: {} });
+});
+
+test.after(() => {
+  closeAllHubs();
+});
+
+function alertsFor(deviceId) {
+  return alerts.filter((alert) => alert.device === deviceId);
+}
+
+/**
+ * Evaluate one reading and let its alerts (if any) come out
+ */
+async function reading(deviceId, data) {
+  evaluatePower(deviceId, data);
+  await delay(20);
+}
+
+test('clears only once the value is hysteresis_pct back inside the threshold', async () => {
+  await reading('dev1', { phase_a: { voltage: 265 } });
+  const triggered = await waitFor(() => alertsFor('dev1')[0], 2000, 'triggered alert');
+  assert.equal(triggered.status, 'triggered');
+  assert.equal(triggered.rule, 'voltage_high');
+  assert.equal(triggered.phase, 'phase_a');
+  assert.equal(triggered.severity, 'critical');
+  assert.equal(triggered.value, 265);
+  assert.equal(triggered.threshold, 260);
+
+  // 258V is below 260V but within 3% of it
+  await reading('dev1', { phase_a: { voltage: 258 } });
+  assert.equal(alertsFor('dev1').length, 1);
+
+  await reading('dev1', { phase_a: { voltage: 250 } });
+  const cleared = await waitFor(() => alertsFor('dev1')[1], 2000, 'cleared alert');
+  assert.equal(cleared.status, 'cleared');
+  assert.equal(cleared.value, 250);
+});
+
+test('does not re-trigger within cooldown_s', async () => {
+  await reading('dev_cooldown', { phase_a: { voltage: 270 } });
+  await waitFor(() => alertsFor('dev_cooldown')[0], 2000, 'triggered alert');
+  await reading('dev_cooldown', { phase_a: { voltage: 230 } });
+  await reading('dev_cooldown', { phase_a: { voltage: 270 } });
+  assert.deepEqual(alertsFor('dev_cooldown').map((alert) => alert.status), ['triggered', 'cleared']);
+});
+
+test('clears the alerts of a phase once it is lost', async () => {
+  await reading('dev2', { phase_a: { voltage: 265 }, phase_b: { voltage: 230 } });
+  await waitFor(() => alertsFor('dev2').length === 2, 2000, 'triggered alerts');
+  assert.deepEqual(alertsFor('dev2').map((alert) => `${alert.status} ${alert.rule}`).sort(), [
+    'triggered phase_imbalance',
+    'triggered voltage_high'
+  ]);
+
+  alerts.length = 0;
+  await reading('dev2', { phase_a: { voltage: 0 }, phase_b: { voltage: 230 } });
+  const byRule = {};
+  alertsFor('dev2').forEach((alert) => {
+    byRule[alert.rule] = alert;
+  });
+  assert.deepEqual(Object.keys(byRule).sort(), ['missing_phase', 'phase_imbalance', 'voltage_high']);
+  assert.equal(byRule.missing_phase.status, 'triggered');
+  assert.equal(byRule.missing_phase.message, 'phase_a lost (0V)');
+  assert.equal(byRule.voltage_high.status, 'cleared');
+  assert.equal(byRule.voltage_high.value, null);
+  assert.equal(byRule.phase_imbalance.status, 'cleared');
+  assert.equal(byRule.phase_imbalance.value, null);
+
+  // Nothing is cleared twice
+  await reading('dev2', { phase_a: { voltage: 0 }, phase_b: { voltage: 230 } });
+  assert.equal(alertsFor('dev2').length, 3);
+});
+
+test('follows per-device rule overrides', async () => {
+  await reading('dev_off', { phase_a: { voltage: 300, current: 40 } });
+  await reading('dev_disabled', { phase_a: { voltage: 300 } });
+  await waitFor(() => alertsFor('dev_off').length > 0, 2000, 'current alert');
+  assert.deepEqual(alertsFor('dev_off').map((alert) => alert.rule), ['current_high']);
+  assert.equal(alertsFor('dev_disabled').length, 0);
+});
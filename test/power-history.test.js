@@ -0,0 +1,100 @@
+/**
+ * Power history files and rollups (lib/power-history.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTestEnv, waitFor } = require('./helpers');
+
+useTestEnv({
+  HISTORY_MAX_POINTS: '5',
+  HISTORY_FLUSH_MS: '20',
+  HISTORY_ROLLUP_CHECK_MS: '50'
+});
+
+const { recordPowerSample, queryHistory, flushPowerHistory, startPowerHistory } = require('../lib/power-history');
+
+const MINUTE = 60 * 1000;
+
+function query(device, from, to, resolution) {
+  return new Promise((resolve) => queryHistory(device, from, to, resolution, resolve));
+}
+
+function historyFile(device, resolution, ts) {
+  return path.join(process.env.HISTORY_DIR, device, `${resolution}-${new Date(ts).toISOString().slice(0, 10)}.jsonl`);
+}
+
+/**
+ * Append records to a device's history file the way a previous run would have
+ */
+function writeRecords(device, resolution, records) {
+  fs.mkdirSync(path.join(process.env.HISTORY_DIR, device), { recursive: true });
+  records.forEach((record) => {
+    fs.appendFileSync(historyFile(device, resolution, record.ts), JSON.stringify(record) + '\n');
+  });
+}
+
+function reading(voltage, energy) {
+  return { phase_a: { voltage: voltage, energy: energy } };
+}
+
+test('rolls samples up into minute buckets and closes them once the minute is over', async () => {
+  const base = Math.floor(Date.now() / MINUTE) * MINUTE - 10 * MINUTE;
+  recordPowerSample('dev1', reading(220, 10), base + 1000);
+  recordPowerSample('dev1', reading(230, 10.5), base + 30000);
+  recordPowerSample('dev1', reading(240, 11), base + MINUTE + 1000);
+
+  let result = await query('dev1', base, Date.now(), '1m');
+  assert.equal(result.resolution, '1m');
+  assert.deepEqual(result.points[0], {
+    ts: new Date(base).toISOString(),
+    samples: 2,
+    phase_a: { voltage: { min: 220, avg: 225, max: 230 }, energy: { delta: 0.5 } }
+  });
+  assert.equal(result.points[1].partial, true);
+
+  // A device that goes quiet still gets its last bucket written
+  startPowerHistory();
+  const file = historyFile('dev1', '1m', base + MINUTE);
+  await waitFor(() => fs.existsSync(file) && fs.readFileSync(file, 'utf8').includes(`"ts":${base + MINUTE}`), 2000, 'closed bucket');
+
+  result = await query('dev1', base, Date.now(), '1m');
+  assert.equal(result.points.length, 2);
+  assert.equal(result.points[1].partial, undefined);
+  assert.equal(result.points[1].samples, 1);
+  assert.deepEqual(result.points[1].phase_a.energy, { delta: 0.5 });
+});
+
+test('buffers raw samples and returns at most HISTORY_MAX_POINTS', async () => {
+  const start = Date.now() - 10000;
+  for (let i = 0; i < 8; i++) {
+    recordPowerSample('dev2', reading(220 + i, 1), start + i * 1000);
+  }
+  assert.equal(fs.existsSync(historyFile('dev2', 'raw', start)), false);
+  await waitFor(() => fs.existsSync(historyFile('dev2', 'raw', start)), 2000, 'raw file written');
+  await new Promise((resolve) => flushPowerHistory(resolve));
+
+  const result = await query('dev2', start, Date.now(), 'raw');
+  assert.equal(result.truncated, true);
+  assert.equal(result.points.length, 5);
+  assert.equal(result.points[0].ts, new Date(start).toISOString());
+  assert.equal(result.points[4].phase_a.voltage, 224);
+});
+
+test('rebuilds open buckets from raw samples left by a previous run', async () => {
+  const base = Math.floor(Date.now() / MINUTE) * MINUTE - 5 * MINUTE;
+  writeRecords('dev3', '1m', [{ ts: base - MINUTE, samples: 1, phase_a: { voltage: { min: 200, avg: 200, max: 200 }, energy: { delta: 0 } } }]);
+  writeRecords('dev3', 'raw', [
+    { ts: base - 30000, phase_a: { voltage: 200, energy: 5 } },
+    { ts: base + 1000, phase_a: { voltage: 210, energy: 5.25 } },
+    { ts: base + 2000, phase_a: { voltage: 230, energy: 5.5 } }
+  ]);
+
+  const result = await query('dev3', base - 2 * MINUTE, Date.now(), '1m');
+  assert.deepEqual(result.points.map((point) => point.ts), [new Date(base - MINUTE).toISOString(), new Date(base).toISOString()]);
+  assert.equal(result.points[1].samples, 2);
+  assert.deepEqual(result.points[1].phase_a.voltage, { min: 210, avg: 220, max: 230 });
+  assert.deepEqual(result.points[1].phase_a.energy, { delta: 0.5 });
+});
@@ -0,0 +1,127 @@
+/**
+ * Relay audit trail (lib/relay-audit.js) against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, writeJsonFile, waitFor } = require('./helpers');
+
+const BASE = 1700000000000;
+
+/**
+ * History entries one second apart; relays lists the relay of each
+ */
+function historyOf(relays) {
+  const history = {};
+  relays.forEach((relay, i) => {
+    const key = `${String(BASE + i * 1000).padStart(13, '0')}_${i.toString(16).padStart(8, '0')}`;
+    history[key] = { relay: relay, state: i % 2 === 0, source: 'remote', timestamp: new Date(BASE + i * 1000).toISOString() };
+  });
+  return history;
+}
+
+const dir = useTestEnv();
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev1: { history: historyOf([1, 1, 2, 1, 1, 2, 1, 1, 2, 1, 1, 1]) },
+    dev2: { history: historyOf(new Array(30).fill(1).concat([3])) },
+    dev3: { relays: { relay_1: { state: false, reported: false } } }
+  }
+});
+
+const { deviceChange, queryRelayHistory, startRelayAudit } = require('../lib/relay-audit');
+const { getDeviceHub, closeAllHubs } = require('../lib/device-hub');
+const { writeJson } = require('../lib/firebase');
+
+// Records stored by the audit trail
+const stored = [];
+startRelayAudit((deviceId, key, record, callback) => {
+  stored.push(Object.assign({ device: deviceId, key: key }, record));
+  callback({ status: 200, payload: {} });
+});
+
+test.after(() => {
+  closeAllHubs();
+});
+
+function page(deviceId, options) {
+  return new Promise((resolve, reject) => {
+    queryRelayHistory(deviceId, Object.assign({ from: 0, to: Date.now(), limit: 100 }, options), (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+}
+
+/**
+ * Follow next cursors to the end; returns the pages
+ */
+async function allPages(deviceId, options) {
+  const pages = [];
+  let cursor;
+  do {
+    const result = await page(deviceId, Object.assign({}, options, { cursor: cursor }));
+    pages.push(result);
+    cursor = result.next;
+  } while (cursor);
+  return pages;
+}
+
+test('pages through the history oldest first', async () => {
+  const pages = await allPages('dev1', { limit: 5 });
+  assert.deepEqual(pages.map((result) => result.entries.length), [5, 5, 2]);
+
+  const ids = [].concat.apply([], pages.map((result) => result.entries.map((entry) => entry.id)));
+  assert.deepEqual(ids, Object.keys(historyOf(new Array(12).fill(1))));
+  assert.equal(pages[0].next, ids[4]);
+});
+
+test('ends on a full last page without an empty extra one', async () => {
+  const pages = await allPages('dev1', { limit: 6 });
+  assert.deepEqual(pages.map((result) => result.entries.length), [6, 6]);
+  assert.equal(pages[1].next, null);
+});
+
+test('filters by relay and time range', async () => {
+  const pages = await allPages('dev1', { relay: 2, limit: 2 });
+  assert.deepEqual(pages.map((result) => result.entries.map((entry) => entry.relay)), [[2, 2], [2]]);
+
+  const ranged = await page('dev1', { from: BASE + 3000, to: BASE + 5000 });
+  assert.deepEqual(ranged.entries.map((entry) => entry.timestamp), [3000, 4000, 5000].map((ms) => new Date(BASE + ms).toISOString()));
+  assert.equal(ranged.next, null);
+});
+
+test('returns a short page with a cursor when a filter skips most entries', async () => {
+  const first = await page('dev2', { relay: 3, limit: 1 });
+  assert.equal(first.entries.length, 0);
+  assert.ok(first.next);
+
+  const pages = await allPages('dev2', { relay: 3, limit: 1 });
+  const found = [].concat.apply([], pages.map((result) => result.entries));
+  assert.equal(found.length, 1);
+  assert.equal(found[0].relay, 3);
+});
+
+test('records device writes and remote changes, but not their echoes', async () => {
+  const events = [];
+  const unsubscribe = getDeviceHub('dev3').subscribe((event) => events.push(event), ['relays']);
+  await waitFor(() => events.some((event) => event.type === 'relay'), 2000, 'snapshot');
+
+  // The device switches relay 1 on; its echo on the stream is not a remote change
+  const done = deviceChange('dev3', 1, true, '10.0.0.5');
+  await new Promise((resolve) => writeJson('PATCH', '/devices/dev3/relays/relay_1.json', { state: true, reported: true }, resolve));
+  done(true);
+  await waitFor(() => events.some((event) => event.type === 'relay' && event.state === true), 2000, 'echo');
+
+  // Someone switches it off from the app
+  await new Promise((resolve) => writeJson('PUT', '/devices/dev3/relays/relay_1/state.json', false, resolve));
+  await waitFor(() => stored.filter((record) => record.device === 'dev3').length === 2, 2000, 'remote change');
+  unsubscribe();
+
+  const records = stored.filter((record) => record.device === 'dev3');
+  assert.deepEqual(records.map((record) => [record.source, record.previous, record.state, record.ip]), [
+    ['device-schedule', false, true, '10.0.0.5'],
+    ['remote', true, false, null]
+  ]);
+  assert.match(records[0].key, /^\d{13}_[0-9a-f]{8}$/);
+});
@@ -0,0 +1,124 @@
+/**
+ * Relay commands (lib/relay-commands.js) issued through the device hub
+ * against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, writeJsonFile, waitFor, delay } = require('./helpers');
+
+const dir = useTestEnv({ COMMAND_TIMEOUT_MS: '200' });
+const off = { state: false, reported: false };
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev1: { relays: { relay_1: off, relay_2: off, relay_3: off, relay_4: off } }
+  }
+});
+
+const { acknowledgeCommand } = require('../lib/relay-commands');
+const { getDeviceHub, closeAllHubs } = require('../lib/device-hub');
+const { writeJson, getJson } = require('../lib/firebase');
+
+const events = [];
+let unsubscribe;
+
+test.before(async () => {
+  unsubscribe = getDeviceHub('dev1').subscribe((event) => events.push(event), ['relays']);
+  await waitFor(() => events.some((event) => event.type === 'relay'), 2000, 'snapshot');
+});
+
+test.after(() => {
+  unsubscribe();
+  closeAllHubs();
+});
+
+function setDesired(relay, state) {
+  return new Promise((resolve) => writeJson('PUT', `/devices/dev1/relays/relay_${relay}/state.json`, state, resolve));
+}
+
+function relayNode(relay) {
+  return new Promise((resolve) => getJson(`/devices/dev1/relays/relay_${relay}.json`, (err, value) => resolve(value)));
+}
+
+/**
+ * Poll a relay's Firebase node until check(node) holds
+ */
+async function nodeWhen(relay, check, description) {
+  const deadline = Date.now() + 2000;
+  for (;;) {
+    const node = await relayNode(relay);
+    if (node && check(node)) return node;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+    await delay(10);
+  }
+}
+
+function ack(commandId, state) {
+  return new Promise((resolve) => acknowledgeCommand('dev1', commandId, state, resolve));
+}
+
+/**
+ * Change a relay's desired state and return the command attached to its event
+ */
+async function command(relay, state) {
+  await setDesired(relay, state);
+  const event = await waitFor(() => events.find((e) => e.type === 'relay' && e.relay === relay && e.state === state), 2000, `relay ${relay} event`);
+  assert.match(event.command, /^c_/);
+  return event.command;
+}
+
+test('issues no command for the states in the snapshot', () => {
+  assert.equal(events.filter((event) => event.command).length, 0);
+});
+
+test('records the ack and the reported state', async () => {
+  const id = await command(1, true);
+
+  const result = await ack(id, true);
+  assert.equal(result.status, 200);
+  assert.equal(result.payload.status, 'acked');
+  assert.equal(result.payload.relay, 1);
+
+  const node = await nodeWhen(1, (value) => value.command.status === 'acked', 'acked node');
+  assert.equal(node.reported, true);
+  assert.equal(node.command.id, id);
+  assert.ok(node.command.ackedAt);
+});
+
+test('marks a command without an ack timed_out and still accepts a late ack', async () => {
+  const id = await command(2, true);
+  await nodeWhen(2, (value) => value.command && value.command.status === 'timed_out', 'timed_out');
+
+  // A reconnecting device gets it again with the snapshot
+  const replayed = [];
+  const stop = getDeviceHub('dev1').subscribe((event) => replayed.push(event), ['relays']);
+  const event = await waitFor(() => replayed.find((e) => e.type === 'relay' && e.relay === 2), 2000, 'replayed relay 2');
+  stop();
+  assert.equal(event.command, id);
+
+  const result = await ack(id, true);
+  assert.equal(result.payload.status, 'acked');
+});
+
+test('records a mismatch when the device reports another state', async () => {
+  const id = await command(3, true);
+  const result = await ack(id, false);
+  assert.equal(result.payload.status, 'mismatch');
+  assert.equal(result.payload.reported, false);
+
+  // Later acks report the outcome without changing it
+  assert.equal((await ack(id, true)).payload.status, 'mismatch');
+});
+
+test('supersedes a command once the desired state goes back', async () => {
+  const id = await command(4, true);
+  await setDesired(4, false);
+  const node = await nodeWhen(4, (value) => value.command && value.command.status === 'superseded', 'superseded');
+  assert.equal(node.command.id, id);
+});
+
+test('answers 404 for an unknown command', async () => {
+  const result = await ack('c_unknown', true);
+  assert.equal(result.status, 404);
+  assert.equal(result.payload.code, 'unknown_command');
+});
@@ -0,0 +1,268 @@
+/**
+ * server.js booted as its own process against the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { useTestEnv, writeJsonFile, waitFor } = require('./helpers');
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js with env on top of the test env; output collects its log
+ */
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: Object.assign({}, process.env, { PORT: String(port), LOG_LEVEL: 'info', DEVICE_AUTH_MODE: 'off' }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const server = { child: child, port: port, output: '', exitCode: null };
+  child.stdout.on('data', (chunk) => { server.output += chunk; });
+  child.stderr.on('data', (chunk) => { server.output += chunk; });
+  child.on('exit', (code) => { server.exitCode = code; });
+  server.stop = () => {
+    if (server.exitCode === null) child.kill('SIGTERM');
+    return waitFor(() => server.exitCode !== null, 10000, 'server exit').then(() => server.exitCode);
+  };
+  return server;
+}
+
+function getJson(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: port, path: urlPath }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+function postJson(port, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port: port,
+      path: urlPath,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+    }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+/**
+ * SSE messages in a stream's text as {id, data}; id is null when absent
+ */
+function sseEvents(text) {
+  return text.split('\n\n').filter((block) => block.includes('data: ')).map((block) => {
+    const id = block.match(/^id: (\d+)$/m);
+    return { id: id ? parseInt(id[1], 10) : null, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+  });
+}
+
+/**
+ * Open a streaming GET; stream.text collects the body, stream.closed is set when it ends
+ */
+function openStream(port, urlPath, headers) {
+  const stream = { text: '', closed: false, status: null };
+  stream.req = http.get({ host: '127.0.0.1', port: port, path: urlPath, headers: headers }, (res) => {
+    stream.status = res.statusCode;
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { stream.text += chunk; });
+    res.on('close', () => { stream.closed = true; });
+  });
+  stream.req.on('error', () => { stream.closed = true; });
+  stream.close = () => stream.req.destroy();
+  return stream;
+}
+
+test('replays a write queued by a previous run at boot', async (t) => {
+  const dir = useTestEnv();
+  const seed = writeJsonFile(dir, 'seed.json', { devices: { dev1: { relays: { relay_1: { state: false, reported: false } } } } });
+  const queueFile = path.join(dir, 'write-queue.jsonl');
+  fs.writeFileSync(queueFile, JSON.stringify({
+    op: 'add',
+    entry: { id: 'q_boot', kind: 'relay', device: 'dev1', relay: 1, state: true, queuedAt: Date.now() }
+  }) + '\n');
+
+  const server = await startServer({ FIREBASE_EMULATOR_SEED: seed });
+  t.after(() => server.stop());
+
+  await waitFor(() => server.output.includes('Replayed relay write q_boot') || server.exitCode !== null, 5000, 'replay');
+  assert.equal(server.exitCode, null, server.output);
+
+  await waitFor(() => server.output.includes('Server Started'), 5000, 'listening');
+  const state = await getJson(server.port, '/state/dev1');
+  assert.equal(state.status, 200);
+  assert.deepEqual(state.body.relays, [{ relay: 1, state: true }]);
+  assert.equal(fs.readFileSync(queueFile, 'utf8'), '');
+});
+
+test('only streams that ask for it take over the device stream', async (t) => {
+  const dir = useTestEnv();
+  const server = await startServer({
+    FIREBASE_EMULATOR_SEED: writeJsonFile(dir, 'seed.json', { devices: { dev1: { enabled: true } } })
+  });
+  const streams = [];
+  t.after(() => {
+    streams.forEach((stream) => stream.close());
+    return server.stop();
+  });
+  function open(urlPath) {
+    const stream = openStream(server.port, urlPath);
+    streams.push(stream);
+    return waitFor(() => stream.text.includes('"connected"'), 5000, `${urlPath} connected`).then(() => stream);
+  }
+
+  await waitFor(() => server.output.includes('Server Started'), 5000, 'listening');
+  const device = await open('/device/dev1?takeover=1');
+  const dashboard = await open('/device/dev1');
+  const debug = await open('/device/dev1?streams=enabled');
+  assert.equal(device.closed, false);
+
+  // The device reconnecting replaces only its own stream
+  const reconnected = await open('/device/dev1?takeover=1');
+  await waitFor(() => device.closed, 5000, 'old device stream closed');
+  assert.equal(dashboard.closed, false);
+  assert.equal(debug.closed, false);
+  assert.equal(reconnected.closed, false);
+});
+
+test('counts connections per IP from the trusted X-Forwarded-For hop', async (t) => {
+  const dir = useTestEnv();
+  const server = await startServer({
+    FIREBASE_EMULATOR_SEED: writeJsonFile(dir, 'seed.json', { devices: {} }),
+    TRUST_PROXY_HOPS: '1',
+    MAX_CONNECTIONS_PER_IP: '1'
+  });
+  const streams = [];
+  t.after(() => {
+    streams.forEach((stream) => stream.close());
+    return server.stop();
+  });
+  function open(deviceId, forwardedFor) {
+    const stream = openStream(server.port, `/device/${deviceId}`, { 'X-Forwarded-For': forwardedFor });
+    streams.push(stream);
+    return waitFor(() => stream.status !== null, 5000, `${deviceId} answered`).then(() => stream);
+  }
+
+  await waitFor(() => server.output.includes('Server Started'), 5000, 'listening');
+  assert.equal((await open('dev1', '10.0.0.1, 203.0.113.7')).status, 200);
+  // A different client-supplied entry is still the same client
+  assert.equal((await open('dev2', '10.0.0.2, 203.0.113.7')).status, 429);
+  assert.equal((await open('dev3', '203.0.113.8')).status, 200);
+});
+
+test('resumes a stream from Last-Event-ID while the events are buffered', async (t) => {
+  const dir = useTestEnv();
+  const off = { state: false, reported: false };
+  const server = await startServer({
+    FIREBASE_EMULATOR_SEED: writeJsonFile(dir, 'seed.json', { devices: { dev1: { relays: { relay_1: off, relay_2: off } } } }),
+    SSE_REPLAY_BUFFER: '3'
+  });
+  const streams = [];
+  t.after(() => {
+    streams.forEach((stream) => stream.close());
+    return server.stop();
+  });
+  async function open(headers) {
+    const stream = openStream(server.port, '/device/dev1?streams=relays', headers);
+    streams.push(stream);
+    await waitFor(() => sseEvents(stream.text).some((event) => event.data.type === 'relay'), 5000, 'relay events');
+    return stream;
+  }
+  function setRelay(relay, state) {
+    return postJson(server.port, '/update', { device: 'dev1', relay: relay, state: state });
+  }
+  function relayEvents(stream) {
+    return sseEvents(stream.text).filter((event) => event.data.type === 'relay');
+  }
+
+  await waitFor(() => server.output.includes('Server Started'), 5000, 'listening');
+  // A dashboard keeps the device's hub (and its event IDs) alive
+  await open();
+
+  const first = await open();
+  assert.equal((await setRelay(1, true)).status, 200);
+  const seen = await waitFor(() => relayEvents(first).find((event) => event.id !== null), 5000, 'live relay event');
+  first.close();
+
+  await setRelay(2, true);
+  await setRelay(1, false);
+  const resumed = await open({ 'Last-Event-ID': String(seen.id) });
+  await waitFor(() => relayEvents(resumed).length === 2, 5000, 'missed events');
+  assert.equal(sseEvents(resumed.text)[0].data.resumed, true);
+  assert.deepEqual(relayEvents(resumed).map((event) => [event.data.relay, event.data.state]), [[2, true], [1, false]]);
+  assert.ok(relayEvents(resumed).every((event) => event.id > seen.id));
+
+  // Once the buffer has moved past the ID, the snapshot is sent instead
+  for (let i = 0; i < 4; i++) {
+    await setRelay(2, i % 2 === 0 ? false : true);
+  }
+  const stale = await open({ 'Last-Event-ID': String(seen.id) });
+  assert.equal(sseEvents(stale.text)[0].data.resumed, false);
+  assert.ok(relayEvents(stale).every((event) => event.id === null));
+});
+
+test('drains streams and line clients with a reconnect delay on SIGTERM', async (t) => {
+  const dir = useTestEnv();
+  const linePort = await freePort();
+  const server = await startServer({
+    FIREBASE_EMULATOR_SEED: writeJsonFile(dir, 'seed.json', { devices: { dev1: { relays: { relay_1: { state: false, reported: false } } } } }),
+    LINE_PORT: String(linePort),
+    DRAIN_RETRY_MIN_MS: '1000',
+    DRAIN_RETRY_SPREAD_MS: '500'
+  });
+  t.after(() => server.stop());
+
+  await waitFor(() => server.output.includes('Server Started') && server.output.includes('Line protocol listening'), 5000, 'listening');
+  const stream = openStream(server.port, '/device/dev1');
+  await waitFor(() => stream.text.includes('"connected"'), 5000, 'stream connected');
+
+  const line = net.connect(linePort, '127.0.0.1');
+  let lineText = '';
+  let lineClosed = false;
+  line.setEncoding('utf8');
+  line.on('data', (chunk) => { lineText += chunk; });
+  line.on('error', () => {});
+  line.on('close', () => { lineClosed = true; });
+  line.write(JSON.stringify({ type: 'hello', device: 'dev1' }) + '\n');
+  await waitFor(() => lineText.includes('"hello"'), 5000, 'line hello');
+
+  // A power sample still in the history buffer is written before exit
+  assert.equal((await postJson(server.port, '/power', { device: 'dev1', data: { phase_a: { voltage: 230 } } })).status, 200);
+
+  assert.equal(await server.stop(), 0, server.output);
+
+  const restart = sseEvents(stream.text).find((event) => event.data.type === 'server_restart');
+  assert.ok(restart.data.retry_ms >= 1000 && restart.data.retry_ms < 1500, String(restart.data.retry_ms));
+  await waitFor(() => stream.closed && lineClosed, 5000, 'connections closed');
+  const lineRestart = lineText.split('\n').filter(Boolean).map((text) => JSON.parse(text)).find((message) => message.type === 'server_restart');
+  assert.ok(lineRestart.retry_ms >= 1000 && lineRestart.retry_ms < 1500);
+
+  assert.match(server.output, /Pending writes flushed/);
+  assert.match(server.output, /Power history flushed/);
+  assert.match(server.output, /Drain complete/);
+  const history = fs.readdirSync(path.join(dir, 'power-history', 'dev1'));
+  assert.ok(history.some((name) => name.startsWith('raw-')), history.join(', '));
+});
+
@@ -0,0 +1,81 @@
+/**
+ * Subscription enforcement (lib/subscription.js and the device hub) against
+ * the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv, writeJsonFile, waitFor } = require('./helpers');
+
+const dir = useTestEnv();
+const relays = { relay_1: { state: true, reported: true } };
+process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+  devices: {
+    dev_missing: { relays: relays },
+    dev_true: { enabled: true },
+    dev_false: { enabled: false },
+    dev_zero: { enabled: 0 },
+    dev_string: { enabled: 'false' },
+    dev_off: { enabled: false, relays: relays },
+    dev_writer: { enabled: false }
+  }
+});
+
+const { parseEnabled, loadSubscription } = require('../lib/subscription');
+const { getDeviceHub, closeAllHubs } = require('../lib/device-hub');
+const { writeJson } = require('../lib/firebase');
+const { writeRelayState, startWrites } = require('../lib/writes');
+
+startWrites();
+
+test.after(() => {
+  closeAllHubs();
+});
+
+function load(deviceId) {
+  return new Promise((resolve) => loadSubscription(deviceId, resolve));
+}
+
+test('only a missing node or true enables a device', () => {
+  assert.equal(parseEnabled('dev', undefined), true);
+  assert.equal(parseEnabled('dev', null), true);
+  assert.equal(parseEnabled('dev', true), true);
+  assert.equal(parseEnabled('dev', false), false);
+  assert.equal(parseEnabled('dev', 0), false);
+  assert.equal(parseEnabled('dev', 1), false);
+  assert.equal(parseEnabled('dev', 'false'), false);
+  assert.equal(parseEnabled('dev', '0'), false);
+  assert.equal(parseEnabled('dev', {}), false);
+});
+
+test('reads the status from Firebase', async () => {
+  assert.equal(await load('dev_missing'), true);
+  assert.equal(await load('dev_true'), true);
+  assert.equal(await load('dev_false'), false);
+  assert.equal(await load('dev_zero'), false);
+  assert.equal(await load('dev_string'), false);
+});
+
+test('refuses writes from a disabled device with 402', async () => {
+  await load('dev_writer');
+  const result = await new Promise((resolve) => writeRelayState('dev_writer', 1, true, '127.0.0.1', resolve));
+  assert.equal(result.status, 402);
+  assert.equal(result.payload.code, 'subscription_disabled');
+});
+
+test('withholds relay events while disabled and sends them once enabled', async () => {
+  const events = [];
+  await load('dev_off');
+  const unsubscribe = getDeviceHub('dev_off').subscribe((event) => events.push(event), ['relays', 'enabled']);
+
+  await waitFor(() => events.some((event) => event.type === 'enabled'), 2000, 'enabled event');
+  assert.deepEqual(events[0], { type: 'disabled', reason: 'subscription_disabled', safe_state: null });
+  assert.deepEqual(events.find((event) => event.type === 'enabled'), { type: 'enabled', enabled: false });
+  assert.equal(events.some((event) => event.type === 'relay'), false);
+
+  await new Promise((resolve) => writeJson('PUT', '/devices/dev_off/enabled.json', true, resolve));
+  const relay = await waitFor(() => events.find((event) => event.type === 'relay'), 2000, 'relay event');
+  assert.equal(relay.relay, 1);
+  assert.equal(relay.state, true);
+  unsubscribe();
+});
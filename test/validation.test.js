@@ -0,0 +1,91 @@
+/**
+ * Input validation (lib/validation.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const {
+  MAX_RELAYS,
+  validateDeviceId,
+  validateStreamList,
+  validateProfileRelay,
+  validateRelayUpdate,
+  validateRelayBatch,
+  validateCommandAck,
+  validatePowerUpload
+} = require('../lib/validation');
+
+test('keeps device IDs out of Firebase path syntax', () => {
+  assert.equal(validateDeviceId('dev_mhlj9n2msbwqu6bno'), null);
+  assert.equal(validateDeviceId(undefined).code, 'missing_field');
+  ['../admin', 'x.json?print=', 'a/b', 'ab', 'x'.repeat(65), 42].forEach((deviceId) => {
+    assert.deepEqual(validateDeviceId(deviceId), {
+      code: 'invalid_field',
+      field: 'device',
+      details: 'device must be 3-64 characters of A-Z, a-z, 0-9, _ or -'
+    }, String(deviceId));
+  });
+});
+
+test('checks relay updates field by field', () => {
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: 5, state: true }), null);
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: 5, state: true, ack: 'c_mvf3k2x1_9f8e7d6c' }), null);
+
+  assert.equal(validateRelayUpdate([]).field, 'body');
+  assert.equal(validateRelayUpdate({ device: 'dev1', state: true }).code, 'missing_field');
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: 0, state: true }).field, 'relay');
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: MAX_RELAYS + 1, state: true }).field, 'relay');
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: '5', state: true }).field, 'relay');
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: 5, state: 'on' }).field, 'state');
+  assert.equal(validateRelayUpdate({ device: 'dev1', relay: 5, state: true, ack: 'nope' }).field, 'ack');
+  assert.equal(validateProfileRelay(5, { relays: 4 }).field, 'relay');
+});
+
+test('checks batch updates and their schedule metadata', () => {
+  const batch = {
+    device: 'dev1',
+    relays: [{ relay: 1, state: true }, { relay: 2, state: false, ack: 'c_abc' }],
+    schedule: { id: 'sched_1', name: 'Star-delta start', executedAt: 1700000000000 }
+  };
+  assert.equal(validateRelayBatch(batch), null);
+
+  assert.equal(validateRelayBatch(Object.assign({}, batch, { relays: [] })).field, 'relays');
+  assert.equal(validateRelayBatch(Object.assign({}, batch, { relays: [{ relay: 1, state: 1 }] })).field, 'relays[0].state');
+  assert.deepEqual(validateRelayBatch(Object.assign({}, batch, { relays: [{ relay: 1, state: true }, { relay: 1, state: false }] })), {
+    code: 'invalid_field',
+    field: 'relays[1].relay',
+    details: 'relay 1 appears more than once'
+  });
+  assert.equal(validateRelayBatch(Object.assign({}, batch, { schedule: { name: 'x' } })).field, 'schedule.id');
+  assert.equal(validateRelayBatch(Object.assign({}, batch, { schedule: { id: 's', cron: '* * *' } })).field, 'schedule.cron');
+});
+
+test('checks power payloads against plausible PZEM ranges', () => {
+  const reading = { voltage: 230.1, current: 1.2, power: 270, energy: 12.5, pf: 0.98, frequency: 50 };
+  assert.equal(validatePowerUpload({ device: 'dev1', data: { phase_a: reading, timestamp: 1700000000000 } }), null);
+
+  assert.equal(validatePowerUpload({ device: 'dev1' }).field, 'data');
+  assert.equal(validatePowerUpload({ device: 'dev1', data: { timestamp: 1 } }).field, 'data');
+  assert.equal(validatePowerUpload({ device: 'dev1', data: { phase_a: reading, phase_d: reading } }).field, 'data.phase_d');
+  assert.equal(validatePowerUpload({ device: 'dev1', data: { phase_a: { voltage: 'high' } } }).field, 'data.phase_a.voltage');
+  assert.deepEqual(validatePowerUpload({ device: 'dev1', data: { phase_a: { pf: 1.5 } } }), {
+    code: 'invalid_field',
+    field: 'data.phase_a.pf',
+    details: 'pf must be between 0 and 1'
+  });
+  assert.equal(validatePowerUpload({ device: 'dev1', data: { phase_a: { watts: 1 } } }).field, 'data.phase_a.watts');
+});
+
+test('checks command acks and stream lists', () => {
+  assert.equal(validateCommandAck({ device: 'dev1', command: 'c_abc', state: true }), null);
+  assert.equal(validateCommandAck({ device: 'dev1' }).field, 'command');
+  assert.equal(validateCommandAck({ device: 'dev1', command: 'c_abc', state: 'on' }).field, 'state');
+
+  assert.equal(validateStreamList('relays,enabled', ['relays', 'enabled', 'power']), null);
+  assert.equal(validateStreamList('', ['relays']).code, 'missing_field');
+  assert.equal(validateStreamList('relays,bogus', ['relays']).details, 'unknown stream "bogus"; expected relays');
+});
@@ -0,0 +1,183 @@
+/**
+ * Webhook signing, retries and dead letters (lib/webhooks.js), with device
+ * stream events from the in-memory RTDB emulator
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { useTestEnv, writeJsonFile, waitFor, delay } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+
+// Requests received per path, and how to answer the next ones
+const received = {};
+const answers = {};
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    (received[req.url] = received[req.url] || []).push({ headers: req.headers, body: body });
+    const queued = answers[req.url] || [];
+    res.writeHead(queued.length > 1 ? queued.shift() : queued[0] || 200);
+    res.end();
+  });
+});
+
+function requests(path) {
+  return received[path] || [];
+}
+
+function webhook(id, devices, events) {
+  return { id: id, url: `http://127.0.0.1:${receiver.address().port}/${id}`, secret: SECRET, devices: devices, events: events };
+}
+
+let webhooks;
+let getDeviceHub;
+let closeAllHubs;
+let loadSubscription;
+let writeJson;
+
+test.before(async () => {
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+  const dir = useTestEnv({
+    WEBHOOK_MAX_ATTEMPTS: '3',
+    WEBHOOK_RETRY_BASE_MS: '20',
+    WEBHOOK_RETRY_MAX_MS: '50'
+  });
+  process.env.FIREBASE_EMULATOR_SEED = writeJsonFile(dir, 'seed.json', {
+    devices: {
+      dev_stream: { relays: { relay_1: { state: true, reported: true }, relay_2: { state: false, reported: true } } },
+      dev_off: { enabled: false, relays: { relay_1: { state: true, reported: true } } }
+    }
+  });
+  process.env.WEBHOOKS_FILE = writeJsonFile(dir, 'webhooks.json', {
+    webhooks: [
+      webhook('signed', ['dev_signed']),
+      webhook('filtered', ['dev_filtered'], ['write']),
+      webhook('flaky', ['dev_flaky']),
+      webhook('rejecting', ['dev_rejecting']),
+      webhook('down', ['dev_down']),
+      webhook('stream', ['dev_stream', 'dev_off'], ['relay'])
+    ]
+  });
+
+  webhooks = require('../lib/webhooks');
+  ({ getDeviceHub, closeAllHubs } = require('../lib/device-hub'));
+  ({ loadSubscription } = require('../lib/subscription'));
+  writeJson = require('../lib/firebase').writeJson;
+  webhooks.startWebhooks();
+});
+
+test.after(async () => {
+  webhooks.stopWebhooks();
+  closeAllHubs();
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+function status(id) {
+  return webhooks.webhookStatus().webhooks.find((entry) => entry.id === id);
+}
+
+function deadLetterFile() {
+  const file = webhooks.webhookStatus().deadLetters.file;
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('signs each delivery with the timestamp and body', async () => {
+  webhooks.publishWebhookEvent('dev_signed', 'write', { relay: 1, state: true });
+  const [request] = await waitFor(() => requests('/signed').length > 0 && requests('/signed'), 2000, 'delivery');
+
+  const event = JSON.parse(request.body);
+  assert.equal(event.type, 'write');
+  assert.equal(event.device, 'dev_signed');
+  assert.deepEqual(event.data, { relay: 1, state: true });
+  assert.equal(request.headers['x-webhook-id'], event.id);
+  assert.equal(request.headers['x-webhook-event'], 'write');
+
+  const timestamp = request.headers['x-webhook-timestamp'];
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+});
+
+test('only delivers the devices and event types a webhook asks for', async () => {
+  webhooks.publishWebhookEvent('dev_filtered', 'alert', { kind: 'voltage_high' });
+  webhooks.publishWebhookEvent('dev_signed', 'write', { relay: 2, state: false });
+  webhooks.publishWebhookEvent('dev_filtered', 'write', { relay: 3, state: true });
+
+  await waitFor(() => status('filtered').delivered === 1 && status('signed').delivered === 2, 2000, 'deliveries');
+  assert.deepEqual(requests('/filtered').map((request) => JSON.parse(request.body).data), [{ relay: 3, state: true }]);
+});
+
+test('retries 5xx answers with the same event ID until delivered', async () => {
+  answers['/flaky'] = [503, 503, 200];
+  webhooks.publishWebhookEvent('dev_flaky', 'presence', { online: true });
+
+  await waitFor(() => status('flaky').delivered === 1, 2000, 'delivery');
+  const ids = requests('/flaky').map((request) => request.headers['x-webhook-id']);
+  assert.equal(ids.length, 3);
+  assert.equal(new Set(ids).size, 1);
+  assert.equal(status('flaky').retried, 2);
+  assert.equal(status('flaky').lastError.reason, 'HTTP 503');
+});
+
+test('dead-letters other 4xx answers without retrying', async () => {
+  answers['/rejecting'] = [400];
+  webhooks.publishWebhookEvent('dev_rejecting', 'write', { relay: 1, state: true });
+
+  await waitFor(() => status('rejecting').deadLettered === 1, 2000, 'dead letter');
+  assert.equal(requests('/rejecting').length, 1);
+  const record = deadLetterFile().find((entry) => entry.webhook === 'rejecting');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.reason, 'HTTP 400');
+  assert.deepEqual(record.event.data, { relay: 1, state: true });
+});
+
+test('dead-letters an event after WEBHOOK_MAX_ATTEMPTS failures', async () => {
+  answers['/down'] = [503];
+  webhooks.publishWebhookEvent('dev_down', 'write', { relay: 1, state: false });
+
+  await waitFor(() => status('down').deadLettered === 1, 2000, 'dead letter');
+  assert.equal(requests('/down').length, 3);
+  assert.equal(status('down').pending, 0);
+  assert.equal(deadLetterFile().find((entry) => entry.webhook === 'down').attempts, 3);
+});
+
+test('forwards stream changes once, not the snapshots replayed on reconnect', async () => {
+  let unsubscribe = getDeviceHub('dev_stream').subscribe(() => {}, ['relays']);
+  await waitFor(() => requests('/stream').length === 2, 2000, 'snapshot relays');
+  const relays = () => requests('/stream').map((request) => JSON.parse(request.body).data);
+  assert.deepEqual(relays().map((event) => [event.relay, event.state]).sort(), [[1, true], [2, false]]);
+
+  // A new hub replays the same snapshot
+  unsubscribe();
+  closeAllHubs();
+  unsubscribe = getDeviceHub('dev_stream').subscribe(() => {}, ['relays']);
+  await delay(300);
+  assert.equal(requests('/stream').length, 2);
+
+  await new Promise((resolve, reject) => {
+    writeJson('PATCH', '/devices/dev_stream/relays/relay_2.json', { state: true, reported: true }, (err) => (err ? reject(err) : resolve()));
+  });
+  await waitFor(() => requests('/stream').length === 3, 2000, 'relay change');
+  assert.deepEqual([relays()[2].relay, relays()[2].state], [2, true]);
+  unsubscribe();
+});
+
+test('sends nothing for a device whose subscription is disabled', async () => {
+  const before = requests('/stream').length;
+  // As on every route, the subscription is known before the hub is joined
+  const enabled = await new Promise((resolve) => loadSubscription('dev_off', resolve));
+  assert.equal(enabled, false);
+  const unsubscribe = getDeviceHub('dev_off').subscribe(() => {}, ['relays']);
+  await delay(300);
+  unsubscribe();
+  assert.equal(requests('/stream').length, before);
+});
@@ -0,0 +1,83 @@
+/**
+ * Offline write queue (lib/write-queue.js) with a stand-in executor that
+ * answers each replayed write when the test says so
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { useTestEnv, waitFor } = require('./helpers');
+
+useTestEnv({ QUEUE_RETRY_BASE_MS: '20', QUEUE_RETRY_MAX_MS: '20' });
+
+const { startWriteQueue, enqueue, queueDepth, queueStatus } = require('../lib/write-queue');
+
+// Replayed writes waiting for an answer, oldest first
+const calls = [];
+startWriteQueue((entry, callback) => calls.push({ entry: entry, callback: callback }));
+
+/**
+ * Answer the next replayed write with status and return its entry
+ */
+async function answer(status) {
+  const call = await waitFor(() => calls[0], 2000, 'replayed write');
+  calls.shift();
+  call.callback({ status: status, payload: status < 300 ? {} : { error: `status ${status}` } });
+  return call.entry;
+}
+
+test.afterEach(() => {
+  assert.equal(queueDepth(), 0);
+  assert.equal(calls.length, 0);
+});
+
+test('keeps only the newest state of each relay', async () => {
+  const power = enqueue({ kind: 'power', device: 'dev1', data: {} });
+  enqueue({ kind: 'relay', device: 'dev1', relay: 1, state: true });
+  const batch = enqueue({ kind: 'relays', device: 'dev1', relays: [{ relay: 1, state: false }, { relay: 2, state: true }] });
+  const single = enqueue({ kind: 'relay', device: 'dev1', relay: 2, state: false });
+  enqueue({ kind: 'relay', device: 'dev2', relay: 1, state: true });
+
+  assert.equal(queueDepth(), 4);
+  assert.equal(queueStatus().totals.superseded, 1);
+
+  assert.equal((await answer(200)).id, power.id);
+  const replayedBatch = await answer(200);
+  assert.equal(replayedBatch.id, batch.id);
+  assert.deepEqual(replayedBatch.relays, [{ relay: 1, state: false }]);
+  assert.equal((await answer(200)).id, single.id);
+  assert.equal((await answer(200)).device, 'dev2');
+});
+
+test('does not replay a batch again after it was trimmed mid-flight', async () => {
+  const batch = enqueue({ kind: 'relays', device: 'dev3', relays: [{ relay: 1, state: true }, { relay: 2, state: true }] });
+  await waitFor(() => calls[0], 2000, 'batch in flight');
+  const single = enqueue({ kind: 'relay', device: 'dev3', relay: 1, state: false });
+
+  assert.equal((await answer(200)).id, batch.id);
+  assert.equal((await answer(200)).id, single.id);
+});
+
+test('retries writes Firebase could not take and drops the ones it rejects', async () => {
+  const kept = enqueue({ kind: 'relay', device: 'dev4', relay: 1, state: true });
+  const rejected = enqueue({ kind: 'power', device: 'dev4', data: {} });
+
+  assert.equal((await answer(503)).id, kept.id);
+  assert.ok(queueStatus().nextRetryAt);
+  assert.equal((await answer(200)).id, kept.id);
+
+  assert.equal((await answer(400)).id, rejected.id);
+  const status = queueStatus();
+  assert.equal(status.totals.failed, 1);
+  assert.equal(status.recentFailures[0].id, rejected.id);
+  assert.equal(status.recentFailures[0].status, 400);
+});
+
+test('empties the journal once everything is replayed', async () => {
+  enqueue({ kind: 'relay', device: 'dev5', relay: 1, state: true });
+  const journal = fs.readFileSync(process.env.QUEUE_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(journal[journal.length - 1].op, 'add');
+
+  await answer(200);
+  assert.equal(fs.readFileSync(process.env.QUEUE_FILE, 'utf8'), '');
+});